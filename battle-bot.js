@@ -0,0 +1,205 @@
+import {
+  ARENA_SIZE,
+  COVER_BOUNDS,
+  EYE_HEIGHT,
+  PLAYER_RADIUS,
+  overlapsCover,
+  segmentBoxEntry
+} from './battle-sim.js';
+
+// Bot skill levels, keyed like the chess engine's difficulties so a
+// single-player game can use one setting for both
+export const BOT_DIFFICULTIES = {
+  easy: { aimError: 0.09, reactionTime: 1.0, fireRateScale: 1.8, moveSpeed: 3 },
+  medium: { aimError: 0.07, reactionTime: 0.6, fireRateScale: 1.3, moveSpeed: 4 },
+  hard: { aimError: 0.04, reactionTime: 0.35, fireRateScale: 1.0, moveSpeed: 5 },
+  expert: { aimError: 0.025, reactionTime: 0.2, fireRateScale: 1.0, moveSpeed: 6 }
+};
+
+// Aim error multiplier per weapon: the shotgun sprays, the sniper rifle is
+// precise, the submachine gun climbs
+const WEAPON_HANDLING = {
+  pawn: 1.0,
+  rook: 1.4,
+  knight: 2.0,
+  bishop: 0.9,
+  queen: 1.1,
+  king: 0.5
+};
+
+// Drives the opponent of a BattleSimulation: hides behind the tall cover
+// boxes, steps out to shoot and fires through the same path as a network
+// opponent (BattleSimulation.addOpponentShot). Pass a seeded random for
+// repeatable runs.
+export class BattleBot {
+  constructor(sim, difficulty = 'medium', random = Math.random) {
+    this.sim = sim;
+    this.random = random;
+    this.stats = sim.opponent.stats;
+    this.settings = BOT_DIFFICULTIES[difficulty] || BOT_DIFFICULTIES.medium;
+    this.aimError = this.settings.aimError * (WEAPON_HANDLING[sim.opponent.type] ?? 1);
+
+    this.target = null; // Point the bot is walking to
+    this.mode = 'peek'; // 'cover' or 'peek'; flips on the first update
+    this.modeTimer = 0;
+    this.moving = false;
+    this.sightTime = 0; // How long the player has been in view
+    this.time = 0;
+    this.lastShotTime = -Infinity;
+  }
+
+  get position() {
+    return this.sim.opponent.position;
+  }
+
+  // Yaw that faces the player, in camera convention (for rendering)
+  getYaw() {
+    const player = this.sim.player.position;
+    return Math.atan2(this.position.x - player.x, this.position.z - player.z);
+  }
+
+  update(deltaTime) {
+    this.time += deltaTime;
+    const playerPosition = this.sim.player.position;
+    const canSee = this.hasLineOfSight(playerPosition);
+    this.sightTime = canSee ? this.sightTime + deltaTime : 0;
+
+    this.updateMovement(deltaTime, playerPosition);
+
+    const cooldown = this.stats.fireRate * this.settings.fireRateScale;
+    if (canSee && this.sightTime >= this.settings.reactionTime && this.time - this.lastShotTime >= cooldown) {
+      this.fire(playerPosition);
+    }
+  }
+
+  // Alternates between hiding and stepping out to shoot
+  updateMovement(deltaTime, playerPosition) {
+    this.modeTimer -= deltaTime;
+
+    if (this.modeTimer <= 0) {
+      this.mode = this.mode === 'cover' ? 'peek' : 'cover';
+      this.modeTimer = this.mode === 'cover'
+        ? 1.5 + this.random() * 1.5
+        : 1.0 + this.random() * 2.0;
+      this.target = this.mode === 'cover'
+        ? this.findCoverSpot(playerPosition)
+        : this.findPeekSpot(playerPosition);
+    }
+
+    this.moving = false;
+    if (this.target) {
+      this.moveTowards(this.target, this.settings.moveSpeed * deltaTime);
+    }
+  }
+
+  // Nearest spot behind a box that is taller than the player, on the far
+  // side from the player
+  findCoverSpot(playerPosition) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const bounds of COVER_BOUNDS) {
+      if (bounds.max.y < EYE_HEIGHT + 0.2) continue;
+
+      const centerX = (bounds.min.x + bounds.max.x) / 2;
+      const centerZ = (bounds.min.z + bounds.max.z) / 2;
+      const awayX = centerX - playerPosition.x;
+      const awayZ = centerZ - playerPosition.z;
+      const awayLength = Math.hypot(awayX, awayZ);
+      if (awayLength === 0) continue;
+
+      const halfExtent = Math.max(bounds.max.x - centerX, bounds.max.z - centerZ);
+      const offset = halfExtent + PLAYER_RADIUS + 0.3;
+      const spot = {
+        x: centerX + awayX / awayLength * offset,
+        y: EYE_HEIGHT,
+        z: centerZ + awayZ / awayLength * offset
+      };
+
+      const distance = Math.hypot(spot.x - this.position.x, spot.z - this.position.z);
+      if (distance < bestDistance && this.isWalkable(spot)) {
+        bestDistance = distance;
+        best = spot;
+      }
+    }
+
+    return best;
+  }
+
+  // A few steps sideways relative to the player, to get a clear shot
+  findPeekSpot(playerPosition) {
+    const toX = playerPosition.x - this.position.x;
+    const toZ = playerPosition.z - this.position.z;
+    const toLength = Math.hypot(toX, toZ);
+    if (toLength === 0) return null;
+
+    const sideX = -toZ / toLength;
+    const sideZ = toX / toLength;
+    const direction = this.random() < 0.5 ? 1 : -1;
+
+    for (const sign of [direction, -direction]) {
+      const distance = sign * (2 + this.random() * 2);
+      const spot = {
+        x: this.position.x + sideX * distance,
+        y: EYE_HEIGHT,
+        z: this.position.z + sideZ * distance
+      };
+      if (this.isWalkable(spot)) return spot;
+    }
+    return null;
+  }
+
+  moveTowards(target, distance) {
+    const dx = target.x - this.position.x;
+    const dz = target.z - this.position.z;
+    const length = Math.hypot(dx, dz);
+    if (length < 0.1) return;
+
+    const stepScale = Math.min(distance, length) / length;
+    const stepX = dx * stepScale;
+    const stepZ = dz * stepScale;
+
+    // Slide along cover instead of stopping dead against it
+    const candidates = [[stepX, stepZ], [stepX, 0], [0, stepZ]];
+    for (const [x, z] of candidates) {
+      const next = { x: this.position.x + x, y: EYE_HEIGHT, z: this.position.z + z };
+      if (this.isWalkable(next)) {
+        this.sim.setOpponentPosition(next);
+        this.moving = true;
+        return;
+      }
+    }
+  }
+
+  isWalkable(position) {
+    const halfSize = ARENA_SIZE / 2 - 0.5;
+    if (Math.abs(position.x) > halfSize || Math.abs(position.z) > halfSize) {
+      return false;
+    }
+    return !overlapsCover(position);
+  }
+
+  hasLineOfSight(playerPosition) {
+    return !COVER_BOUNDS.some(bounds => segmentBoxEntry(this.position, playerPosition, bounds) !== null);
+  }
+
+  fire(playerPosition) {
+    const direction = {
+      x: playerPosition.x - this.position.x,
+      y: playerPosition.y - this.position.y,
+      z: playerPosition.z - this.position.z
+    };
+    const length = Math.hypot(direction.x, direction.y, direction.z);
+
+    // Scatter the shot in a cone; harder to aim on the move
+    const error = this.aimError * (this.moving ? 1.5 : 1);
+    const velocity = {
+      x: direction.x / length + (this.random() * 2 - 1) * error,
+      y: direction.y / length + (this.random() * 2 - 1) * error,
+      z: direction.z / length + (this.random() * 2 - 1) * error
+    };
+
+    this.lastShotTime = this.time;
+    this.sim.addOpponentShot({ position: { ...this.position }, velocity });
+  }
+}
@@ -0,0 +1,215 @@
+// Binary form of battleUpdate messages for the battle-updates channel,
+// about a fifth of the JSON size. Peers that list BATTLE_CODEC in their
+// hello receive updates like this; anyone else gets JSON. Positions and
+// velocities are fixed-point (millimetres, centimetres per second), angles
+// are wrapped to ±π and spread over 16 bits.
+//
+// Layout, little-endian:
+//   u8 format, u8 flags, u8 shot count, u16 seq, u16 ack, f64 sentAt,
+//   i16×3 position, i16×3 rotation,
+//   [u8 host health, u8 guest health]                 if HAS_HEALTH
+//   per shot: u16 id, i16×3 position, i16×3 velocity, u8 damage,
+//             u32 tick, f64 viewTime (NaN if none)
+export const BATTLE_CODEC = 'battle-binary-2';
+
+const FORMAT = 2;
+
+const HAS_HEALTH = 1;
+const HAS_COLOR = 2;
+const COLOR_BLACK = 4;
+
+const POSITION_SCALE = 1000; // ±32.7 units, past the arena walls
+const VELOCITY_SCALE = 100; // ±327 units/s, above the fastest bullet
+const ANGLE_SCALE = 32767 / Math.PI;
+
+const HEADER_BYTES = 27;
+const HEALTH_BYTES = 2;
+const SHOT_BYTES = 27;
+
+export function encodeBattleUpdate(update) {
+  const { shots, health, color } = update;
+
+  let flags = 0;
+  if (health) flags |= HAS_HEALTH;
+  if (color) flags |= HAS_COLOR;
+  if (color === 'black') flags |= COLOR_BLACK;
+
+  const length = HEADER_BYTES + (health ? HEALTH_BYTES : 0) + shots.length * SHOT_BYTES;
+  const writer = new Writer(new ArrayBuffer(length));
+
+  writer.uint8(FORMAT);
+  writer.uint8(flags);
+  writer.uint8(shots.length);
+  writer.uint16(update.seq);
+  writer.uint16(update.ack);
+  writer.float64(update.sentAt);
+  writer.vector(update.position, POSITION_SCALE);
+  writer.angles(update.rotation);
+
+  if (health) {
+    writer.uint8(health.host);
+    writer.uint8(health.guest);
+  }
+
+  for (const shot of shots) {
+    writer.uint16(shot.id);
+    writer.vector(shot.position, POSITION_SCALE);
+    writer.vector(shot.velocity, VELOCITY_SCALE);
+    writer.uint8(shot.damage);
+    writer.uint32(shot.tick);
+    writer.float64(Number.isFinite(shot.viewTime) ? shot.viewTime : NaN);
+  }
+
+  return writer.view.buffer;
+}
+
+// The battleUpdate message. Throws if the buffer isn't one, e.g. from a
+// newer format.
+export function decodeBattleUpdate(buffer) {
+  if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < HEADER_BYTES) {
+    throw new Error('Battle update is truncated');
+  }
+
+  const reader = new Reader(buffer);
+  const format = reader.uint8();
+  if (format !== FORMAT) {
+    throw new Error(`Unknown battle update format ${format}`);
+  }
+
+  const flags = reader.uint8();
+  const shotCount = reader.uint8();
+  const length = HEADER_BYTES + (flags & HAS_HEALTH ? HEALTH_BYTES : 0) + shotCount * SHOT_BYTES;
+  if (buffer.byteLength !== length) {
+    throw new Error(`Battle update is ${buffer.byteLength} bytes, expected ${length}`);
+  }
+
+  const message = {
+    type: 'battleUpdate',
+    seq: reader.uint16(),
+    ack: reader.uint16(),
+    sentAt: reader.float64(),
+    position: reader.vector(POSITION_SCALE),
+    rotation: reader.angles()
+  };
+
+  if (flags & HAS_HEALTH) {
+    message.health = { host: reader.uint8(), guest: reader.uint8() };
+  }
+
+  message.shots = [];
+  for (let i = 0; i < shotCount; i++) {
+    const shot = {
+      id: reader.uint16(),
+      position: reader.vector(POSITION_SCALE),
+      velocity: reader.vector(VELOCITY_SCALE),
+      damage: reader.uint8(),
+      tick: reader.uint32()
+    };
+    const viewTime = reader.float64();
+    shot.viewTime = Number.isNaN(viewTime) ? null : viewTime;
+    message.shots.push(shot);
+  }
+
+  if (flags & HAS_COLOR) {
+    message.color = flags & COLOR_BLACK ? 'black' : 'white';
+  }
+
+  return message;
+}
+
+function wrapAngle(angle) {
+  return angle - Math.PI * 2 * Math.round(angle / (Math.PI * 2));
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+class Writer {
+  constructor(buffer) {
+    this.view = new DataView(buffer);
+    this.offset = 0;
+  }
+
+  uint8(value) {
+    this.view.setUint8(this.offset, clamp(Math.round(value), 0, 0xff));
+    this.offset += 1;
+  }
+
+  uint16(value) {
+    this.view.setUint16(this.offset, value, true);
+    this.offset += 2;
+  }
+
+  uint32(value) {
+    this.view.setUint32(this.offset, clamp(value, 0, 0xffffffff), true);
+    this.offset += 4;
+  }
+
+  int16(value) {
+    this.view.setInt16(this.offset, clamp(Math.round(value), -32767, 32767), true);
+    this.offset += 2;
+  }
+
+  float64(value) {
+    this.view.setFloat64(this.offset, value, true);
+    this.offset += 8;
+  }
+
+  vector(vector, scale) {
+    this.int16(vector.x * scale);
+    this.int16(vector.y * scale);
+    this.int16(vector.z * scale);
+  }
+
+  angles(rotation) {
+    this.int16(wrapAngle(rotation.x) * ANGLE_SCALE);
+    this.int16(wrapAngle(rotation.y) * ANGLE_SCALE);
+    this.int16(wrapAngle(rotation.z) * ANGLE_SCALE);
+  }
+}
+
+class Reader {
+  constructor(buffer) {
+    this.view = new DataView(buffer);
+    this.offset = 0;
+  }
+
+  uint8() {
+    const value = this.view.getUint8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  uint16() {
+    const value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  uint32() {
+    const value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  int16() {
+    const value = this.view.getInt16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  float64() {
+    const value = this.view.getFloat64(this.offset, true);
+    this.offset += 8;
+    return value;
+  }
+
+  vector(scale) {
+    return { x: this.int16() / scale, y: this.int16() / scale, z: this.int16() / scale };
+  }
+
+  angles() {
+    return { x: this.int16() / ANGLE_SCALE, y: this.int16() / ANGLE_SCALE, z: this.int16() / ANGLE_SCALE };
+  }
+}
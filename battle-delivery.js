@@ -0,0 +1,80 @@
+// Delivery guarantees for the battle-updates channel, which neither orders
+// nor retransmits. Updates carry a 16-bit sequence number so a late packet
+// never overwrites a newer one. Shots can't simply be lost like a position
+// can, so each update repeats every shot the peer hasn't acknowledged yet
+// and acknowledges the peer's shots in return. Health needs no such care:
+// the host puts the current value in every update.
+import { MAX_REWIND_MS } from './battle-sim.js';
+import { INTERPOLATION_DELAY_MS } from './snapshot-buffer.js';
+
+// A shot is judged where its shooter saw the target, which the host can
+// rewind to for MAX_REWIND_MS. The shooter looked INTERPOLATION_DELAY_MS
+// into the past already, so a shot repeated for longer than the rest would
+// arrive too late to be judged fairly.
+export const SHOT_RESEND_MS = MAX_REWIND_MS - INTERPOLATION_DELAY_MS;
+export const MAX_PENDING_SHOTS = 8;
+
+const NONE_RECEIVED = 0xffff; // The id before the first shot, 0
+
+// Whether a wrapping 16-bit counter moved forward from last to value
+export function isNewerSequence(value, last) {
+  const delta = (value - last) & 0xffff;
+  return delta !== 0 && delta < 0x8000;
+}
+
+// One per peer connection: our shots to it and its shots to us
+export class ShotDelivery {
+  constructor({ resendMs = SHOT_RESEND_MS, maxPending = MAX_PENDING_SHOTS } = {}) {
+    this.resendMs = resendMs;
+    this.maxPending = maxPending;
+    this.nextId = 0;
+    this.pending = []; // { shot, firstSentAt }, oldest first
+    this.peerAcknowledges = false; // Spectators never send updates, so never ack
+    this.lastReceivedId = NONE_RECEIVED;
+  }
+
+  // The ack to send back: the newest shot id taken from the peer
+  get ack() {
+    return this.lastReceivedId;
+  }
+
+  // Numbers new shots and returns every shot to (re)send with this update.
+  // Shots unacknowledged for too long are given up on.
+  outgoing(newShots, now = Date.now()) {
+    for (const shot of newShots) {
+      this.pending.push({ shot: { ...shot, id: this.nextId }, firstSentAt: now });
+      this.nextId = (this.nextId + 1) & 0xffff;
+    }
+
+    while (this.pending.length > 0 &&
+      (this.pending.length > this.maxPending || now - this.pending[0].firstSentAt > this.resendMs)) {
+      const { shot } = this.pending.shift();
+      if (this.peerAcknowledges) {
+        console.warn(`Shot ${shot.id} was never acknowledged; giving up on it`);
+      }
+    }
+
+    return this.pending.map(entry => entry.shot);
+  }
+
+  // Takes the shots and ack of an update from the peer and returns the
+  // shots not seen before, oldest first
+  incoming(shots, ack) {
+    this.peerAcknowledges = true;
+    this.pending = this.pending.filter(entry => isNewerSequence(entry.shot.id, ack));
+
+    const fresh = shots
+      .filter(shot => isNewerSequence(shot.id, this.lastReceivedId))
+      .sort((a, b) => ((a.id - this.lastReceivedId) & 0xffff) - ((b.id - this.lastReceivedId) & 0xffff));
+
+    for (const shot of fresh) {
+      const skipped = (shot.id - this.lastReceivedId - 1) & 0xffff;
+      if (skipped > 0) {
+        console.warn(`Lost ${skipped} shot(s) from the peer before shot ${shot.id}`);
+      }
+      this.lastReceivedId = shot.id;
+    }
+
+    return fresh;
+  }
+}
@@ -0,0 +1,553 @@
+// Headless battle rules: gun stats, arena geometry, movement, bullets,
+// collision, health and the result. No DOM or WebGL, so the same code is
+// rendered by BattleArena in the browser, runs under Node for tests and
+// drives bots. Positions are plain { x, y, z } eye positions.
+
+// The simulation advances in fixed 60 Hz ticks, independent of the
+// display's frame rate
+export const SIMULATION_HZ = 60;
+export const FIXED_DT = 1 / SIMULATION_HZ;
+
+// Gun stats by piece type (fireRate: seconds between shots,
+// bulletSpeed: units/s)
+export const GUN_STATS = {
+  pawn: {
+    damage: 15,
+    fireRate: 0.5,
+    bulletSpeed: 144,
+    bulletSize: 0.08,
+    color: 0xffff00,
+    name: 'Pistol'
+  },
+  rook: {
+    damage: 8,
+    fireRate: 0.15,
+    bulletSpeed: 216,
+    bulletSize: 0.06,
+    color: 0xff8800,
+    name: 'Submachine Gun'
+  },
+  knight: {
+    damage: 45,
+    fireRate: 0.8,
+    bulletSpeed: 108,
+    bulletSize: 0.2,
+    color: 0xff0000,
+    name: 'Shotgun'
+  },
+  bishop: {
+    damage: 25,
+    fireRate: 0.6,
+    bulletSpeed: 180,
+    bulletSize: 0.1,
+    color: 0xff00ff,
+    name: 'Revolver'
+  },
+  queen: {
+    damage: 20,
+    fireRate: 0.2,
+    bulletSpeed: 234,
+    bulletSize: 0.07,
+    color: 0x00ffff,
+    name: 'Assault Rifle'
+  },
+  king: {
+    damage: 100,
+    fireRate: 1.2,
+    bulletSpeed: 288,
+    bulletSize: 0.05,
+    color: 0x00ff00,
+    name: 'Sniper Rifle'
+  }
+};
+
+export const STARTING_HEALTH = 100;
+
+// Arena layout
+export const ARENA_SIZE = 30;
+export const WALL_HEIGHT = 7.5;
+export const WALL_THICKNESS = 0.5;
+export const SPAWN_DISTANCE = 8; // Attacker spawns at -x, defender at +x
+export const MAX_BULLET_RANGE = 30;
+
+// Fighters
+export const EYE_HEIGHT = 1.6; // Eye height when standing on the ground
+export const MAX_EYE_HEIGHT = 6;
+export const PLAYER_RADIUS = 0.5; // For movement against cover
+export const HIT_RADIUS = 0.75; // Hit capsule from the feet up to the eyes
+export const BODY_HEIGHT = 1.5; // Eyes to feet
+
+// Longest the host will rewind for a guest's shot (latency + interpolation)
+export const MAX_REWIND_MS = 300;
+const MAX_REWIND_TICKS = Math.ceil(MAX_REWIND_MS / 1000 * SIMULATION_HZ);
+const MAX_RECENT_SHOTS = 8; // As many as a peer keeps unacknowledged
+
+// Movement tuning
+const GRAVITY = 15; // units/s² - faster than real gravity
+const JUMP_VELOCITY = 6.5; // units/s - results in ~1.41 unit jump height
+const MAX_SPEED = 6; // units/s - horizontal speed cap (prevents diagonal exploit)
+const MOVE_ACCELERATION = 40; // units/s² - high for responsive input
+const FRICTION = 25; // units/s² - deceleration when no input
+
+// Axis-aligned boxes as { center, size }
+export const WALLS = [
+  { center: { x: 0, y: WALL_HEIGHT / 2, z: -ARENA_SIZE / 2 }, size: { x: ARENA_SIZE, y: WALL_HEIGHT, z: WALL_THICKNESS } },
+  { center: { x: 0, y: WALL_HEIGHT / 2, z: ARENA_SIZE / 2 }, size: { x: ARENA_SIZE, y: WALL_HEIGHT, z: WALL_THICKNESS } },
+  { center: { x: ARENA_SIZE / 2, y: WALL_HEIGHT / 2, z: 0 }, size: { x: WALL_THICKNESS, y: WALL_HEIGHT, z: ARENA_SIZE } },
+  { center: { x: -ARENA_SIZE / 2, y: WALL_HEIGHT / 2, z: 0 }, size: { x: WALL_THICKNESS, y: WALL_HEIGHT, z: ARENA_SIZE } }
+];
+
+// Tall boxes in the corners hide a standing player; the low one in the
+// middle only covers a crouch-height line of fire
+export const COVER_BOXES = [
+  { center: { x: -6, y: 1.25, z: -6 }, size: { x: 3, y: 2.5, z: 3 } },
+  { center: { x: 6, y: 1.25, z: 6 }, size: { x: 3, y: 2.5, z: 3 } },
+  { center: { x: -6, y: 1.25, z: 6 }, size: { x: 3, y: 2.5, z: 3 } },
+  { center: { x: 6, y: 1.25, z: -6 }, size: { x: 3, y: 2.5, z: 3 } },
+  { center: { x: 0, y: 0.5, z: 0 }, size: { x: 1.5, y: 1, z: 1.5 } }
+];
+
+export function getBounds(box) {
+  return {
+    min: {
+      x: box.center.x - box.size.x / 2,
+      y: box.center.y - box.size.y / 2,
+      z: box.center.z - box.size.z / 2
+    },
+    max: {
+      x: box.center.x + box.size.x / 2,
+      y: box.center.y + box.size.y / 2,
+      z: box.center.z + box.size.z / 2
+    }
+  };
+}
+
+export const COVER_BOUNDS = COVER_BOXES.map(getBounds);
+const SOLID_BOUNDS = WALLS.map(getBounds).concat(COVER_BOUNDS);
+
+// Whether a fighter standing at position (x/z only) overlaps a cover box
+export function overlapsCover(position, radius = PLAYER_RADIUS) {
+  return COVER_BOUNDS.some(bounds =>
+    position.x + radius > bounds.min.x && position.x - radius < bounds.max.x &&
+    position.z + radius > bounds.min.z && position.z - radius < bounds.max.z
+  );
+}
+
+// Fraction (0-1) along from -> to where the segment enters the box, or
+// null if it misses. A segment starting inside the box enters at 0.
+export function segmentBoxEntry(from, to, bounds) {
+  let tMin = 0;
+  let tMax = 1;
+
+  for (const axis of ['x', 'y', 'z']) {
+    const delta = to[axis] - from[axis];
+    if (Math.abs(delta) < 1e-9) {
+      if (from[axis] < bounds.min[axis] || from[axis] > bounds.max[axis]) return null;
+      continue;
+    }
+
+    let t1 = (bounds.min[axis] - from[axis]) / delta;
+    let t2 = (bounds.max[axis] - from[axis]) / delta;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return null;
+  }
+
+  return tMin;
+}
+
+// Fraction along from -> to where a bullet of the given radius first comes
+// within HIT_RADIUS of the fighter's body axis, or null if it never does
+export function segmentHitsFighter(from, to, eyePosition, bulletRadius = 0) {
+  const feet = { x: eyePosition.x, y: eyePosition.y - BODY_HEIGHT, z: eyePosition.z };
+  const { s, distance } = closestSegmentPoints(from, to, feet, eyePosition);
+  return distance <= HIT_RADIUS + bulletRadius ? s : null;
+}
+
+// Closest points between segments p1-q1 and p2-q2 (Ericson, Real-Time
+// Collision Detection 5.1.9). Returns the parameter on the first segment.
+function closestSegmentPoints(p1, q1, p2, q2) {
+  const d1 = sub(q1, p1);
+  const d2 = sub(q2, p2);
+  const r = sub(p1, p2);
+  const a = dot(d1, d1);
+  const e = dot(d2, d2);
+  const f = dot(d2, r);
+  let s;
+  let t;
+
+  if (a <= 1e-12 && e <= 1e-12) {
+    s = 0;
+    t = 0;
+  } else if (a <= 1e-12) {
+    s = 0;
+    t = clamp01(f / e);
+  } else {
+    const c = dot(d1, r);
+    if (e <= 1e-12) {
+      t = 0;
+      s = clamp01(-c / a);
+    } else {
+      const b = dot(d1, d2);
+      const denom = a * e - b * b;
+      s = denom !== 0 ? clamp01((b * f - c * e) / denom) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = clamp01(-c / a);
+      } else if (t > 1) {
+        t = 1;
+        s = clamp01((b - c) / a);
+      }
+    }
+  }
+
+  const c1 = addScaled(p1, d1, s);
+  const c2 = addScaled(p2, d2, t);
+  return { s, distance: length(sub(c1, c2)) };
+}
+
+export class BattleSimulation {
+  // isAuthority: the host, or the only client offline. It alone applies
+  // damage and decides the battle; a guest's simulation just moves things.
+  constructor({ playerType, opponentType, isAttacker = true, isAuthority = true }) {
+    const playerX = isAttacker ? -SPAWN_DISTANCE : SPAWN_DISTANCE;
+
+    this.isAuthority = isAuthority;
+    this.tick = 0;
+    this.player = createFighter(playerType, { x: playerX, y: EYE_HEIGHT, z: 0 });
+    this.opponent = createFighter(opponentType, { x: -playerX, y: EYE_HEIGHT, z: 0 });
+    this.bullets = [];
+    this.nextBulletId = 1;
+    this.winner = null; // 'player' or 'opponent' once decided
+
+    // Local player physics
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.isGrounded = true;
+    this.jumpPressed = false;
+    this.lastValidPosition = { ...this.player.position };
+
+    // Both fighters' positions of recent ticks, newest last, for rewinding
+    // shots
+    this.playerHistory = [{ ...this.player.position }];
+    this.opponentHistory = [{ ...this.opponent.position }];
+    this.maxHistory = MAX_REWIND_TICKS + 1;
+  }
+
+  // One fixed tick. input: { forward, back, left, right, jump, yaw } where
+  // yaw is the camera's rotation about the vertical axis.
+  step(input = {}) {
+    if (this.winner) return;
+
+    this.tick++;
+    this.movePlayer(input);
+
+    for (const [history, fighter] of [[this.playerHistory, this.player], [this.opponentHistory, this.opponent]]) {
+      history.push({ ...fighter.position });
+      if (history.length > this.maxHistory) {
+        history.shift();
+      }
+    }
+
+    this.moveBullets();
+  }
+
+  // Fires the player's gun along direction. Returns the shot to send to the
+  // other side, or null while the gun is still cycling.
+  shoot(direction) {
+    if (this.winner || !canFire(this.player, this.tick)) return null;
+
+    this.player.lastShotTick = this.tick;
+    const stats = this.player.stats;
+    const velocity = scale(normalize(direction), stats.bulletSpeed);
+    this.spawnBullet('player', this.player.position, velocity, 0);
+
+    return {
+      position: { ...this.player.position },
+      velocity,
+      damage: stats.damage,
+      tick: this.tick
+    };
+  }
+
+  // A shot from the opponent (network peer or bot). The authority never
+  // trusts the shooter: fire rate, speed and damage come from the
+  // opponent's gun and the shot must leave from the opponent. rewindMs
+  // judges the bullet against where the player was on the shooter's screen,
+  // and its origin against where we saw the opponent since. Shots older
+  // than we can rewind are refused rather than judged in the wrong place.
+  //
+  // The fire rate is checked on the shooter's own tick (shot.tick), as
+  // repeated shots can arrive together or out of order. Bots fire on our
+  // tick.
+  addOpponentShot(shot, rewindMs = 0) {
+    if (this.winner || !shot) return false;
+
+    const position = toVector(shot.position);
+    const velocity = toVector(shot.velocity);
+    if (!position || !velocity || length(velocity) === 0) return false;
+
+    const shotTick = Number.isInteger(shot.tick) ? shot.tick : this.tick;
+    const rewindTicks = Math.round(Math.max(0, rewindMs || 0) / 1000 * SIMULATION_HZ);
+    if (this.isAuthority) {
+      if (rewindTicks > MAX_REWIND_TICKS) return false;
+      if (!this.isPlausibleShotTick(shotTick)) return false;
+      if (!this.keepsOpponentFireRate(shotTick)) return false;
+      if (!this.wasOpponentNear(position, rewindTicks)) return false;
+    }
+
+    this.recordOpponentShot(shotTick);
+    this.spawnBullet(
+      'opponent',
+      position,
+      scale(normalize(velocity), this.opponent.stats.bulletSpeed),
+      rewindTicks
+    );
+    return true;
+  }
+
+  // A resent shot may arrive after a newer one, so it must be far enough
+  // from the accepted shots on both sides of it, not just the latest.
+  // The 0.8 allows for jitter in the shooter's frame timing.
+  keepsOpponentFireRate(shotTick) {
+    const minTicks = this.opponent.stats.fireRate * 0.8 * SIMULATION_HZ - 1e-6;
+    return this.opponent.recentShotTicks.every(tick => Math.abs(shotTick - tick) >= minTicks);
+  }
+
+  recordOpponentShot(shotTick) {
+    const { opponent } = this;
+    opponent.lastShotTick = Math.max(opponent.lastShotTick ?? shotTick, shotTick);
+
+    opponent.recentShotTicks.push(shotTick);
+    opponent.recentShotTicks.sort((a, b) => a - b);
+    if (opponent.recentShotTicks.length > MAX_RECENT_SHOTS) {
+      opponent.recentShotTicks.shift();
+    }
+  }
+
+  // Whether the opponent was within reach of position at some tick of the
+  // last rewindTicks, or now
+  wasOpponentNear(position, rewindTicks) {
+    const recent = this.opponentHistory.slice(-(rewindTicks + 1)).concat([this.opponent.position]);
+    return recent.some(past => length(sub(position, past)) <= 3);
+  }
+
+  // The shooter's clock may start anywhere, but can't run ahead of ours:
+  // its ticks may lead by what they did on the first shot, plus the time
+  // that shot may have spent on the way. Forged ticks can't beat the fire
+  // rate for long.
+  isPlausibleShotTick(shotTick) {
+    const lead = shotTick - this.tick;
+    if (this.opponent.tickLead === null) {
+      this.opponent.tickLead = lead;
+    }
+    return lead <= this.opponent.tickLead + MAX_REWIND_TICKS;
+  }
+
+  setOpponentPosition(position) {
+    this.opponent.position = { x: position.x, y: position.y, z: position.z };
+  }
+
+  // Guest only: health as decided by the host
+  setHealth(playerHealth, opponentHealth) {
+    if (this.isAuthority) return;
+    this.player.health = playerHealth;
+    this.opponent.health = opponentHealth;
+  }
+
+  movePlayer(input) {
+    const dt = FIXED_DT;
+    const yaw = input.yaw || 0;
+    const forward = { x: -Math.sin(yaw), z: -Math.cos(yaw) };
+    const right = { x: -forward.z, z: forward.x };
+
+    let inputX = 0;
+    let inputZ = 0;
+    if (input.forward) { inputX += forward.x; inputZ += forward.z; }
+    if (input.back) { inputX -= forward.x; inputZ -= forward.z; }
+    if (input.left) { inputX -= right.x; inputZ -= right.z; }
+    if (input.right) { inputX += right.x; inputZ += right.z; }
+
+    const velocity = this.velocity;
+    const inputLength = Math.hypot(inputX, inputZ);
+    if (inputLength > 0) {
+      velocity.x += inputX / inputLength * MOVE_ACCELERATION * dt;
+      velocity.z += inputZ / inputLength * MOVE_ACCELERATION * dt;
+    } else {
+      const horizontalSpeed = Math.hypot(velocity.x, velocity.z);
+      if (horizontalSpeed > 0) {
+        const frictionMag = Math.min(FRICTION * dt, horizontalSpeed);
+        velocity.x -= velocity.x / horizontalSpeed * frictionMag;
+        velocity.z -= velocity.z / horizontalSpeed * frictionMag;
+      }
+    }
+
+    const horizontalSpeed = Math.hypot(velocity.x, velocity.z);
+    if (horizontalSpeed > MAX_SPEED) {
+      velocity.x *= MAX_SPEED / horizontalSpeed;
+      velocity.z *= MAX_SPEED / horizontalSpeed;
+    }
+
+    if (input.jump && !this.jumpPressed && this.isGrounded) {
+      velocity.y = JUMP_VELOCITY;
+      this.isGrounded = false;
+      this.jumpPressed = true;
+    }
+    if (!input.jump) {
+      this.jumpPressed = false;
+    }
+
+    velocity.y -= GRAVITY * dt;
+
+    const position = addScaled(this.player.position, velocity, dt);
+
+    if (position.y <= EYE_HEIGHT) {
+      position.y = EYE_HEIGHT;
+      velocity.y = 0;
+      this.isGrounded = true;
+    } else {
+      this.isGrounded = false;
+    }
+
+    if (position.y >= MAX_EYE_HEIGHT) {
+      position.y = MAX_EYE_HEIGHT;
+      if (velocity.y > 0) velocity.y = 0;
+    }
+
+    this.player.position = this.constrainPlayerMovement(position);
+  }
+
+  // Keeps the player inside the arena and out of the cover boxes
+  constrainPlayerMovement(position) {
+    const halfSize = ARENA_SIZE / 2 - 0.5;
+    position.x = Math.max(-halfSize, Math.min(halfSize, position.x));
+    position.z = Math.max(-halfSize, Math.min(halfSize, position.z));
+    position.y = Math.max(0.5, Math.min(MAX_EYE_HEIGHT, position.y));
+
+    if (overlapsCover(position)) {
+      return { ...this.lastValidPosition };
+    }
+
+    this.lastValidPosition = { ...position };
+    return position;
+  }
+
+  spawnBullet(owner, position, velocity, rewindTicks) {
+    const stats = (owner === 'player' ? this.player : this.opponent).stats;
+    this.bullets.push({
+      id: this.nextBulletId++,
+      owner,
+      position: { ...position },
+      velocity,
+      damage: stats.damage,
+      radius: stats.bulletSize,
+      rewindTicks
+    });
+  }
+
+  // Bullets are swept along their whole path each tick, so fast ones can't
+  // skip through a fighter or a thin box between two ticks
+  moveBullets() {
+    for (let i = this.bullets.length - 1; i >= 0; i--) {
+      const bullet = this.bullets[i];
+      const from = bullet.position;
+      const to = addScaled(from, bullet.velocity, FIXED_DT);
+
+      let wallHit = Infinity;
+      for (const bounds of SOLID_BOUNDS) {
+        const t = segmentBoxEntry(from, to, bounds);
+        if (t !== null && t < wallHit) wallHit = t;
+      }
+
+      const target = bullet.owner === 'player'
+        ? this.opponent.position
+        : this.getRewoundPlayerPosition(bullet.rewindTicks);
+      const hit = segmentHitsFighter(from, to, target, bullet.radius);
+
+      if (hit !== null && hit <= wallHit) {
+        this.bullets.splice(i, 1);
+        this.applyHit(bullet);
+        if (this.winner) return;
+        continue;
+      }
+
+      if (wallHit !== Infinity || length(to) > MAX_BULLET_RANGE) {
+        this.bullets.splice(i, 1);
+        continue;
+      }
+
+      bullet.position = to;
+    }
+  }
+
+  getRewoundPlayerPosition(ticks) {
+    const index = Math.max(0, this.playerHistory.length - 1 - ticks);
+    return this.playerHistory[index];
+  }
+
+  // Guests still remove the bullet so it doesn't fly through the target
+  applyHit(bullet) {
+    if (!this.isAuthority) return;
+
+    const victim = bullet.owner === 'player' ? this.opponent : this.player;
+    victim.health = Math.max(0, victim.health - bullet.damage);
+    if (victim.health === 0) {
+      this.winner = bullet.owner;
+    }
+  }
+}
+
+function createFighter(type, position) {
+  const key = type.toLowerCase();
+  return {
+    type: key,
+    stats: GUN_STATS[key] || GUN_STATS.pawn,
+    position,
+    health: STARTING_HEALTH,
+    lastShotTick: null, // In the shooter's ticks
+    recentShotTicks: [], // Opponent only: accepted shots, oldest first
+    tickLead: null // Opponent only: its first shot's tick minus ours
+  };
+}
+
+function canFire(fighter, tick) {
+  if (fighter.lastShotTick === null) return true;
+  return (tick - fighter.lastShotTick) * FIXED_DT >= fighter.stats.fireRate - 1e-9;
+}
+
+function toVector(value) {
+  if (!value) return null;
+  const vector = { x: Number(value.x), y: Number(value.y), z: Number(value.z) };
+  return Number.isFinite(vector.x) && Number.isFinite(vector.y) && Number.isFinite(vector.z) ? vector : null;
+}
+
+function sub(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function scale(v, s) {
+  return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+function addScaled(a, v, s) {
+  return { x: a.x + v.x * s, y: a.y + v.y * s, z: a.z + v.z * s };
+}
+
+function length(v) {
+  return Math.sqrt(dot(v, v));
+}
+
+function normalize(v) {
+  const len = length(v);
+  return len > 0 ? scale(v, 1 / len) : { x: 0, y: 0, z: 0 };
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
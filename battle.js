@@ -1,5 +1,18 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { BattleBot } from './battle-bot.js';
+import {
+  BattleSimulation, FIXED_DT, GUN_STATS, ARENA_SIZE, WALLS, COVER_BOXES,
+  SPAWN_DISTANCE, EYE_HEIGHT, STARTING_HEALTH
+} from './battle-sim.js';
+import { SnapshotBuffer } from './snapshot-buffer.js';
+
+// Renders a BattleSimulation (battle-sim.js): builds the arena meshes,
+// loads the piece and gun models, feeds local input into the simulation
+// and draws its state. All combat rules live in the simulation.
+
+// Longest frame we catch up on, so a stalled tab doesn't fast-forward
+const MAX_FRAME_TIME = 0.25;
 
 export class BattleArena {
   constructor(scene, camera) {
@@ -7,10 +20,7 @@ export class BattleArena {
     this.camera = camera;
     this.battleActive = false;
     this.arenaGroup = new THREE.Group();
-    this.player1Health = 100;
-    this.player2Health = 100;
-    this.bullets = [];
-    this.enemyBullets = [];
+    this.sim = null;
     this.opponent = null;
     this.playerPiece = null;
     this.opponentPiece = null;
@@ -19,78 +29,37 @@ export class BattleArena {
     this.playerGun = null;
     this.opponentGun = null;
     this.isMultiplayer = false;
-
-    // Physics state for player movement
-    this.playerVelocity = new THREE.Vector3(0, 0, 0);
-    this.isGrounded = false;
-    this.jumpPressed = false;
-    this.groundLevel = 1.6; // Camera Y position when on ground
-
-    // Physics constants
-    this.gravity = 15; // units/s² - faster than real gravity
-    this.jumpVelocity = 6.5; // units/s - results in ~1.41 unit jump height
-    this.maxSpeed = 6; // units/s - horizontal speed cap (prevents diagonal exploit)
-    this.moveAcceleration = 40; // units/s² - high for responsive input
-    this.friction = 25; // units/s² - deceleration when no input
-
-    // Arena boundaries
-    this.arenaSize = 30; // Expanded by 50% (20 → 30)
+    // The authority (the host, or the local client offline) applies damage
+    // and decides the battle; a guest only displays what the host sends
+    this.isAuthority = true;
+    // Frozen while a network game reconnects
+    this.paused = false;
+
+    // Spectators watch both fighters, driven by the players' updates, from
+    // a free camera; there is no simulation then
+    this.spectating = false;
+    this.fighters = {}; // Color -> { root, snapshots, health }
+
+    // Received opponent updates, shown slightly in the past
+    this.opponentSnapshots = new SnapshotBuffer();
+    this.opponentRotation = { x: 0, y: 0, z: 0 };
+
+    // Computer-controlled opponent for offline battles
+    this.bot = null;
+    this.botDifficulty = 'medium';
+
+    // Fixed-timestep bookkeeping. The camera is placed between the player's
+    // position before and after the latest tick each frame.
+    this.accumulator = 0;
+    this.previousPlayerPosition = new THREE.Vector3();
+    this.bulletMeshes = new Map(); // Simulation bullet id -> mesh
+
+    // Arena meshes
+    this.arenaSize = ARENA_SIZE;
     this.arenaWalls = [];
     this.coverBoxes = []; // Separate array for cover boxes
     
-    // Gun stats by piece type
-    this.gunStats = {
-      pawn: {
-        damage: 15,
-        fireRate: 0.5,
-        bulletSpeed: 0.4,
-        bulletSize: 0.08,
-        color: 0xffff00,
-        name: 'Pistol'
-      },
-      rook: {
-        damage: 8,
-        fireRate: 0.15,
-        bulletSpeed: 0.6,
-        bulletSize: 0.06,
-        color: 0xff8800,
-        name: 'Submachine Gun'
-      },
-      knight: {
-        damage: 45,
-        fireRate: 0.8,
-        bulletSpeed: 0.30,
-        bulletSize: 0.2,
-        color: 0xff0000,
-        name: 'Shotgun'
-      },
-      bishop: {
-        damage: 25,
-        fireRate: 0.6,
-        bulletSpeed: 0.5,
-        bulletSize: 0.1,
-        color: 0xff00ff,
-        name: 'Revolver'
-      },
-      queen: {
-        damage: 20,
-        fireRate: 0.2,
-        bulletSpeed: 0.65,
-        bulletSize: 0.07,
-        color: 0x00ffff,
-        name: 'Assault Rifle'
-      },
-      king: {
-        damage: 100,
-        fireRate: 1.2,
-        bulletSpeed: 0.8,
-        bulletSize: 0.05,
-        color: 0x00ff00,
-        name: 'Sniper Rifle'
-      }
-    };
-    
-    this.lastShotTime = 0;
+    this.gunStats = GUN_STATS;
 
     // GLTF loader
     this.gltfLoader = new GLTFLoader();
@@ -139,10 +108,6 @@ export class BattleArena {
         king:  '/assets/King/SniperRifle_1.glb'
     };
 
-    // Reusable hitbox + temp sphere for collision
-    this.opponentHitBox = new THREE.Box3();
-    this.tempBulletSphere = new THREE.Sphere();
-
   }
 
   loadGunModel(type, callback) {
@@ -271,24 +236,24 @@ export class BattleArena {
     return root;
   }
 
-  startBattle(playerPiece, opponentPiece, isAttacker, onBattleEnd, isMultiplayer = false) {
+  startBattle(playerPiece, opponentPiece, isAttacker, onBattleEnd, isMultiplayer = false, isAuthority = true) {
     this.battleActive = true;
     this.playerPiece = playerPiece;
     this.opponentPiece = opponentPiece;
     this.isAttacker = isAttacker;
     this.isMultiplayer = isMultiplayer;
-    this.player1Health = 100;
-    this.player2Health = 100;
-    this.bullets = [];
-    this.enemyBullets = [];
+    this.isAuthority = isAuthority;
     this.onBattleEnd = onBattleEnd;
-    this.lastValidPosition = null;
-    this.lastShotTime = 0;
-
-    // Reset physics state
-    this.playerVelocity.set(0, 0, 0);
-    this.isGrounded = true;
-    this.jumpPressed = false;
+    this.accumulator = 0;
+    this.paused = false;
+    this.opponentSnapshots.clear();
+
+    this.sim = new BattleSimulation({
+      playerType: playerPiece.type,
+      opponentType: opponentPiece.type,
+      isAttacker,
+      isAuthority
+    });
 
     this.createArena();
     
@@ -319,24 +284,20 @@ export class BattleArena {
       }
     });
     
-    // Position players with raised camera height
-    if (isAttacker) {
-      this.camera.position.set(-8, 1.6, 0);
-      this.camera.rotation.set(0, Math.PI / 2, 0);
-      this.createOpponent(8, 0, 0);
-    } else {
-      this.camera.position.set(8, 1.6, 0);
-      this.camera.rotation.set(0, -Math.PI / 2, 0);
-      this.createOpponent(-8, 0, 0);
-    }
-    
-    // Store initial position
-    this.lastValidPosition = this.camera.position.clone();
+    // Spawn points come from the simulation; face the opponent
+    const { player, opponent } = this.sim;
+    this.camera.position.set(player.position.x, player.position.y, player.position.z);
+    this.camera.rotation.set(0, isAttacker ? Math.PI / 2 : -Math.PI / 2, 0);
+    this.previousPlayerPosition.copy(this.camera.position);
+    this.createOpponent(opponent.position.x, opponent.position.y, opponent.position.z);
+
+    // Without a network opponent the bot takes control of the enemy piece
+    this.bot = isMultiplayer ? null : new BattleBot(this.sim, this.botDifficulty);
     
     return {
-      playerHealth: this.player1Health,
-      opponentHealth: this.player2Health,
-      gunStats: this.gunStats[playerPiece.type.toLowerCase()]
+      playerHealth: player.health,
+      opponentHealth: opponent.health,
+      gunStats: player.stats
     };
   }
 
@@ -391,6 +352,10 @@ export class BattleArena {
   }
 
   createArena() {
+    // Start from a clean slate; the previous battle's meshes are gone
+    this.arenaWalls = [];
+    this.coverBoxes = [];
+
     // Floor
     const floorGeometry = new THREE.PlaneGeometry(this.arenaSize, this.arenaSize);
 
@@ -438,58 +403,25 @@ export class BattleArena {
     gridHelper.position.y = 0.01;
     this.arenaGroup.add(gridHelper);
     
-    // Walls
-    const wallHeight = 7.5; // Increased by 50% (5 → 7.5)
-    const wallThickness = 0.5;
+    // Walls (geometry from the simulation's WALLS: north, south, east, west)
     const wallMaterial = new THREE.MeshStandardMaterial({
       color: 0x222222,
       transparent: true,
       opacity: 0.3
     });
 
-    // North wall
-    const northWall = new THREE.Mesh(
-      new THREE.BoxGeometry(this.arenaSize, wallHeight, wallThickness),
-      wallMaterial.clone()
-    );
-    northWall.position.set(0, wallHeight / 2, -this.arenaSize / 2);
-    northWall.castShadow = true;
-    northWall.receiveShadow = true;
-    this.arenaGroup.add(northWall);
-    this.arenaWalls.push(northWall);
-
-    // South wall
-    const southWall = new THREE.Mesh(
-      new THREE.BoxGeometry(this.arenaSize, wallHeight, wallThickness),
-      wallMaterial.clone()
-    );
-    southWall.position.set(0, wallHeight / 2, this.arenaSize / 2);
-    southWall.castShadow = true;
-    southWall.receiveShadow = true;
-    this.arenaGroup.add(southWall);
-    this.arenaWalls.push(southWall);
-
-    // East wall
-    const eastWall = new THREE.Mesh(
-      new THREE.BoxGeometry(wallThickness, wallHeight, this.arenaSize),
-      wallMaterial.clone()
-    );
-    eastWall.position.set(this.arenaSize / 2, wallHeight / 2, 0);
-    eastWall.castShadow = true;
-    eastWall.receiveShadow = true;
-    this.arenaGroup.add(eastWall);
-    this.arenaWalls.push(eastWall);
-
-    // West wall
-    const westWall = new THREE.Mesh(
-      new THREE.BoxGeometry(wallThickness, wallHeight, this.arenaSize),
-      wallMaterial.clone()
-    );
-    westWall.position.set(-this.arenaSize / 2, wallHeight / 2, 0);
-    westWall.castShadow = true;
-    westWall.receiveShadow = true;
-    this.arenaGroup.add(westWall);
-    this.arenaWalls.push(westWall);
+    const [northWall, southWall, eastWall, westWall] = WALLS.map(({ center, size }) => {
+      const wall = new THREE.Mesh(
+        new THREE.BoxGeometry(size.x, size.y, size.z),
+        wallMaterial.clone()
+      );
+      wall.position.set(center.x, center.y, center.z);
+      wall.castShadow = true;
+      wall.receiveShadow = true;
+      this.arenaGroup.add(wall);
+      this.arenaWalls.push(wall);
+      return wall;
+    });
 
     // Load wall textures and apply to all walls
     this.loadMaterialTextures('wall', (textures) => {
@@ -546,35 +478,20 @@ export class BattleArena {
   addCover() {
     const coverMaterial = new THREE.MeshStandardMaterial({ color: 0x555555 });
 
-    const positions = [
-      [-6, 1.25, -6],  // Southwest 
-      [6, 1.25, 6],    // Northeast
-      [-6, 1.25, 6],   // Northwest
-      [6, 1.25, -6],   // Southeast
-      [0, 0.5, 0]      // Center
-    ];
-
     const boxes = [];
 
-    positions.forEach(pos => {
-      // Determine if this is the center box
-      const isCenter = (pos[0] === 0 && pos[2] === 0);
-
-      // Center box stays small, corner boxes become tall and wide
-      const width = isCenter ? 1.5 : 3.0;   // Double wide for corners
-      const height = isCenter ? 1.0 : 2.5;  // Taller than player (1.6) for corners
-      const depth = isCenter ? 1.5 : 3.0;   // Double depth for corners
-
+    // Layout and sizes come from the simulation's COVER_BOXES
+    COVER_BOXES.forEach(({ center, size }) => {
       const box = new THREE.Mesh(
-        new THREE.BoxGeometry(width, height, depth),
+        new THREE.BoxGeometry(size.x, size.y, size.z),
         coverMaterial.clone()
       );
-      box.position.set(pos[0], pos[1], pos[2]);
+      box.position.set(center.x, center.y, center.z);
       box.castShadow = true;
       box.receiveShadow = true;
       this.arenaGroup.add(box);
-      this.arenaWalls.push(box); // For bullet collision
-      this.coverBoxes.push(box);  // For player collision
+      this.arenaWalls.push(box);
+      this.coverBoxes.push(box);
       boxes.push(box);
     });
 
@@ -646,48 +563,22 @@ export class BattleArena {
   }
 
   shoot() {
-    if (!this.battleActive || !this.playerPiece) return null;
-    
-    const currentTime = Date.now() / 1000;
-    const stats = this.gunStats[this.playerPiece.type.toLowerCase()];
-    
-    // Check fire rate cooldown
-    if (currentTime - this.lastShotTime < stats.fireRate) {
-      return null;
-    }
-    
-    this.lastShotTime = currentTime;
-    
-    // Create bullet with gun-specific properties
-    const bulletGeometry = new THREE.SphereGeometry(stats.bulletSize, 8, 8);
-    const bulletMaterial = new THREE.MeshBasicMaterial({ 
-      color: stats.color,
-      emissive: stats.color
-    });
-    const bullet = new THREE.Mesh(bulletGeometry, bulletMaterial);
-    
-    // Start bullet from camera center (where cursor is)
-    bullet.position.copy(this.camera.position);
-    
-    // Shoot straight at cursor direction
+    if (!this.battleActive || !this.sim || this.paused) return null;
+
+    // Shoot straight at cursor direction, from the player's eye
     const direction = new THREE.Vector3();
     this.camera.getWorldDirection(direction);
-    
-    // Bullet velocity
-    bullet.userData.velocity = direction.multiplyScalar(stats.bulletSpeed * 6);
-    bullet.userData.damage = stats.damage;
-    bullet.userData.radius = stats.bulletSize;
-    
-    this.arenaGroup.add(bullet);
-    this.bullets.push(bullet);
-    
+
+    const shot = this.sim.shoot(direction);
+    if (!shot) return null;
+
     // Add muzzle flash effect
     this.createMuzzleFlash();
-    
+
     return {
-      position: bullet.position.clone(),
-      velocity: bullet.userData.velocity.clone(),
-      damage: stats.damage
+      ...shot,
+      // What we saw of the opponent when firing, in the opponent's clock
+      viewTime: this.isMultiplayer ? this.opponentSnapshots.getRenderTime() : null
     };
   }
 
@@ -705,8 +596,51 @@ export class BattleArena {
     }, 50);
   }
 
-  updateBattle(deltaTime) {
+  // Called once per rendered frame: runs as many fixed ticks as the
+  // elapsed time calls for, then positions the camera and meshes
+  updateBattle(deltaTime, keys = {}) {
     if (!this.battleActive) return;
+    if (this.spectating) return this.updateSpectatedFighters(Date.now());
+    if (!this.sim) return;
+    if (this.paused) return this.getHealth();
+
+    const sim = this.sim;
+    const input = {
+      forward: keys['KeyW'],
+      back: keys['KeyS'],
+      left: keys['KeyA'],
+      right: keys['KeyD'],
+      jump: keys['Space'],
+      yaw: this.camera.rotation.y
+    };
+
+    if (this.isMultiplayer) {
+      this.updateOpponentFromSnapshots(Date.now());
+    }
+
+    this.accumulator += Math.min(deltaTime, MAX_FRAME_TIME);
+    while (this.accumulator >= FIXED_DT) {
+      this.previousPlayerPosition.set(sim.player.position.x, sim.player.position.y, sim.player.position.z);
+      if (this.bot) {
+        this.bot.update(FIXED_DT);
+      }
+      sim.step(input);
+      this.accumulator -= FIXED_DT;
+
+      if (sim.winner) {
+        // The handler usually tears the arena down; don't touch it after
+        if (this.onBattleEnd) {
+          this.onBattleEnd(sim.winner === 'player');
+        }
+        return this.getHealth(sim);
+      }
+    }
+
+    this.camera.position.lerpVectors(
+      this.previousPlayerPosition,
+      sim.player.position,
+      this.accumulator / FIXED_DT
+    );
     
     // Update gun position to follow camera (centered barrel view)
     if (this.playerGun) {
@@ -721,252 +655,141 @@ export class BattleArena {
       this.playerGun.rotation.copy(this.camera.rotation);
       this.playerGun.rotation.y += Math.PI / 2;
     }
-    
-    // Update player bullets
-    for (let i = this.bullets.length - 1; i >= 0; i--) {
-      const bullet = this.bullets[i];
-      bullet.position.add(bullet.userData.velocity);
-      
-      if (this.opponent && !this.isMultiplayer) {
-        this.opponentHitBox.setFromObject(this.opponent);
-        this.opponentHitBox.expandByScalar(1.5);
-        const bulletRadius =
-          bullet.userData.radius ??
-          (bullet.geometry?.parameters?.radius ?? 0.05);
-
-        this.tempBulletSphere.center.copy(bullet.position);
-        this.tempBulletSphere.radius = bulletRadius;
-
-        if (this.opponentHitBox.intersectsSphere(this.tempBulletSphere)) {
-          this.player2Health -= bullet.userData.damage || 20;
-          this.arenaGroup.remove(bullet);
-          this.bullets.splice(i, 1);
-
-          if (this.player2Health <= 0) {
-            this.player2Health = 0;
-            if (this.onBattleEnd) {
-              this.onBattleEnd(true);
-            }
-          }
-          continue;
-        }
-      }
-      
-      let hitWall = false;
-      for (const wall of this.arenaWalls) {
-        const box = new THREE.Box3().setFromObject(wall);
-        if (box.containsPoint(bullet.position)) {
-          hitWall = true;
-          break;
-        }
-      }
-      
-      if (hitWall || bullet.position.length() > 30) {
-        this.arenaGroup.remove(bullet);
-        this.bullets.splice(i, 1);
-      }
-    }
-    
-    // Update opponent bullets
-    for (let i = this.enemyBullets.length - 1; i >= 0; i--) {
-      const bullet = this.enemyBullets[i];
-      bullet.position.add(bullet.userData.velocity);
-      
-      // Check hit on player with hitbox
-      {
-        const bulletRadius =
-          bullet.userData.radius ??
-          (bullet.geometry?.parameters?.radius ?? 0.05);
-
-        const playerBaseRadius = 0.75;
-        if (bullet.position.distanceTo(this.camera.position) < playerBaseRadius + bulletRadius) {
-          const damage = bullet.userData.damage || 20;
-          this.player1Health -= damage;
-          this.arenaGroup.remove(bullet);
-          this.enemyBullets.splice(i, 1);
-          
-          if (this.player1Health <= 0) {
-            this.player1Health = 0;
-            if (this.onBattleEnd) {
-              this.onBattleEnd(false);
-            }
-          }
-          continue;
-        }
-      }
-      
-      let hitWall = false;
-      for (const wall of this.arenaWalls) {
-        const box = new THREE.Box3().setFromObject(wall);
-        if (box.containsPoint(bullet.position)) {
-          hitWall = true;
-          break;
-        }
-      }
-      
-      if (hitWall || bullet.position.length() > 30) {
-        this.arenaGroup.remove(bullet);
-        this.enemyBullets.splice(i, 1);
-      }
+
+    if (this.opponent) {
+      const { position } = sim.opponent;
+      const rotation = this.bot ? { x: 0, y: this.bot.getYaw(), z: 0 } : this.opponentRotation;
+      this.opponent.position.set(position.x, position.y, position.z);
+      this.opponent.rotation.set(rotation.x, rotation.y, rotation.z);
     }
-    
-    return {
-      playerHealth: this.player1Health,
-      opponentHealth: this.player2Health
-    };
+
+    this.syncBulletMeshes();
+
+    return this.getHealth();
   }
 
-  updateBattlePhysics(keys, deltaTime, camera) {
-    const forward = new THREE.Vector3();
-    const right = new THREE.Vector3();
-
-    camera.getWorldDirection(forward);
-    forward.y = 0;
-    forward.normalize();
-
-    right.crossVectors(forward, new THREE.Vector3(0, 1, 0));
-
-    const inputDir = new THREE.Vector3(0, 0, 0);
-    if (keys['KeyW']) inputDir.add(forward);
-    if (keys['KeyS']) inputDir.sub(forward);
-    if (keys['KeyA']) inputDir.sub(right);
-    if (keys['KeyD']) inputDir.add(right);
-
-    if (inputDir.lengthSq() > 0) {
-      inputDir.normalize();
-      this.playerVelocity.x += inputDir.x * this.moveAcceleration * deltaTime;
-      this.playerVelocity.z += inputDir.z * this.moveAcceleration * deltaTime;
-    } else {
-      const horizontalSpeed = Math.sqrt(
-        this.playerVelocity.x * this.playerVelocity.x +
-        this.playerVelocity.z * this.playerVelocity.z
-      );
+  // Creates, moves and removes bullet meshes to match the simulation
+  syncBulletMeshes() {
+    const alive = new Set();
 
-      if (horizontalSpeed > 0) {
-        const frictionMag = Math.min(this.friction * deltaTime, horizontalSpeed);
-        const frictionDir = new THREE.Vector3(
-          this.playerVelocity.x / horizontalSpeed,
-          0,
-          this.playerVelocity.z / horizontalSpeed
+    for (const bullet of this.sim.bullets) {
+      alive.add(bullet.id);
+
+      let mesh = this.bulletMeshes.get(bullet.id);
+      if (!mesh) {
+        const stats = (bullet.owner === 'player' ? this.sim.player : this.sim.opponent).stats;
+        mesh = new THREE.Mesh(
+          new THREE.SphereGeometry(stats.bulletSize, 8, 8),
+          new THREE.MeshBasicMaterial({ color: stats.color })
         );
-        this.playerVelocity.x -= frictionDir.x * frictionMag;
-        this.playerVelocity.z -= frictionDir.z * frictionMag;
+        this.arenaGroup.add(mesh);
+        this.bulletMeshes.set(bullet.id, mesh);
       }
+      mesh.position.set(bullet.position.x, bullet.position.y, bullet.position.z);
     }
 
-    const horizontalSpeed = Math.sqrt(
-      this.playerVelocity.x * this.playerVelocity.x +
-      this.playerVelocity.z * this.playerVelocity.z
-    );
-
-    if (horizontalSpeed > this.maxSpeed) {
-      const scale = this.maxSpeed / horizontalSpeed;
-      this.playerVelocity.x *= scale;
-      this.playerVelocity.z *= scale;
+    for (const [id, mesh] of this.bulletMeshes) {
+      if (!alive.has(id)) {
+        this.arenaGroup.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+        this.bulletMeshes.delete(id);
+      }
     }
+  }
 
-    if (keys['Space'] && !this.jumpPressed && this.isGrounded) {
-      this.playerVelocity.y = this.jumpVelocity;
-      this.isGrounded = false;
-      this.jumpPressed = true;
+  endBattle(playerWon) {
+    this.stop();
+    
+    if (this.onBattleEnd) {
+      this.onBattleEnd(playerWon);
     }
+  }
 
-    if (!keys['Space']) {
-      this.jumpPressed = false;
-    }
+  // Leaves the arena without reporting a result: the simulation and the
+  // arena's part of the render loop stop until the next battle starts
+  stop() {
+    this.cleanup();
+    this.battleActive = false;
+  }
 
-    this.playerVelocity.y -= this.gravity * deltaTime;
+  isActive() {
+    return this.battleActive;
+  }
 
-    const newPosition = camera.position.clone();
-    newPosition.x += this.playerVelocity.x * deltaTime;
-    newPosition.y += this.playerVelocity.y * deltaTime;
-    newPosition.z += this.playerVelocity.z * deltaTime;
+  // Spectators only: the arena with both pieces at their spawn points,
+  // seen from above the attacker's side
+  startSpectating(attackingPiece, defendingPiece) {
+    this.battleActive = true;
+    this.spectating = true;
+    this.paused = false;
+    this.fighters = {};
+    this.createArena();
 
-    if (newPosition.y <= this.groundLevel) {
-      newPosition.y = this.groundLevel;
-      this.playerVelocity.y = 0; // Stop falling
-      this.isGrounded = true;
-    } else {
-      this.isGrounded = false;
+    for (const [piece, x] of [[attackingPiece, -SPAWN_DISTANCE], [defendingPiece, SPAWN_DISTANCE]]) {
+      const fighter = {
+        root: null,
+        snapshots: new SnapshotBuffer(),
+        health: STARTING_HEALTH
+      };
+      fighter.root = this.createBattlePiece(piece.type, piece.color, (root) => {
+        root.position.set(x, EYE_HEIGHT, 0);
+        this.arenaGroup.add(root);
+      });
+      this.fighters[piece.color] = fighter;
     }
 
-    if (newPosition.y >= 6) { // Increased to match taller walls
-      newPosition.y = 6;
-      if (this.playerVelocity.y > 0) {
-        this.playerVelocity.y = 0; // Stop upward movement
-      }
-    }
+    this.camera.position.set(-ARENA_SIZE / 2 + 2, 10, 0);
+    this.camera.rotation.set(-0.5, -Math.PI / 2, 0);
+  }
 
-    this.constrainPlayerMovement(newPosition);
+  isSpectating() {
+    return this.battleActive && this.spectating;
+  }
 
-    camera.position.copy(newPosition);
+  // A player's update, as relayed to spectators by the host
+  updateSpectatedFighter(color, position, rotation, sentAt = Date.now()) {
+    const fighter = this.fighters[color];
+    if (!this.spectating || !fighter || !position) return;
+    fighter.snapshots.push(sentAt, position, rotation, Date.now());
   }
 
-  endBattle(playerWon) {
-    this.battleActive = false;
-    
-    // Remove player gun from arena
-    if (this.playerGun && this.arenaGroup) {
-      this.arenaGroup.remove(this.playerGun);
-      this.playerGun = null;
-    }
-    
-    this.scene.remove(this.arenaGroup);
-    this.arenaGroup.clear();
-    this.arenaWalls = [];
-    this.bullets = [];
-    this.enemyBullets = [];
-    this.opponent = null;
-    this.opponentGun = null;
-    
-    if (this.onBattleEnd) {
-      this.onBattleEnd(playerWon);
+  // Health by color, as decided by the host
+  setSpectatedHealth(health) {
+    for (const [color, fighter] of Object.entries(this.fighters)) {
+      if (Number.isFinite(health[color])) {
+        fighter.health = health[color];
+      }
     }
   }
 
-  constrainPlayerMovement(position) {
-    if (!this.battleActive) return position;
-    
-    const halfSize = this.arenaSize / 2 - 0.5;
-    const playerRadius = 0.5;
-    
-    // Clamp to arena boundaries
-    position.x = Math.max(-halfSize, Math.min(halfSize, position.x));
-    position.z = Math.max(-halfSize, Math.min(halfSize, position.z));
-    position.y = Math.max(0.5, Math.min(6, position.y)); // Increased to 6 for taller walls
-    
-    // Check collision with cover boxes (only X and Z, ignore Y)
-    for (const box of this.coverBoxes) {
-      const boxBounds = new THREE.Box3().setFromObject(box);
-      
-      // Check if player X,Z position overlaps with box X,Z bounds (with radius)
-      if (position.x + playerRadius > boxBounds.min.x && position.x - playerRadius < boxBounds.max.x &&
-          position.z + playerRadius > boxBounds.min.z && position.z - playerRadius < boxBounds.max.z) {
-        
-        console.log('COLLISION DETECTED!', {
-          playerPos: position,
-          boxMin: boxBounds.min,
-          boxMax: boxBounds.max
-        });
-        
-        if (this.lastValidPosition) {
-          position.copy(this.lastValidPosition);
-        }
-        return position;
+  // Returns both fighters' health by color
+  updateSpectatedFighters(now) {
+    const health = {};
+
+    for (const [color, fighter] of Object.entries(this.fighters)) {
+      const state = fighter.snapshots.sample(fighter.snapshots.getRenderTime(now));
+      if (state) {
+        fighter.root.position.set(state.position.x, state.position.y, state.position.z);
+        fighter.root.rotation.set(state.rotation.x, state.rotation.y, state.rotation.z);
       }
+      health[color] = fighter.health;
     }
-    
-    // No collision - store this as last valid position
-    if (!this.lastValidPosition) {
-      this.lastValidPosition = new THREE.Vector3();
-    }
-    this.lastValidPosition.copy(position);
-    
-    return position;
+
+    return health;
   }
 
-  isActive() {
-    return this.battleActive;
+  // Stops the simulation without ending the battle. Opponent updates from
+  // before the pause are stale by the time it resumes.
+  setPaused(paused) {
+    this.paused = paused;
+    this.accumulator = 0;
+    this.opponentSnapshots.clear();
+  }
+
+  // Skill of the bot in offline battles (a key of BOT_DIFFICULTIES)
+  setBotDifficulty(difficulty) {
+    this.botDifficulty = difficulty;
   }
 
   cleanup() {
@@ -980,71 +803,75 @@ export class BattleArena {
       this.arenaGroup.clear();
     }
 
-    // Reset physics state
-    this.playerVelocity.set(0, 0, 0);
-    this.isGrounded = false;
-    this.jumpPressed = false;
+    this.bulletMeshes.clear();
+    this.opponent = null;
+    this.opponentGun = null;
+    this.bot = null;
+    this.sim = null;
+    this.spectating = false;
+    this.fighters = {};
+  }
+
+  getHealth(sim = this.sim) {
+    return {
+      playerHealth: sim ? sim.player.health : 0,
+      opponentHealth: sim ? sim.opponent.health : 0
+    };
   }
 
   getPlayerState() {
+    const position = this.sim ? this.sim.player.position : this.camera.position;
     return {
       position: {
-        x: this.camera.position.x,
-        y: this.camera.position.y,
-        z: this.camera.position.z
+        x: position.x,
+        y: position.y,
+        z: position.z
       },
       rotation: {
         x: this.camera.rotation.x,
         y: this.camera.rotation.y,
         z: this.camera.rotation.z
       },
-      health: this.player1Health
+      health: this.sim ? this.sim.player.health : 0
     };
   }
 
-  updateOpponentPosition(position, rotation) {
-    if (!this.opponent || !this.battleActive) return;
-    
-    if (position) {
-      this.opponent.position.set(position.x, position.y, position.z);
-    }
-    
-    if (rotation) {
-      this.opponent.rotation.set(rotation.x, rotation.y, rotation.z);
-    }
+  // Buffers a network update; updateBattle feeds it to the simulation
+  updateOpponentPosition(position, rotation, sentAt = Date.now()) {
+    if (!this.battleActive || !position) return;
+    this.opponentSnapshots.push(sentAt, position, rotation, Date.now());
   }
 
-  updateOpponentHealth(health) {
-    if (!this.battleActive) return;
-    this.player2Health = health;
+  updateOpponentFromSnapshots(now) {
+    const state = this.opponentSnapshots.sample(this.opponentSnapshots.getRenderTime(now));
+    if (!state) return;
+
+    this.sim.setOpponentPosition(state.position);
+    this.opponentRotation = state.rotation;
   }
 
+  // Guest only: health as decided by the host
+  setHealth(playerHealth, opponentHealth) {
+    if (!this.battleActive || !this.sim) return;
+    this.sim.setHealth(playerHealth, opponentHealth);
+  }
+
+  // A shot fired by the network opponent
   handleOpponentShot(shotData) {
-    if (!shotData || !this.battleActive || !this.opponentPiece) return;
-    
-    const stats = this.gunStats[this.opponentPiece.type.toLowerCase()];
-    
-    const bulletGeometry = new THREE.SphereGeometry(stats.bulletSize, 8, 8);
-    const bulletMaterial = new THREE.MeshBasicMaterial({ 
-      color: stats.color,
-      emissive: stats.color
-    });
-    const bullet = new THREE.Mesh(bulletGeometry, bulletMaterial);
-    
-    bullet.position.set(shotData.position.x, shotData.position.y, shotData.position.z);
-    bullet.userData.velocity = new THREE.Vector3(
-      shotData.velocity.x,
-      shotData.velocity.y,
-      shotData.velocity.z
-    );
-    bullet.userData.damage = shotData.damage || stats.damage;
-    bullet.userData.radius = stats.bulletSize;
-    
-    this.arenaGroup.add(bullet);
-    this.enemyBullets.push(bullet);
+    if (!shotData || !this.battleActive || !this.sim) return;
+
+    // viewTime is in our clock: judge the shot against where we were on
+    // the shooter's screen. A shot resent too often arrives too late for
+    // that, and the simulation refuses it.
+    let rewindMs = 0;
+    if (this.isAuthority && Number.isFinite(shotData.viewTime)) {
+      rewindMs = Math.max(0, Date.now() - shotData.viewTime);
+    }
+
+    this.sim.addOpponentShot(shotData, rewindMs);
   }
 
   getGunStats(pieceType) {
     return this.gunStats[pieceType.toLowerCase()] || this.gunStats.pawn;
   }
-}
\ No newline at end of file
+}
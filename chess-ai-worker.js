@@ -0,0 +1,8 @@
+import { findBestMove } from './chess-ai.js';
+
+// Runs the engine off the main thread so the 3D view keeps animating while
+// the computer thinks. Receives { state, difficulty }, replies { move }.
+self.onmessage = (event) => {
+  const { state, difficulty } = event.data;
+  self.postMessage({ move: findBestMove(state, difficulty) });
+};
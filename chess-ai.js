@@ -0,0 +1,281 @@
+import { ChessGame } from './chess.js';
+
+// Chess engine for single-player games: iterative-deepening alpha-beta
+// (negamax) with quiescence search, MVV-LVA move ordering and
+// piece-square-table evaluation. Pure logic, so it runs in a Web Worker
+// (see chess-ai-worker.js) or under Node.
+export const AI_DIFFICULTIES = {
+  easy: { label: 'Easy', depth: 1, timeLimitMs: 500, randomness: 120 },
+  medium: { label: 'Medium', depth: 2, timeLimitMs: 1000, randomness: 30 },
+  hard: { label: 'Hard', depth: 3, timeLimitMs: 2500, randomness: 0 },
+  expert: { label: 'Expert', depth: 4, timeLimitMs: 5000, randomness: 0 }
+};
+
+const PIECE_VALUES = { pawn: 100, knight: 320, bishop: 330, rook: 500, queen: 900, king: 20000 };
+
+const MATE_SCORE = 100000;
+const QUIESCENCE_DEPTH = 4;
+
+// Piece-square tables from White's point of view, rank 8 first, so a
+// white piece on board[row][col] reads table[row * 8 + col]
+const PIECE_SQUARE_TABLES = {
+  pawn: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    50, 50, 50, 50, 50, 50, 50, 50,
+    10, 10, 20, 30, 30, 20, 10, 10,
+    5, 5, 10, 25, 25, 10, 5, 5,
+    0, 0, 0, 20, 20, 0, 0, 0,
+    5, -5, -10, 0, 0, -10, -5, 5,
+    5, 10, 10, -20, -20, 10, 10, 5,
+    0, 0, 0, 0, 0, 0, 0, 0
+  ],
+  knight: [
+    -50, -40, -30, -30, -30, -30, -40, -50,
+    -40, -20, 0, 0, 0, 0, -20, -40,
+    -30, 0, 10, 15, 15, 10, 0, -30,
+    -30, 5, 15, 20, 20, 15, 5, -30,
+    -30, 0, 15, 20, 20, 15, 0, -30,
+    -30, 5, 10, 15, 15, 10, 5, -30,
+    -40, -20, 0, 5, 5, 0, -20, -40,
+    -50, -40, -30, -30, -30, -30, -40, -50
+  ],
+  bishop: [
+    -20, -10, -10, -10, -10, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 10, 10, 5, 0, -10,
+    -10, 5, 5, 10, 10, 5, 5, -10,
+    -10, 0, 10, 10, 10, 10, 0, -10,
+    -10, 10, 10, 10, 10, 10, 10, -10,
+    -10, 5, 0, 0, 0, 0, 5, -10,
+    -20, -10, -10, -10, -10, -10, -10, -20
+  ],
+  rook: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    5, 10, 10, 10, 10, 10, 10, 5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    0, 0, 0, 5, 5, 0, 0, 0
+  ],
+  queen: [
+    -20, -10, -10, -5, -5, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 5, 5, 5, 0, -10,
+    -5, 0, 5, 5, 5, 5, 0, -5,
+    0, 0, 5, 5, 5, 5, 0, -5,
+    -10, 5, 5, 5, 5, 5, 0, -10,
+    -10, 0, 5, 0, 0, 0, 0, -10,
+    -20, -10, -10, -5, -5, -10, -10, -20
+  ],
+  king: [
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -20, -30, -30, -40, -40, -30, -30, -20,
+    -10, -20, -20, -20, -20, -20, -20, -10,
+    20, 20, 0, 0, 0, 0, 20, 20,
+    20, 30, 10, 0, 0, 10, 30, 20
+  ]
+};
+
+// Thrown to unwind the search when the time budget runs out
+const SEARCH_TIMEOUT = Symbol('search-timeout');
+
+// Returns { fromRow, fromCol, toRow, toCol, promotion } or null if the side
+// to move has no legal moves
+export function findBestMove(state, difficulty = 'medium') {
+  const settings = AI_DIFFICULTIES[difficulty] || AI_DIFFICULTIES.medium;
+  const game = new ChessGame();
+  game.setState(state);
+
+  const search = new AlphaBetaSearch(game, settings);
+  return search.run();
+}
+
+// Static evaluation in centipawns from the point of view of the side to move
+export function evaluate(game) {
+  let score = 0;
+
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const piece = game.board[row][col];
+      if (!piece) continue;
+
+      const tableRow = piece.color === 'white' ? row : 7 - row;
+      const value = PIECE_VALUES[piece.type] + PIECE_SQUARE_TABLES[piece.type][tableRow * 8 + col];
+      score += piece.color === 'white' ? value : -value;
+    }
+  }
+
+  return game.currentTurn === 'white' ? score : -score;
+}
+
+class AlphaBetaSearch {
+  constructor(game, settings) {
+    this.game = game;
+    this.settings = settings;
+    this.deadline = 0;
+    this.nodes = 0;
+  }
+
+  run() {
+    const rootMoves = this.generateMoves();
+    if (rootMoves.length === 0) return null;
+
+    this.deadline = Date.now() + this.settings.timeLimitMs;
+    let best = rootMoves[0];
+
+    // Iterative deepening: keep the result of the deepest finished iteration
+    for (let depth = 1; depth <= this.settings.depth; depth++) {
+      try {
+        best = this.searchRoot(rootMoves, depth);
+      } catch (error) {
+        if (error !== SEARCH_TIMEOUT) throw error;
+        break;
+      }
+
+      // Search the best move first next time round
+      rootMoves.sort((a, b) => (a === best ? -1 : b === best ? 1 : 0));
+    }
+
+    return {
+      fromRow: best.fromRow,
+      fromCol: best.fromCol,
+      toRow: best.toRow,
+      toCol: best.toCol,
+      promotion: best.promotion || 'queen'
+    };
+  }
+
+  searchRoot(moves, depth) {
+    let bestMove = moves[0];
+    let bestScore = -Infinity;
+    let alpha = -Infinity;
+
+    // Weaker levels blur their judgement a little so they are beatable. That
+    // needs every move's real score, not just a bound: a worse move cut off
+    // at alpha could otherwise be blurred past the best one.
+    const blurred = this.settings.randomness > 0;
+
+    for (const move of moves) {
+      const undo = this.makeMove(move);
+      let score = -this.negamax(depth - 1, -Infinity, blurred ? Infinity : -alpha, 1);
+      this.unmakeMove(undo);
+
+      if (blurred) {
+        score += Math.random() * this.settings.randomness;
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestMove = move;
+      }
+      alpha = Math.max(alpha, score);
+    }
+
+    return bestMove;
+  }
+
+  negamax(depth, alpha, beta, ply) {
+    this.checkTime();
+
+    const moves = this.generateMoves();
+    if (moves.length === 0) {
+      // Prefer the quickest mate, and the slowest one when losing
+      return this.game.isInCheck(this.game.currentTurn) ? -MATE_SCORE + ply : 0;
+    }
+
+    if (depth === 0) {
+      return this.quiesce(alpha, beta, QUIESCENCE_DEPTH);
+    }
+
+    for (const move of moves) {
+      const undo = this.makeMove(move);
+      const score = -this.negamax(depth - 1, -beta, -alpha, ply + 1);
+      this.unmakeMove(undo);
+
+      if (score >= beta) return beta;
+      if (score > alpha) alpha = score;
+    }
+
+    return alpha;
+  }
+
+  // Only follow captures past the horizon so trades aren't cut off halfway
+  quiesce(alpha, beta, depth) {
+    this.checkTime();
+
+    const standPat = evaluate(this.game);
+    if (standPat >= beta) return beta;
+    if (standPat > alpha) alpha = standPat;
+    if (depth === 0) return alpha;
+
+    const captures = this.generateMoves().filter(move => move.captured || move.promotion);
+    for (const move of captures) {
+      const undo = this.makeMove(move);
+      const score = -this.quiesce(-beta, -alpha, depth - 1);
+      this.unmakeMove(undo);
+
+      if (score >= beta) return beta;
+      if (score > alpha) alpha = score;
+    }
+
+    return alpha;
+  }
+
+  // Legal moves for the side to move, most promising first
+  generateMoves() {
+    const game = this.game;
+    const moves = [];
+
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const piece = game.board[row][col];
+        if (!piece || piece.color !== game.currentTurn) continue;
+
+        for (const target of game.getValidMoves(row, col)) {
+          const capture = game.getCaptureTarget(row, col, target.row, target.col);
+          // Under-promotion to anything but a knight is practically never better
+          const promotions = target.promotion ? ['queen', 'knight'] : [null];
+
+          for (const promotion of promotions) {
+            moves.push({
+              fromRow: row,
+              fromCol: col,
+              toRow: target.row,
+              toCol: target.col,
+              promotion,
+              captured: capture ? capture.piece.type : null,
+              order: (capture ? 10 * PIECE_VALUES[capture.piece.type] - PIECE_VALUES[piece.type] : 0) +
+                (promotion ? PIECE_VALUES[promotion] : 0)
+            });
+          }
+        }
+      }
+    }
+
+    return moves.sort((a, b) => b.order - a.order);
+  }
+
+  makeMove(move) {
+    const undo = this.game.applyMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion || 'queen');
+    this.game.currentTurn = this.game.currentTurn === 'white' ? 'black' : 'white';
+    this.nodes++;
+    return undo;
+  }
+
+  unmakeMove(undo) {
+    this.game.undoMove(undo);
+    this.game.currentTurn = this.game.currentTurn === 'white' ? 'black' : 'white';
+  }
+
+  checkTime() {
+    // Date.now() is cheap but not free; look at the clock every 1024 nodes
+    if ((this.nodes & 1023) === 0 && Date.now() > this.deadline) {
+      throw SEARCH_TIMEOUT;
+    }
+  }
+}
@@ -0,0 +1,141 @@
+// Chess clock with Fischer increment. The host owns the real clock; guests
+// rebuild theirs from the state in each gameState message and only count
+// down locally for display.
+export const TIME_CONTROLS = {
+  'bullet-1+0': { label: '1+0 Bullet', initialSeconds: 60, incrementSeconds: 0 },
+  'blitz-3+2': { label: '3+2 Blitz', initialSeconds: 180, incrementSeconds: 2 },
+  'blitz-5+3': { label: '5+3 Blitz', initialSeconds: 300, incrementSeconds: 3 },
+  'rapid-10+5': { label: '10+5 Rapid', initialSeconds: 600, incrementSeconds: 5 },
+  'rapid-15+10': { label: '15+10 Rapid', initialSeconds: 900, incrementSeconds: 10 }
+};
+
+export class ChessClock {
+  constructor({ initialSeconds, incrementSeconds = 0, pauseDuringBattle = true }) {
+    this.initialMs = initialSeconds * 1000;
+    this.incrementMs = incrementSeconds * 1000;
+    this.pauseDuringBattle = pauseDuringBattle;
+    this.remaining = { white: this.initialMs, black: this.initialMs };
+    this.activeColor = null; // Side whose time is running
+    this.runningSince = null; // Timestamp the active side's time last resumed
+    this.paused = false;
+    this.stopped = false;
+  }
+
+  static fromState(state, now = Date.now()) {
+    const clock = new ChessClock({
+      initialSeconds: state.initialMs / 1000,
+      incrementSeconds: state.incrementMs / 1000,
+      pauseDuringBattle: state.pauseDuringBattle
+    });
+    clock.setState(state, now);
+    return clock;
+  }
+
+  start(color, now = Date.now()) {
+    this.activeColor = color;
+    this.runningSince = now;
+    this.paused = false;
+    this.stopped = false;
+  }
+
+  // The side that just moved banks its elapsed time plus the increment
+  switchTurn(nextColor, now = Date.now()) {
+    if (this.stopped) return;
+
+    if (this.activeColor) {
+      this.commitElapsed(now);
+      this.remaining[this.activeColor] += this.incrementMs;
+    }
+
+    this.activeColor = nextColor;
+    this.runningSince = now;
+    this.paused = false;
+  }
+
+  pause(now = Date.now()) {
+    if (this.paused || this.stopped || !this.activeColor) return;
+    this.commitElapsed(now);
+    this.paused = true;
+  }
+
+  resume(now = Date.now()) {
+    if (!this.paused || this.stopped) return;
+    this.runningSince = now;
+    this.paused = false;
+  }
+
+  stop(now = Date.now()) {
+    if (this.stopped) return;
+    this.commitElapsed(now);
+    this.stopped = true;
+  }
+
+  // Applies the battle policy: either freeze the clock or let it run on
+  battleStarted(now = Date.now()) {
+    if (this.pauseDuringBattle) {
+      this.pause(now);
+    }
+  }
+
+  isRunning() {
+    return this.activeColor !== null && !this.paused && !this.stopped;
+  }
+
+  getRemaining(color, now = Date.now()) {
+    let remaining = this.remaining[color];
+    if (color === this.activeColor && this.isRunning()) {
+      remaining -= now - this.runningSince;
+    }
+    return Math.max(0, remaining);
+  }
+
+  // Color whose flag has fallen, if any
+  getFlaggedColor(now = Date.now()) {
+    if (!this.isRunning()) return null;
+    return this.getRemaining(this.activeColor, now) <= 0 ? this.activeColor : null;
+  }
+
+  getState(now = Date.now()) {
+    return {
+      initialMs: this.initialMs,
+      incrementMs: this.incrementMs,
+      pauseDuringBattle: this.pauseDuringBattle,
+      remaining: {
+        white: this.getRemaining('white', now),
+        black: this.getRemaining('black', now)
+      },
+      activeColor: this.activeColor,
+      paused: this.paused,
+      stopped: this.stopped
+    };
+  }
+
+  setState(state, now = Date.now()) {
+    this.remaining = { ...state.remaining };
+    this.activeColor = state.activeColor;
+    this.paused = state.paused;
+    this.stopped = state.stopped;
+    this.runningSince = now;
+  }
+
+  // PGN TimeControl tag value, e.g. "300+3"
+  getTimeControlTag() {
+    return `${this.initialMs / 1000}+${this.incrementMs / 1000}`;
+  }
+
+  commitElapsed(now) {
+    if (!this.isRunning()) return;
+    this.remaining[this.activeColor] = this.getRemaining(this.activeColor, now);
+    this.runningSince = now;
+  }
+}
+
+export function formatClockTime(ms) {
+  const totalSeconds = ms / 1000;
+  if (totalSeconds < 10) {
+    return totalSeconds.toFixed(1);
+  }
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = Math.floor(totalSeconds % 60);
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
@@ -1,4 +1,99 @@
 // Chess game logic
+export const PROMOTION_TYPES = ['queen', 'rook', 'bishop', 'knight'];
+
+export const STARTING_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const FEN_PIECES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+const FEN_LETTERS = { pawn: 'p', knight: 'n', bishop: 'b', rook: 'r', queen: 'q', king: 'k' };
+
+// Board rows run from rank 8 (row 0) down to rank 1 (row 7)
+export function toSquareName(row, col) {
+  return `${String.fromCharCode(97 + col)}${8 - row}`;
+}
+
+export function parseSquareName(name) {
+  const match = /^([a-h])([1-8])$/.exec(name);
+  if (!match) return null;
+  return { row: 8 - Number(match[2]), col: match[1].charCodeAt(0) - 97 };
+}
+
+// Split PGN text into its tag pairs and main-line moves. Variations and
+// NAGs are dropped; a comment is attached to the move it follows.
+export function parsePGN(text) {
+  const tags = {};
+  const source = String(text).replace(/\r\n?/g, '\n');
+  const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/gm;
+  let match;
+  while ((match = tagPattern.exec(source)) !== null) {
+    tags[match[1]] = match[2].replace(/\\(.)/g, '$1');
+  }
+
+  const movetext = source
+    .split('\n')
+    .filter(line => !/^\s*\[/.test(line) && !/^%/.test(line))
+    .join('\n');
+
+  const moves = [];
+  let result = '*';
+  let depth = 0; // Nesting level of (variations)
+  const tokenPattern = /\{([^}]*)\}|;([^\n]*)|\(|\)|\$\d+|(\d+)\.(\.\.)?|(1-0|0-1|1\/2-1\/2|\*)|([^\s{}();]+)/g;
+
+  while ((match = tokenPattern.exec(movetext)) !== null) {
+    const [token, braceComment, lineComment, , , gameResult, san] = match;
+
+    if (token === '(') {
+      depth++;
+    } else if (token === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (depth > 0) {
+      continue;
+    } else if (braceComment !== undefined || lineComment !== undefined) {
+      const comment = (braceComment ?? lineComment).trim();
+      if (moves.length > 0) {
+        const last = moves[moves.length - 1];
+        last.comment = last.comment ? `${last.comment} ${comment}` : comment;
+      }
+    } else if (gameResult) {
+      result = gameResult;
+    } else if (san) {
+      moves.push({ san: san.replace(/[!?]+$/, ''), comment: null });
+    }
+  }
+
+  return { tags, moves, result };
+}
+
+// Zobrist keys: one random 64-bit value per (piece, square), plus side to
+// move, castling rights and en passant file. A fixed seed keeps hashes equal
+// across peers and page loads.
+const PIECE_INDEX = { pawn: 0, knight: 1, bishop: 2, rook: 3, queen: 4, king: 5 };
+const ZOBRIST = (() => {
+  let seed = 0x9e3779b9;
+  const next32 = () => {
+    seed = (seed + 0x6d2b79f5) >>> 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+  const next64 = () => (BigInt(next32()) << 32n) | BigInt(next32());
+
+  return {
+    pieces: Array.from({ length: 12 * 64 }, next64),
+    blackToMove: next64(),
+    castling: Array.from({ length: 4 }, next64),
+    enPassantFile: Array.from({ length: 8 }, next64)
+  };
+})();
+
+// Rook home squares and the castling right each one guards
+const ROOK_CORNERS = [
+  { row: 7, col: 0, color: 'white', side: 'queenSide' },
+  { row: 7, col: 7, color: 'white', side: 'kingSide' },
+  { row: 0, col: 0, color: 'black', side: 'queenSide' },
+  { row: 0, col: 7, color: 'black', side: 'kingSide' }
+];
+
 export class ChessGame {
   constructor() {
     this.board = this.initializeBoard();
@@ -6,7 +101,65 @@ export class ChessGame {
     this.selectedPiece = null;
     this.validMoves = [];
     this.gameOver = false;
-    this.winner = null;
+    this.winner = null; // 'white', 'black' or 'draw'
+    this.result = null; // 'checkmate', 'stalemate', 'fifty-move', 'threefold-repetition', 'insufficient-material', 'timeout', 'timeout-vs-insufficient-material' or 'king-captured'
+    this.castlingRights = {
+      white: { kingSide: true, queenSide: true },
+      black: { kingSide: true, queenSide: true }
+    };
+    this.enPassantTarget = null; // Square skipped by a pawn's double step
+    this.halfmoveClock = 0; // Moves since the last capture or pawn move
+    this.fullmoveNumber = 1;
+    this.moveHistory = []; // { san, color, fromRow, fromCol, toRow, toCol, promotion, battle }
+    this.startFen = null; // Set when the game did not start from the initial position
+    this.positionCounts = { [this.getPositionHash()]: 1 }; // For threefold repetition
+  }
+
+  static fromFEN(fen) {
+    const game = new ChessGame();
+    game.loadFEN(fen);
+    return game;
+  }
+
+  // Replay a PGN through the rules. Stops at the first move that is not
+  // legal and reports it by move number instead of corrupting the board.
+  // onMove (optional) is called after every ply, e.g. to take snapshots.
+  static fromPGN(text, onMove = null) {
+    const { tags, moves } = parsePGN(text);
+    const game = tags.FEN ? ChessGame.fromFEN(tags.FEN) : new ChessGame();
+
+    for (const { san, comment } of moves) {
+      const label = `${game.fullmoveNumber}${game.currentTurn === 'white' ? '.' : '...'} ${san}`;
+
+      if (game.gameOver) {
+        throw new Error(`Illegal move ${label}: the game is already over`);
+      }
+
+      const move = game.findMoveBySAN(san);
+      if (!move) {
+        throw new Error(`Illegal move ${label}`);
+      }
+
+      // Captures that went to battle in FPS Chess carry the outcome in a comment
+      const battle = comment && /Battle:\s*attacker (won|lost)/i.exec(comment);
+      const isCapture = game.getCaptureTarget(move.fromRow, move.fromCol, move.toRow, move.toCol) !== null;
+
+      if (battle && isCapture) {
+        const hp = (who) => {
+          const found = new RegExp(`${who} HP (\\d+)`, 'i').exec(comment);
+          return found ? Number(found[1]) : null;
+        };
+        game.resolveBattle(move.fromRow, move.fromCol, move.toRow, move.toCol,
+          battle[1].toLowerCase() === 'won', move.promotion,
+          { attackerHp: hp('attacker'), defenderHp: hp('defender') });
+      } else {
+        game.movePiece(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+      }
+
+      if (onMove) onMove(game);
+    }
+
+    return game;
   }
 
   initializeBoard() {
@@ -46,12 +199,12 @@ export class ChessGame {
     return this.board[row][col];
   }
 
-  selectPiece(row, col) {
+  selectPiece(row, col, promotion = 'queen') {
     const piece = this.getPiece(row, col);
     
     // If clicking on a valid move, make the move
     if (this.selectedPiece && this.validMoves.some(m => m.row === row && m.col === col)) {
-      this.movePiece(this.selectedPiece.row, this.selectedPiece.col, row, col);
+      this.movePiece(this.selectedPiece.row, this.selectedPiece.col, row, col, promotion);
       this.selectedPiece = null;
       this.validMoves = [];
       return true;
@@ -70,19 +223,356 @@ export class ChessGame {
     return false;
   }
 
-  movePiece(fromRow, fromCol, toRow, toCol) {
+  movePiece(fromRow, fromCol, toRow, toCol, promotion = 'queen') {
     const piece = this.board[fromRow][fromCol];
-    const capturedPiece = this.board[toRow][toCol];
+    const capture = this.getCaptureTarget(fromRow, fromCol, toRow, toCol);
+    const san = this.toSAN(fromRow, fromCol, toRow, toCol, promotion);
     
     // Check if king was captured
-    if (capturedPiece && capturedPiece.type === 'king') {
-      this.gameOver = true;
-      this.winner = piece.color;
+    if (capture && capture.piece.type === 'king') {
+      this.endGame(piece.color, 'king-captured');
     }
     
-    this.board[toRow][toCol] = piece;
-    this.board[fromRow][fromCol] = null;
+    this.applyMove(fromRow, fromCol, toRow, toCol, promotion);
+    this.endTurn(piece.type === 'pawn' || capture !== null);
+    this.recordMove(san, piece.color, fromRow, fromCol, toRow, toCol, promotion, null);
+  }
+
+  // Apply the outcome of an FPS battle fought over a capture.
+  // The attacker takes the square if it won, otherwise it is removed.
+  // battle carries the remaining HP of both fighters for the move log.
+  resolveBattle(fromRow, fromCol, toRow, toCol, attackerWon, promotion = 'queen', battle = {}) {
+    const attackingPiece = this.board[fromRow][fromCol];
+    const capture = this.getCaptureTarget(fromRow, fromCol, toRow, toCol);
+    const defendingPiece = capture ? capture.piece : null;
+    const san = this.toSAN(fromRow, fromCol, toRow, toCol, promotion);
+
+    if (attackerWon) {
+      this.applyMove(fromRow, fromCol, toRow, toCol, promotion);
+
+      if (defendingPiece && defendingPiece.type === 'king') {
+        this.endGame(attackingPiece.color, 'king-captured');
+      }
+    } else {
+      this.board[fromRow][fromCol] = null;
+      this.revokeCastlingRights(fromRow, fromCol);
+      this.enPassantTarget = null;
+
+      if (attackingPiece && attackingPiece.type === 'king') {
+        this.endGame(defendingPiece.color, 'king-captured');
+      }
+    }
+
+    // A piece left the board either way, so the halfmove clock resets
+    this.endTurn(true);
+    this.recordMove(san, attackingPiece.color, fromRow, fromCol, toRow, toCol, promotion, {
+      attackerWon,
+      attackerHp: battle.attackerHp ?? null,
+      defenderHp: battle.defenderHp ?? null
+    });
+  }
+
+  // Check and mate markers describe the position the move actually led to,
+  // which after a lost battle is not the one the SAN suggests
+  recordMove(san, color, fromRow, fromCol, toRow, toCol, promotion, battle) {
+    let suffix = '';
+    if (this.result === 'checkmate') {
+      suffix = '#';
+    } else if (!this.gameOver && this.isInCheck(this.currentTurn)) {
+      suffix = '+';
+    }
+
+    const promoted = san.includes('=');
+    this.moveHistory.push({
+      san: san + suffix,
+      color,
+      fromRow, fromCol, toRow, toCol,
+      promotion: promoted ? (PROMOTION_TYPES.includes(promotion) ? promotion : 'queen') : null,
+      battle
+    });
+  }
+
+  // Standard Algebraic Notation for a legal move, without check markers
+  toSAN(fromRow, fromCol, toRow, toCol, promotion = 'queen') {
+    const piece = this.board[fromRow][fromCol];
+
+    if (piece.type === 'king' && Math.abs(toCol - fromCol) === 2) {
+      return toCol > fromCol ? 'O-O' : 'O-O-O';
+    }
+
+    const isCapture = this.getCaptureTarget(fromRow, fromCol, toRow, toCol) !== null;
+    const destination = toSquareName(toRow, toCol);
+
+    if (piece.type === 'pawn') {
+      let san = isCapture ? `${toSquareName(fromRow, fromCol)[0]}x${destination}` : destination;
+      if (toRow === 0 || toRow === 7) {
+        const type = PROMOTION_TYPES.includes(promotion) ? promotion : 'queen';
+        san += `=${FEN_LETTERS[type].toUpperCase()}`;
+      }
+      return san;
+    }
+
+    // Disambiguate when another piece of the same kind can reach the square
+    const rivals = [];
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const other = this.board[row][col];
+        if ((row === fromRow && col === fromCol) || !other) continue;
+        if (other.type !== piece.type || other.color !== piece.color) continue;
+        if (this.getValidMoves(row, col).some(m => m.row === toRow && m.col === toCol)) {
+          rivals.push({ row, col });
+        }
+      }
+    }
+
+    let disambiguation = '';
+    if (rivals.length > 0) {
+      const square = toSquareName(fromRow, fromCol);
+      if (!rivals.some(r => r.col === fromCol)) {
+        disambiguation = square[0];
+      } else if (!rivals.some(r => r.row === fromRow)) {
+        disambiguation = square[1];
+      } else {
+        disambiguation = square;
+      }
+    }
+
+    return `${FEN_LETTERS[piece.type].toUpperCase()}${disambiguation}${isCapture ? 'x' : ''}${destination}`;
+  }
+
+  // Find the legal move for the side to move that a SAN string describes
+  findMoveBySAN(san) {
+    const normalize = (text) => text
+      .replace(/[+#!?]+$/, '')
+      .replace(/0/g, 'O')
+      .replace(/=/, '')
+      .replace(/e\.p\.$/, '');
+    const wanted = normalize(san.trim());
+
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const piece = this.board[row][col];
+        if (!piece || piece.color !== this.currentTurn) continue;
+
+        for (const move of this.getValidMoves(row, col)) {
+          const promotions = move.promotion ? PROMOTION_TYPES : ['queen'];
+          for (const promotion of promotions) {
+            if (normalize(this.toSAN(row, col, move.row, move.col, promotion)) === wanted) {
+              return { fromRow: row, fromCol: col, toRow: move.row, toCol: move.col, promotion };
+            }
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  getPGNResult() {
+    if (!this.gameOver) return '*';
+    if (this.winner === 'draw') return '1/2-1/2';
+    return this.winner === 'white' ? '1-0' : '0-1';
+  }
+
+  // Battles are kept as comments after the capture they decided, e.g.
+  // {Battle: attacker lost, attacker HP 0, defender HP 35}
+  exportPGN(tags = {}) {
+    const today = new Date();
+    const date = [
+      today.getFullYear(),
+      String(today.getMonth() + 1).padStart(2, '0'),
+      String(today.getDate()).padStart(2, '0')
+    ].join('.');
+
+    const allTags = {
+      Event: 'FPS Chess',
+      Site: 'LAN',
+      Date: date,
+      Round: '-',
+      White: 'White (Host)',
+      Black: 'Black (Guest)',
+      Result: this.getPGNResult(),
+      ...(this.startFen ? { SetUp: '1', FEN: this.startFen } : {}),
+      ...(this.result ? { Termination: this.result } : {}),
+      ...tags
+    };
+
+    const header = Object.entries(allTags)
+      .map(([name, value]) => `[${name} "${String(value).replace(/[\\"]/g, '\\$&')}"]`)
+      .join('\n');
+
+    const tokens = [];
+    const firstMoveNumber = this.startFen ? Number(this.startFen.split(' ')[5]) || 1 : 1;
+    const blackStarts = this.startFen ? this.startFen.split(' ')[1] === 'b' : false;
+
+    this.moveHistory.forEach((move, index) => {
+      const ply = index + (blackStarts ? 1 : 0);
+      const moveNumber = firstMoveNumber + Math.floor(ply / 2);
+
+      // Black's moves need their number again at the start or after a comment
+      if (move.color === 'white') {
+        tokens.push(`${moveNumber}.`);
+      } else if (index === 0 || this.moveHistory[index - 1].battle) {
+        tokens.push(`${moveNumber}...`);
+      }
+      tokens.push(move.san);
+
+      if (move.battle) {
+        const { attackerWon, attackerHp, defenderHp } = move.battle;
+        const hp = [
+          attackerHp !== null ? `attacker HP ${attackerHp}` : null,
+          defenderHp !== null ? `defender HP ${defenderHp}` : null
+        ].filter(Boolean);
+        tokens.push(`{Battle: attacker ${attackerWon ? 'won' : 'lost'}${hp.length ? ', ' + hp.join(', ') : ''}}`);
+      }
+    });
+    tokens.push(allTags.Result);
+
+    // Wrap movetext at 80 columns as the PGN spec recommends
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+      if (line && line.length + token.length + 1 > 80) {
+        lines.push(line);
+        line = token;
+      } else {
+        line = line ? `${line} ${token}` : token;
+      }
+    }
+    if (line) lines.push(line);
+
+    return `${header}\n\n${lines.join('\n')}\n`;
+  }
+
+  // Bookkeeping shared by normal moves and resolved battles
+  endTurn(resetHalfmoveClock) {
+    this.halfmoveClock = resetHalfmoveClock ? 0 : this.halfmoveClock + 1;
+    if (this.currentTurn === 'black') {
+      this.fullmoveNumber++;
+    }
     this.currentTurn = this.currentTurn === 'white' ? 'black' : 'white';
+
+    const hash = this.getPositionHash();
+    this.positionCounts[hash] = (this.positionCounts[hash] || 0) + 1;
+
+    this.updateGameStatus();
+  }
+
+  // Detect checkmate, stalemate and the automatic draws for the side to move
+  updateGameStatus() {
+    if (this.gameOver) return;
+
+    // A side whose king was lost in battle has nothing left to mate
+    if (!this.kingExists(this.currentTurn)) return;
+
+    if (!this.hasLegalMoves(this.currentTurn)) {
+      if (this.isInCheck(this.currentTurn)) {
+        this.endGame(this.currentTurn === 'white' ? 'black' : 'white', 'checkmate');
+      } else {
+        this.endGame('draw', 'stalemate');
+      }
+      return;
+    }
+
+    if (this.hasInsufficientMaterial()) {
+      this.endGame('draw', 'insufficient-material');
+    } else if (this.halfmoveClock >= 100) {
+      this.endGame('draw', 'fifty-move');
+    } else if ((this.positionCounts[this.getPositionHash()] || 0) >= 3) {
+      this.endGame('draw', 'threefold-repetition');
+    }
+  }
+
+  // Time ran out for color: the opponent wins unless it could never mate
+  flagFall(color) {
+    if (this.gameOver) return;
+
+    const opponent = color === 'white' ? 'black' : 'white';
+    if (this.hasMatingMaterial(opponent)) {
+      this.endGame(opponent, 'timeout');
+    } else {
+      this.endGame('draw', 'timeout-vs-insufficient-material');
+    }
+  }
+
+  hasMatingMaterial(color) {
+    const pieces = this.board.flat().filter(p => p && p.color === color && p.type !== 'king');
+    return pieces.some(p => p.type === 'pawn' || p.type === 'rook' || p.type === 'queen') ||
+      pieces.length >= 2;
+  }
+
+  // Neither side can ever mate: bare kings, a lone minor piece, or only
+  // bishops that all stand on squares of one colour
+  hasInsufficientMaterial() {
+    const pieces = this.board.flat().filter(p => p && p.type !== 'king');
+    if (pieces.length === 0) return true;
+
+    if (pieces.some(p => p.type === 'pawn' || p.type === 'rook' || p.type === 'queen')) {
+      return false;
+    }
+
+    if (pieces.length === 1) return true;
+
+    if (pieces.every(p => p.type === 'bishop')) {
+      const squareColors = new Set();
+      this.board.forEach((rank, row) => rank.forEach((piece, col) => {
+        if (piece && piece.type === 'bishop') squareColors.add((row + col) % 2);
+      }));
+      return squareColors.size === 1;
+    }
+
+    return false;
+  }
+
+  // Zobrist hash of everything that makes two positions "the same" for
+  // repetition: placement, side to move, castling rights and a usable
+  // en passant capture. Returned as a 16-digit hex string.
+  getPositionHash() {
+    let hash = 0n;
+
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const piece = this.board[row][col];
+        if (!piece) continue;
+        const index = (PIECE_INDEX[piece.type] + (piece.color === 'white' ? 0 : 6)) * 64 + row * 8 + col;
+        hash ^= ZOBRIST.pieces[index];
+      }
+    }
+
+    if (this.currentTurn === 'black') {
+      hash ^= ZOBRIST.blackToMove;
+    }
+
+    const { white, black } = this.castlingRights;
+    [white.kingSide, white.queenSide, black.kingSide, black.queenSide].forEach((allowed, i) => {
+      if (allowed) hash ^= ZOBRIST.castling[i];
+    });
+
+    // The en passant square only matters if a pawn can actually take on it
+    const ep = this.enPassantTarget;
+    if (ep) {
+      const pawnRow = this.currentTurn === 'white' ? ep.row + 1 : ep.row - 1;
+      const canCapture = [ep.col - 1, ep.col + 1].some(col => {
+        const piece = this.getPiece(pawnRow, col);
+        return piece && piece.type === 'pawn' && piece.color === this.currentTurn;
+      });
+      if (canCapture) hash ^= ZOBRIST.enPassantFile[ep.col];
+    }
+
+    return hash.toString(16).padStart(16, '0');
+  }
+
+  // What both peers of a network game must agree on after every move: the
+  // position (as in getPositionHash) and whether and how the game ended
+  getStateHash() {
+    const ending = this.gameOver ? `${this.winner}:${this.result}` : 'playing';
+    return `${this.getPositionHash()}:${ending}`;
+  }
+
+  endGame(winner, result) {
+    this.gameOver = true;
+    this.winner = winner;
+    this.result = result;
   }
 
   isGameOver() {
@@ -93,6 +583,282 @@ export class ChessGame {
     return this.winner;
   }
 
+  isDraw() {
+    return this.gameOver && this.winner === 'draw';
+  }
+
+  getResult() {
+    return this.result;
+  }
+
+  toFEN() {
+    const ranks = this.board.map(rank => {
+      let fen = '';
+      let empty = 0;
+      for (const piece of rank) {
+        if (!piece) {
+          empty++;
+          continue;
+        }
+        if (empty > 0) {
+          fen += empty;
+          empty = 0;
+        }
+        const letter = FEN_LETTERS[piece.type];
+        fen += piece.color === 'white' ? letter.toUpperCase() : letter;
+      }
+      return empty > 0 ? fen + empty : fen;
+    });
+
+    const { white, black } = this.castlingRights;
+    const castling = [
+      white.kingSide ? 'K' : '',
+      white.queenSide ? 'Q' : '',
+      black.kingSide ? 'k' : '',
+      black.queenSide ? 'q' : ''
+    ].join('') || '-';
+
+    const enPassant = this.enPassantTarget
+      ? toSquareName(this.enPassantTarget.row, this.enPassantTarget.col)
+      : '-';
+
+    return [
+      ranks.join('/'),
+      this.currentTurn === 'white' ? 'w' : 'b',
+      castling,
+      enPassant,
+      this.halfmoveClock,
+      this.fullmoveNumber
+    ].join(' ');
+  }
+
+  // Replace the whole position. Throws on malformed input and leaves the
+  // current game untouched in that case.
+  loadFEN(fen) {
+    const fields = String(fen).trim().split(/\s+/);
+    if (fields.length < 4 || fields.length > 6) {
+      throw new Error('Invalid FEN: expected 4 to 6 space-separated fields');
+    }
+
+    const [placement, side, castling, enPassant, halfmove = '0', fullmove = '1'] = fields;
+
+    const ranks = placement.split('/');
+    if (ranks.length !== 8) {
+      throw new Error('Invalid FEN: piece placement must have 8 ranks');
+    }
+
+    const board = ranks.map((rank, row) => {
+      const cells = [];
+      for (const char of rank) {
+        if (/[1-8]/.test(char)) {
+          for (let i = 0; i < Number(char); i++) cells.push(null);
+          continue;
+        }
+        const type = FEN_PIECES[char.toLowerCase()];
+        if (!type) {
+          throw new Error(`Invalid FEN: unknown piece '${char}'`);
+        }
+        cells.push({ type, color: char === char.toUpperCase() ? 'white' : 'black' });
+      }
+      if (cells.length !== 8) {
+        throw new Error(`Invalid FEN: rank ${8 - row} does not have 8 squares`);
+      }
+      return cells;
+    });
+
+    for (const color of ['white', 'black']) {
+      const kings = board.flat().filter(p => p && p.type === 'king' && p.color === color);
+      if (kings.length !== 1) {
+        throw new Error(`Invalid FEN: expected exactly one ${color} king`);
+      }
+    }
+
+    if (side !== 'w' && side !== 'b') {
+      throw new Error(`Invalid FEN: side to move must be 'w' or 'b'`);
+    }
+
+    if (!/^(-|K?Q?k?q?)$/.test(castling) || castling === '') {
+      throw new Error(`Invalid FEN: bad castling field '${castling}'`);
+    }
+
+    // The square a pawn of the side that just moved skipped: on the 6th rank
+    // with that pawn on the 5th when white is to move, on the 3rd with it on
+    // the 4th when black is
+    let enPassantTarget = null;
+    if (enPassant !== '-') {
+      enPassantTarget = parseSquareName(enPassant);
+      const movedColor = side === 'w' ? 'black' : 'white';
+      const pawnRow = movedColor === 'black' ? 3 : 4;
+      const pawn = enPassantTarget && board[pawnRow][enPassantTarget.col];
+      if (!enPassantTarget || enPassantTarget.row !== (movedColor === 'black' ? 2 : 5) ||
+          !pawn || pawn.type !== 'pawn' || pawn.color !== movedColor) {
+        throw new Error(`Invalid FEN: bad en passant square '${enPassant}'`);
+      }
+    }
+
+    if (!/^\d+$/.test(halfmove) || !/^\d+$/.test(fullmove) || Number(fullmove) < 1) {
+      throw new Error('Invalid FEN: move counters must be non-negative integers');
+    }
+
+    this.board = board;
+    this.currentTurn = side === 'w' ? 'white' : 'black';
+    this.castlingRights = {
+      white: { kingSide: castling.includes('K'), queenSide: castling.includes('Q') },
+      black: { kingSide: castling.includes('k'), queenSide: castling.includes('q') }
+    };
+    this.enPassantTarget = enPassantTarget;
+    this.halfmoveClock = Number(halfmove);
+    this.fullmoveNumber = Number(fullmove);
+    this.selectedPiece = null;
+    this.validMoves = [];
+    this.gameOver = false;
+    this.winner = null;
+    this.result = null;
+    this.moveHistory = [];
+    this.startFen = this.toFEN();
+    this.positionCounts = { [this.getPositionHash()]: 1 };
+
+    // The position itself may already be decided
+    this.updateGameStatus();
+  }
+
+  // Piece (and its square) that a move would capture, including en passant
+  getCaptureTarget(fromRow, fromCol, toRow, toCol) {
+    const piece = this.getPiece(fromRow, fromCol);
+    if (!piece) return null;
+
+    const target = this.getPiece(toRow, toCol);
+    if (target && target.color !== piece.color) {
+      return { piece: target, row: toRow, col: toCol };
+    }
+
+    if (piece.type === 'pawn' && fromCol !== toCol && !target) {
+      const passed = this.getPiece(fromRow, toCol);
+      if (passed && passed.type === 'pawn' && passed.color !== piece.color) {
+        return { piece: passed, row: fromRow, col: toCol };
+      }
+    }
+
+    return null;
+  }
+
+  isPromotionMove(fromRow, fromCol, toRow) {
+    const piece = this.getPiece(fromRow, fromCol);
+    return piece !== null && piece.type === 'pawn' && (toRow === 0 || toRow === 7);
+  }
+
+  // Move pieces on the board, including the side effects of castling,
+  // en passant and promotion. Returns what undoMove needs to take it back.
+  applyMove(fromRow, fromCol, toRow, toCol, promotion = 'queen') {
+    const piece = this.board[fromRow][fromCol];
+    const capture = this.getCaptureTarget(fromRow, fromCol, toRow, toCol);
+    const undo = {
+      fromRow, fromCol, toRow, toCol, piece,
+      capture,
+      rook: null,
+      castlingRights: {
+        white: { ...this.castlingRights.white },
+        black: { ...this.castlingRights.black }
+      },
+      enPassantTarget: this.enPassantTarget
+    };
+
+    if (capture) {
+      this.board[capture.row][capture.col] = null;
+    }
+    this.board[toRow][toCol] = piece;
+    this.board[fromRow][fromCol] = null;
+
+    // Castling: the king moves two squares and the rook jumps over it
+    if (piece.type === 'king' && Math.abs(toCol - fromCol) === 2) {
+      const rookFromCol = toCol > fromCol ? 7 : 0;
+      const rookToCol = toCol > fromCol ? 5 : 3;
+      this.board[fromRow][rookToCol] = this.board[fromRow][rookFromCol];
+      this.board[fromRow][rookFromCol] = null;
+      undo.rook = { row: fromRow, fromCol: rookFromCol, toCol: rookToCol };
+    }
+
+    if (piece.type === 'pawn' && (toRow === 0 || toRow === 7)) {
+      const type = PROMOTION_TYPES.includes(promotion) ? promotion : 'queen';
+      this.board[toRow][toCol] = { type, color: piece.color, promoted: true };
+    }
+
+    // Moved-piece tracking: a king or rook leaving home (or a rook being
+    // captured there) gives up the matching castling rights for good
+    if (piece.type === 'king') {
+      this.castlingRights[piece.color] = { kingSide: false, queenSide: false };
+    }
+    this.revokeCastlingRights(fromRow, fromCol);
+    this.revokeCastlingRights(toRow, toCol);
+
+    this.enPassantTarget = piece.type === 'pawn' && Math.abs(toRow - fromRow) === 2
+      ? { row: (fromRow + toRow) / 2, col: fromCol }
+      : null;
+
+    return undo;
+  }
+
+  undoMove(undo) {
+    const { fromRow, fromCol, toRow, toCol, piece, capture, rook } = undo;
+
+    this.board[fromRow][fromCol] = piece;
+    this.board[toRow][toCol] = null;
+    if (capture) {
+      this.board[capture.row][capture.col] = capture.piece;
+    }
+    if (rook) {
+      this.board[rook.row][rook.fromCol] = this.board[rook.row][rook.toCol];
+      this.board[rook.row][rook.toCol] = null;
+    }
+
+    this.castlingRights = undo.castlingRights;
+    this.enPassantTarget = undo.enPassantTarget;
+  }
+
+  revokeCastlingRights(row, col) {
+    const corner = ROOK_CORNERS.find(c => c.row === row && c.col === col);
+    if (corner) {
+      this.castlingRights[corner.color][corner.side] = false;
+    }
+  }
+
+  // Snapshot shared between peers in gameState/battleEnded messages
+  getState() {
+    return {
+      board: this.board,
+      currentTurn: this.currentTurn,
+      gameOver: this.gameOver,
+      winner: this.winner,
+      result: this.result,
+      castlingRights: this.castlingRights,
+      enPassantTarget: this.enPassantTarget,
+      halfmoveClock: this.halfmoveClock,
+      fullmoveNumber: this.fullmoveNumber,
+      moveHistory: this.moveHistory,
+      startFen: this.startFen,
+      positionCounts: this.positionCounts
+    };
+  }
+
+  setState(state) {
+    this.board = state.board;
+    this.currentTurn = state.currentTurn;
+    this.gameOver = state.gameOver || false;
+    this.winner = state.winner || null;
+    this.result = state.result || null;
+    if (state.castlingRights) {
+      this.castlingRights = state.castlingRights;
+    }
+    this.enPassantTarget = state.enPassantTarget || null;
+    this.halfmoveClock = state.halfmoveClock ?? 0;
+    this.fullmoveNumber = state.fullmoveNumber ?? 1;
+    this.moveHistory = state.moveHistory || [];
+    this.startFen = state.startFen || null;
+    this.positionCounts = state.positionCounts || { [this.getPositionHash()]: 1 };
+    this.selectedPiece = null;
+    this.validMoves = [];
+  }
+
   // Add method to check if a king exists
   kingExists(color) {
     for (let row = 0; row < 8; row++) {
@@ -106,10 +872,110 @@ export class ChessGame {
     return false;
   }
 
+  findKing(color) {
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const piece = this.board[row][col];
+        if (piece && piece.type === 'king' && piece.color === color) {
+          return { row, col };
+        }
+      }
+    }
+    return null;
+  }
+
+  isInCheck(color) {
+    const king = this.findKing(color);
+    if (!king) return false;
+    return this.isSquareAttacked(king.row, king.col, color === 'white' ? 'black' : 'white');
+  }
+
+  // Whether any piece of byColor attacks the square, looking outward from it
+  isSquareAttacked(row, col, byColor) {
+    const isAttacker = (r, c, types) => {
+      const piece = this.getPiece(r, c);
+      return piece !== null && piece.color === byColor && types.includes(piece.type);
+    };
+
+    // Pawns attack diagonally forward, so look one row behind them
+    const pawnRow = byColor === 'white' ? row + 1 : row - 1;
+    if (isAttacker(pawnRow, col - 1, ['pawn']) || isAttacker(pawnRow, col + 1, ['pawn'])) {
+      return true;
+    }
+
+    const knightOffsets = [
+      [-2, -1], [-2, 1], [-1, -2], [-1, 2],
+      [1, -2], [1, 2], [2, -1], [2, 1]
+    ];
+    for (const [dr, dc] of knightOffsets) {
+      if (isAttacker(row + dr, col + dc, ['knight'])) return true;
+    }
+
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        if ((dr !== 0 || dc !== 0) && isAttacker(row + dr, col + dc, ['king'])) return true;
+      }
+    }
+
+    const lines = [
+      { dirs: [[0, 1], [0, -1], [1, 0], [-1, 0]], types: ['rook', 'queen'] },
+      { dirs: [[1, 1], [1, -1], [-1, 1], [-1, -1]], types: ['bishop', 'queen'] }
+    ];
+    for (const { dirs, types } of lines) {
+      for (const [dr, dc] of dirs) {
+        let r = row + dr;
+        let c = col + dc;
+
+        while (r >= 0 && r < 8 && c >= 0 && c < 8) {
+          const piece = this.board[r][c];
+          if (piece) {
+            if (piece.color === byColor && types.includes(piece.type)) return true;
+            break;
+          }
+          r += dr;
+          c += dc;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  // Try the move on the board and check whether it exposes the mover's king
+  leavesKingInCheck(fromRow, fromCol, toRow, toCol) {
+    const color = this.board[fromRow][fromCol].color;
+    const undo = this.applyMove(fromRow, fromCol, toRow, toCol);
+    const inCheck = this.isInCheck(color);
+    this.undoMove(undo);
+
+    return inCheck;
+  }
+
+  hasLegalMoves(color) {
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const piece = this.board[row][col];
+        if (piece && piece.color === color && this.getValidMoves(row, col).length > 0) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  // Legal moves only: pseudo-legal moves that leave the king attacked are dropped
   getValidMoves(row, col) {
     const piece = this.getPiece(row, col);
     if (!piece) return [];
 
+    return this.getPseudoLegalMoves(row, col)
+      .filter(move => !this.leavesKingInCheck(row, col, move.row, move.col));
+  }
+
+  getPseudoLegalMoves(row, col) {
+    const piece = this.getPiece(row, col);
+    if (!piece) return [];
+
     const moves = [];
     
     switch (piece.type) {
@@ -140,10 +1006,12 @@ export class ChessGame {
   getPawnMoves(row, col, color, moves) {
     const dir = color === 'white' ? -1 : 1;
     const startRow = color === 'white' ? 6 : 1;
+    const promotionRow = color === 'white' ? 0 : 7;
+    const promotion = row + dir === promotionRow;
     
     // Forward move
-    if (!this.getPiece(row + dir, col)) {
-      moves.push({ row: row + dir, col });
+    if (row + dir >= 0 && row + dir < 8 && !this.getPiece(row + dir, col)) {
+      moves.push(promotion ? { row: row + dir, col, promotion: true } : { row: row + dir, col });
       
       // Double move from start
       if (row === startRow && !this.getPiece(row + 2 * dir, col)) {
@@ -155,9 +1023,17 @@ export class ChessGame {
     for (const dcol of [-1, 1]) {
       const target = this.getPiece(row + dir, col + dcol);
       if (target && target.color !== color) {
-        moves.push({ row: row + dir, col: col + dcol });
+        moves.push(promotion
+          ? { row: row + dir, col: col + dcol, promotion: true }
+          : { row: row + dir, col: col + dcol });
       }
     }
+
+    // En passant onto the square a pawn just skipped
+    const ep = this.enPassantTarget;
+    if (ep && ep.row === row + dir && Math.abs(ep.col - col) === 1) {
+      moves.push({ row: ep.row, col: ep.col, enPassant: true });
+    }
   }
 
   getRookMoves(row, col, color, moves) {
@@ -202,12 +1078,11 @@ export class ChessGame {
     for (const [dr, dc] of offsets) {
       const r = row + dr;
       const c = col + dc;
+      if (r < 0 || r > 7 || c < 0 || c > 7) continue;
+
       const target = this.getPiece(r, c);
-      
-      if (r >= 0 && r < 8 && c >= 0 && c < 8) {
-        if (!target || target.color !== color) {
-          moves.push({ row: r, col: c });
-        }
+      if (!target || target.color !== color) {
+        moves.push({ row: r, col: c });
       }
     }
   }
@@ -219,14 +1094,41 @@ export class ChessGame {
         
         const r = row + dr;
         const c = col + dc;
+        if (r < 0 || r > 7 || c < 0 || c > 7) continue;
+
         const target = this.getPiece(r, c);
-        
-        if (r >= 0 && r < 8 && c >= 0 && c < 8) {
-          if (!target || target.color !== color) {
-            moves.push({ row: r, col: c });
-          }
+        if (!target || target.color !== color) {
+          moves.push({ row: r, col: c });
         }
       }
     }
+
+    this.getCastlingMoves(row, col, color, moves);
+  }
+
+  // The king may not castle out of, through or into check; the last case
+  // is caught by the legal-move filter in getValidMoves
+  getCastlingMoves(row, col, color, moves) {
+    const homeRow = color === 'white' ? 7 : 0;
+    const rights = this.castlingRights[color];
+    if (row !== homeRow || col !== 4 || !rights) return;
+
+    const enemy = color === 'white' ? 'black' : 'white';
+    const sides = [
+      { allowed: rights.kingSide, rookCol: 7, empty: [5, 6], passes: 5, toCol: 6, castle: 'king' },
+      { allowed: rights.queenSide, rookCol: 0, empty: [1, 2, 3], passes: 3, toCol: 2, castle: 'queen' }
+    ];
+
+    for (const side of sides) {
+      if (!side.allowed) continue;
+
+      const rook = this.getPiece(homeRow, side.rookCol);
+      if (!rook || rook.type !== 'rook' || rook.color !== color) continue;
+      if (side.empty.some(c => this.getPiece(homeRow, c))) continue;
+      if (this.isSquareAttacked(homeRow, col, enemy)) continue;
+      if (this.isSquareAttacked(homeRow, side.passes, enemy)) continue;
+
+      moves.push({ row: homeRow, col: side.toCol, castle: side.castle });
+    }
   }
 }
\ No newline at end of file
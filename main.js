@@ -1,20 +1,56 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { ChessGame } from './chess.js';
+import { ChessGame, PROMOTION_TYPES } from './chess.js';
 import { BattleArena } from './battle.js';
-import { NetworkManager } from './network-manager.js';
+import { NetworkManager, DEFAULT_SIGNALING_PORT } from './network-manager.js';
+import { ReplayViewer } from './replay-viewer.js';
+import { ChessClock, TIME_CONTROLS, formatClockTime } from './chess-clock.js';
+import { AI_DIFFICULTIES } from './chess-ai.js';
+import { SIMULATION_HZ } from './battle-sim.js';
+import { StateHashLog } from './state-hashes.js';
+import QRCode from 'qrcode';
 
 // Network connection
 let networkManager = null;
 let playerColor = null;
 let isConnected = false;
 let isHost = false;
+let isSpectator = false; // Watching someone else's game; never moves
+
+// Set while the peer connection is down mid-game. Nobody can move or fight
+// until it is back, and the host's clock stands still.
+let connectionLost = false;
+let clockPausedForReconnect = false;
+
+// Chess clock (host-authoritative; guests mirror the host's state)
+let chessClock = null;
+
+// Single-player opponent. The engine runs in a worker; the local player acts
+// as host, so the usual host code paths own the game.
+let aiWorker = null;
+let aiDifficulty = null;
+let aiThinking = false;
+
+// spectatorId is set (host only) for messages from a spectator's connection
+function handleGameMessage(message, spectatorId = null) {
+  if (spectatorId !== null) {
+    handleSpectatorMessage(message, spectatorId);
+    return;
+  }
 
-function handleGameMessage(message) {
   switch (message.type) {
     case 'connected':
       showNotification(isHost ? 'Guest connected!' : 'Connected to host!');
       updatePlayerStatus({ white: true, black: true });
+
+      // Bring the guest up to date, e.g. when starting from a custom FEN
+      if (isHost) {
+        if (chessClock && !chessClock.activeColor) {
+          chessClock.start(game.currentTurn);
+        }
+        networkManager.send('gameState', getSyncState(), 'game-state');
+        shareStateHash();
+      }
       break;
 
     case 'moveRequest':
@@ -25,19 +61,46 @@ function handleGameMessage(message) {
 
     case 'gameState':
       if (!isHost) {
-        game.board = message.board;
-        game.currentTurn = message.currentTurn;
+        syncClock(message.clock);
+
+        // The game can end mid-battle, e.g. on time
+        if (message.gameOver && battleArena.isActive()) {
+          exitBattleView();
+        }
+
+        game.setState(message);
+        shareStateHash();
         updateBoard();
+        announceCheckOrGameOver();
       }
       break;
 
     case 'startBattle':
+      if (isSpectator) {
+        watchBattle(message);
+        break;
+      }
+
       // Determine if this player is the attacker or defender
       const isAttacker = playerColor === message.attackingPiece.color;
+      currentBattle = {
+        attackingPiece: message.attackingPiece,
+        defendingPiece: message.defendingPiece,
+        fromRow: message.fromRow,
+        fromCol: message.fromCol,
+        toRow: message.toRow,
+        toCol: message.toCol,
+        promotion: message.promotion
+      };
       battleFromRow = message.fromRow;
       battleFromCol = message.fromCol;
       battleToRow = message.toRow;
       battleToCol = message.toCol;
+      battlePromotion = message.promotion || 'queen';
+
+      if (chessClock) {
+        chessClock.battleStarted();
+      }
 
       // Hide chess board
       boardGroup.visible = false;
@@ -53,66 +116,73 @@ function handleGameMessage(message) {
         (playerWon) => {
           handleBattleEnd(playerWon, isAttacker);
         },
-        isConnected
+        isConnected,
+        isHost // Only the host (or an offline player) decides hits and the result
       );
       break;
 
     case 'battleUpdate':
+      if (isSpectator) {
+        battleArena.updateSpectatedFighter(message.color, message.position, message.rotation, message.sentAt);
+        if (message.health) {
+          battleArena.setSpectatedHealth({ white: message.health.host, black: message.health.guest });
+        }
+        break;
+      }
+
+      // Spectators see the guest through the host
+      if (isHost) {
+        const { position, rotation, sentAt, shots } = message;
+        networkManager.sendToSpectators('battleUpdate', { position, rotation, sentAt, shots, color: 'black' }, 'battle-updates');
+      }
+
       // Update opponent's position and handle their shots
       if (battleArena.isActive()) {
-        battleArena.updateOpponentPosition(message.position, message.rotation);
+        battleArena.updateOpponentPosition(message.position, message.rotation, message.sentAt);
 
-        if (message.shot) {
-          battleArena.handleOpponentShot(message.shot);
+        // Each shot arrives once, however often it was repeated
+        for (const shot of message.shots) {
+          battleArena.handleOpponentShot(shot);
         }
 
-        // Update opponent health from their perspective
-        if (message.health !== undefined) {
-          battleArena.updateOpponentHealth(message.health);
+        // Health comes from the host only; whatever a guest sends is ignored
+        if (!isHost && message.health) {
+          battleArena.setHealth(message.health.guest, message.health.host);
         }
       }
       break;
 
     case 'battleEnded':
-      if (battleArena.isActive()) {
-        battleArena.cleanup();
-        battleArena.battleActive = false;
+      // The host decides every battle; a guest can't report a result
+      if (isHost) {
+        console.warn('Ignoring battleEnded from guest');
+        break;
       }
 
       // Update board after battle
-      game.board = message.board;
-      game.currentTurn = message.currentTurn;
-
-      if (message.gameOver) {
-        game.gameOver = message.gameOver;
-        game.winner = message.winner;
-      }
-
-      // Show chess board again
-      boardGroup.visible = true;
-
-      // Reset camera to chess view
-      camera.position.set(0, 2, 5);
-      camera.rotation.set(0, 0, 0);
-
-      updateBoard();
+      game.setState(message);
+      shareStateHash();
+      exitBattleView();
+      syncClock(message.clock);
 
       const resultMsg = message.attackerWon ? 'Attacker won the battle!' : 'Defender won the battle!';
       showNotification(resultMsg);
 
       if (game.gameOver) {
-        const winnerText = game.winner === playerColor ? 'YOU WIN!' : 'YOU LOSE!';
-        setTimeout(() => {
-          showNotification(`GAME OVER! ${game.winner.toUpperCase()} WINS! ${winnerText}`);
-          setTimeout(() => {
-            if (confirm(`${game.winner.toUpperCase()} wins! Play again?`)) {
-              location.reload();
-            }
-          }, 2000);
-        }, 1500);
+        setTimeout(announceCheckOrGameOver, 1500);
       }
       break;
 
+    case 'resume':
+      if (!isHost) {
+        resumeFromHost(message);
+      }
+      break;
+
+    case 'stateHash':
+      checkStateHash(message);
+      break;
+
     case 'pieceSelected':
       // Visual feedback for opponent's selection
       showNotification(`Opponent selected piece at (${message.row}, ${message.col})`);
@@ -124,76 +194,268 @@ function handleGameMessage(message) {
   }
 }
 
+// Host only: spectators say hello once connected and are caught up on the
+// game (and any battle in progress). Anything else they send is refused.
+function handleSpectatorMessage(message, spectatorId) {
+  if (message.type === 'connected') {
+    networkManager.sendToSpectator(spectatorId, 'gameState', getSyncState());
+    if (currentBattle && battleArena.isActive()) {
+      networkManager.sendToSpectator(spectatorId, 'startBattle', currentBattle);
+    }
+    showNotification('👁 A spectator is watching');
+  } else if (message.type === 'moveRequest') {
+    console.warn(`Refusing move request from spectator ${spectatorId}`);
+    networkManager.sendToSpectator(spectatorId, 'error', { message: 'Spectators cannot move pieces' });
+  } else {
+    console.warn(`Ignoring ${message.type} from spectator ${spectatorId}`);
+  }
+}
+
+// Spectators only: fly around the arena while the players fight
+function watchBattle(battle) {
+  currentBattle = battle;
+  boardGroup.visible = false;
+  battleArena.startSpectating(battle.attackingPiece, battle.defendingPiece);
+
+  const { attackingPiece, defendingPiece } = battle;
+  showNotification(`Battle! ${attackingPiece.color} ${attackingPiece.type} attacks ${defendingPiece.color} ${defendingPiece.type}`);
+}
+
 function handleGuestMoveRequest(message) {
   const { fromRow, fromCol, toRow, toCol } = message;
+  const promotion = message.promotion ?? 'queen';
 
   // Validate it's guest's turn
   if (game.currentTurn !== 'black') {
-    networkManager.send('error', { message: 'Not your turn' }, 'game-state');
+    refuseGuestMove('Not your turn');
     return;
   }
 
   // Validate move is legal
   const piece = game.getPiece(fromRow, fromCol);
   if (!piece || piece.color !== 'black') {
-    networkManager.send('error', { message: 'Invalid piece' }, 'game-state');
+    refuseGuestMove('Invalid piece');
     return;
   }
 
   game.selectedPiece = { row: fromRow, col: fromCol, piece };
   game.validMoves = game.getValidMoves(fromRow, fromCol);
-  const isValid = game.validMoves.some(m => m.row === toRow && m.col === toCol);
-
-  if (!isValid) {
-    networkManager.send('error', { message: 'Invalid move' }, 'game-state');
-    game.selectedPiece = null;
-    game.validMoves = [];
-    return;
-  }
-
-  // Check for capture
-  const targetPiece = game.getPiece(toRow, toCol);
-  const isCapture = targetPiece && targetPiece.color !== 'black';
+  const move = game.validMoves.find(m => m.row === toRow && m.col === toCol);
 
   // Clear selection state after validation
   game.selectedPiece = null;
   game.validMoves = [];
 
-  if (isCapture) {
+  if (!move) {
+    refuseGuestMove('Invalid move');
+    return;
+  }
+
+  // Check for capture (including en passant)
+  if (game.getCaptureTarget(fromRow, fromCol, toRow, toCol)) {
     // Start battle without moving pieces yet
-    battleFromRow = fromRow;
-    battleFromCol = fromCol;
-    battleToRow = toRow;
-    battleToCol = toCol;
-
-    if (isConnected) {
-      networkManager.send('startBattle', {
-        attackingPiece: piece,
-        defendingPiece: targetPiece,
-        fromRow, fromCol, toRow, toCol
-      }, 'game-state');
+    startCaptureBattle(fromRow, fromCol, toRow, toCol, promotion);
+    updateBoard();
+    return;
+  }
+
+  // Normal move - execute immediately
+  game.movePiece(fromRow, fromCol, toRow, toCol, promotion);
+  completeTurn();
+  updateBoard();
+
+  networkManager.broadcast('gameState', getSyncState(), 'game-state');
+  shareStateHash();
+  announceCheckOrGameOver();
+}
+
+// The guest has already played the move on its own board; the host's state
+// takes it back
+function refuseGuestMove(reason) {
+  networkManager.send('error', { message: reason }, 'game-state');
+  networkManager.send('gameState', getSyncState(), 'game-state');
+  shareStateHash();
+}
+
+// Host only: tell both sides to fight over a capture. A pawn that promotes
+// while capturing already fights as (and with the weapon of) its new piece.
+function startCaptureBattle(fromRow, fromCol, toRow, toCol, promotion) {
+  const piece = game.getPiece(fromRow, fromCol);
+  const capture = game.getCaptureTarget(fromRow, fromCol, toRow, toCol);
+  const attackingPiece = game.isPromotionMove(fromRow, fromCol, toRow)
+    ? { type: promotion, color: piece.color, promoted: true }
+    : piece;
+
+  const battle = {
+    attackingPiece,
+    defendingPiece: capture.piece,
+    fromRow, fromCol, toRow, toCol,
+    promotion
+  };
+
+  if (isConnected) {
+    networkManager.broadcast('startBattle', battle, 'game-state');
+  }
+
+  // Start local battle immediately; opponent reacts via network message
+  handleGameMessage({ type: 'startBattle', ...battle });
+}
+
+function choosePromotion() {
+  const answer = prompt(`Promote pawn to (${PROMOTION_TYPES.join(', ')}):`, 'queen');
+  const choice = (answer || '').trim().toLowerCase();
+  return PROMOTION_TYPES.includes(choice) ? choice : 'queen';
+}
+
+// Game state plus the host's clock, as sent in gameState/battleEnded
+function getSyncState() {
+  return {
+    ...game.getState(),
+    clock: chessClock ? chessClock.getState() : null
+  };
+}
+
+function syncClock(clockState) {
+  chessClock = clockState ? ChessClock.fromState(clockState) : null;
+}
+
+// Players only: after every change the host makes, or the guest applies
+// from the host, tell the other side what our state hashes to, so a desync
+// is caught on the move it happened. The guest's own moves wait for the
+// host's confirmation.
+function shareStateHash() {
+  if (!isConnected || isSpectator) return;
+
+  const ply = game.moveHistory.length;
+  const hash = game.getStateHash();
+  stateHashes.record(ply, hash);
+  networkManager.send('stateHash', { ply, hash }, 'game-state');
+}
+
+// The host's state is the truth: when the guest's differs, or the guest is
+// past a move the host never made, the host resends its own. A guest only
+// logs a mismatch; the host's snapshot follows from the other side.
+function checkStateHash({ ply, hash }) {
+  const comparison = stateHashes.compare(ply, hash);
+  if (comparison !== 'mismatch' && !(isHost && comparison === 'ahead')) return;
+
+  console.warn(`Desync at move ${game.fullmoveNumber} (ply ${ply}): the ${isHost ? 'guest' : 'host'} has ${comparison === 'ahead' ? 'a move we never made' : 'a different state'}`);
+
+  if (isHost) {
+    networkManager.send('gameState', getSyncState(), 'game-state');
+    shareStateHash();
+  }
+}
+
+// Host only: hand the clock to the side to move after any finished turn,
+// and let the computer reply in single-player games
+function completeTurn() {
+  if (chessClock) {
+    if (game.gameOver) {
+      chessClock.stop();
+    } else {
+      chessClock.switchTurn(game.currentTurn);
     }
+  }
 
-    // Also start battle for host
-    handleGameMessage({
-      type: 'startBattle',
-      attackingPiece: piece,
-      defendingPiece: targetPiece,
-      fromRow, fromCol, toRow, toCol
-    });
+  if (aiWorker) {
+    requestComputerMove();
+  }
+}
+
+function requestComputerMove() {
+  if (game.gameOver || game.currentTurn === playerColor) return;
+
+  aiThinking = true;
+  aiWorker.postMessage({ state: game.getState(), difficulty: aiDifficulty });
+}
+
+// Plays the engine's reply exactly like a validated guest move
+function playComputerMove(move) {
+  aiThinking = false;
+
+  // The game may have ended on time while the engine was thinking
+  if (!move || game.gameOver || game.currentTurn === playerColor) return;
 
+  const { fromRow, fromCol, toRow, toCol, promotion } = move;
+
+  if (game.getCaptureTarget(fromRow, fromCol, toRow, toCol)) {
+    startCaptureBattle(fromRow, fromCol, toRow, toCol, promotion);
     updateBoard();
     return;
   }
 
-  // Normal move - execute immediately
-  game.movePiece(fromRow, fromCol, toRow, toCol);
+  game.movePiece(fromRow, fromCol, toRow, toCol, promotion);
+  completeTurn();
+  updateBoard();
+  announceCheckOrGameOver();
+}
+
+// Host only: a flag fell. Ends any battle in progress as well.
+function handleFlagFall(color) {
+  game.flagFall(color);
+  chessClock.stop();
+
+  if (battleArena.isActive()) {
+    exitBattleView();
+  }
   updateBoard();
 
-  networkManager.send('gameState', {
-    board: game.board,
-    currentTurn: game.currentTurn
-  }, 'game-state');
+  if (isConnected) {
+    networkManager.broadcast('gameState', getSyncState(), 'game-state');
+    shareStateHash();
+  }
+  showNotification(`${color.toUpperCase()} ran out of time!`);
+  setTimeout(announceCheckOrGameOver, 1500);
+}
+
+function exitBattleView() {
+  currentBattle = null;
+  if (battleArena.isActive()) {
+    battleArena.stop();
+  }
+
+  // Show chess board again
+  boardGroup.visible = true;
+
+  // Reset camera to chess view
+  camera.position.set(0, 2, 5);
+  camera.rotation.set(0, 0, 0);
+
+  updateBoard();
+}
+
+let gameOverAnnounced = false;
+
+function announceCheckOrGameOver() {
+  if (!game.gameOver) {
+    if (playerColor && game.currentTurn === playerColor && game.isInCheck(playerColor)) {
+      showNotification('Check! Your king is under attack.');
+    }
+    return;
+  }
+
+  if (gameOverAnnounced) return;
+  gameOverAnnounced = true;
+
+  let headline;
+  let prompt;
+  if (game.isDraw()) {
+    headline = `GAME OVER! DRAW BY ${game.result.replace(/-/g, ' ').toUpperCase()}!`;
+    prompt = 'Draw! Play again?';
+  } else {
+    const reason = game.result === 'checkmate' ? 'CHECKMATE! ' : '';
+    const winnerText = !playerColor ? '' : game.winner === playerColor ? ' YOU WIN!' : ' YOU LOSE!';
+    headline = `GAME OVER! ${reason}${game.winner.toUpperCase()} WINS!${winnerText}`;
+    prompt = `${game.winner.toUpperCase()} wins! Play again?`;
+  }
+
+  showNotification(headline);
+  setTimeout(() => {
+    if (confirm(prompt)) {
+      location.reload();
+    }
+  }, 2000);
 }
 
 function updatePlayerStatus(players) {
@@ -250,6 +512,9 @@ let battleFromRow = null;
 let battleFromCol = null;
 let battleToRow = null;
 let battleToCol = null;
+let battlePromotion = 'queen';
+let currentBattle = null; // The startBattle message, resent when resuming after a reconnect
+const stateHashes = new StateHashLog(); // Our state after each ply, to check the peer's against
 
 // Board
 const boardSize = 8;
@@ -484,6 +749,66 @@ connectionStatusDisplay.style.zIndex = '1000';
 connectionStatusDisplay.style.display = 'none';
 document.body.appendChild(connectionStatusDisplay);
 
+// Network diagnostics, under the connection status; N toggles them
+const networkStatsDisplay = document.createElement('div');
+networkStatsDisplay.style.position = 'fixed';
+networkStatsDisplay.style.top = '62px';
+networkStatsDisplay.style.left = '50%';
+networkStatsDisplay.style.transform = 'translateX(-50%)';
+networkStatsDisplay.style.color = 'white';
+networkStatsDisplay.style.fontFamily = 'monospace';
+networkStatsDisplay.style.fontSize = '13px';
+networkStatsDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+networkStatsDisplay.style.padding = '8px 14px';
+networkStatsDisplay.style.borderRadius = '5px';
+networkStatsDisplay.style.pointerEvents = 'none';
+networkStatsDisplay.style.zIndex = '1000';
+networkStatsDisplay.style.display = 'none';
+document.body.appendChild(networkStatsDisplay);
+
+let networkStatsInterval = null;
+
+document.addEventListener('keydown', (e) => {
+  if (e.code !== 'KeyN' || e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+
+  if (networkStatsInterval) {
+    clearInterval(networkStatsInterval);
+    networkStatsInterval = null;
+    networkStatsDisplay.style.display = 'none';
+  } else {
+    updateNetworkStats();
+    networkStatsDisplay.style.display = 'block';
+    networkStatsInterval = setInterval(updateNetworkStats, 1000);
+  }
+});
+
+function updateNetworkStats() {
+  const stats = networkManager ? networkManager.getDiagnostics() : null;
+  if (!stats) {
+    networkStatsDisplay.textContent = '📶 No peer connection';
+    return;
+  }
+
+  const show = (value, format) => value === null ? '–' : format(value);
+  const rtt = show(stats.rtt, ms => `${Math.round(ms)} ms`);
+  const offset = show(stats.clockOffset, ms => `${ms >= 0 ? '+' : ''}${ms} ms`);
+  const loss = show(stats.packetLoss, rate => `${(rate * 100).toFixed(1)}%`);
+  const path = show(stats.localCandidateType, type => `${type} → ${stats.remoteCandidateType} (${stats.protocol})`);
+  const sendRate = show(stats.sendRate, rate => `${formatBytes(rate)}/s`);
+
+  networkStatsDisplay.innerHTML = `
+    <div>📶 RTT ${rtt} | Clock offset ${offset}</div>
+    <div>Loss ${loss} | Path ${path}</div>
+    <div>Sent ${show(stats.bytesSent, formatBytes)} (${sendRate}) | Received ${show(stats.bytesReceived, formatBytes)}</div>
+  `;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${Math.round(bytes)} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 // Player status UI
 const playerStatusDiv = document.createElement('div');
 playerStatusDiv.style.position = 'fixed';
@@ -515,20 +840,99 @@ connectionSetupDiv.style.textAlign = 'center';
 connectionSetupDiv.style.zIndex = '2000';
 connectionSetupDiv.innerHTML = `
   <h2 style="margin-bottom: 20px;">🎮 FPS Chess - LAN Multiplayer</h2>
+  <input id="signalingServerInput" type="text" placeholder="Signaling server (e.g., 192.168.1.100:8080)" style="padding: 8px; font-size: 14px; margin: 5px; border-radius: 5px; border: none; text-align: center; width: 300px;">
+  <br>
   <button id="hostGameBtn" style="padding: 15px 30px; margin: 10px; font-size: 18px; cursor: pointer; background: #4CAF50; color: white; border: none; border-radius: 5px; font-weight: bold;">Host Game (White)</button>
-  <div id="localIPsDisplay" style="margin: 15px 0; padding: 15px; background: rgba(255,255,255,0.1); border-radius: 5px; display: none;">
-    <div style="font-weight: bold; margin-bottom: 10px;">🌐 Your Local IPs:</div>
-    <div id="ipList" style="font-family: monospace;"></div>
-    <div style="margin-top: 10px; font-size: 14px; color: #aaa;">Share one of these IPs with the guest</div>
+  <br>
+  <input id="startFenInput" type="text" placeholder="Optional start position (FEN)" style="padding: 8px; font-size: 13px; margin: 5px; border-radius: 5px; border: none; text-align: center; width: 420px; font-family: monospace;">
+  <br>
+  <select id="timeControlSelect" style="padding: 6px; margin: 5px; border-radius: 5px;">
+    <option value="">⏱ No clock</option>
+    ${Object.entries(TIME_CONTROLS).map(([key, tc]) => `<option value="${key}">⏱ ${tc.label}</option>`).join('')}
+  </select>
+  <select id="battleClockSelect" style="padding: 6px; margin: 5px; border-radius: 5px;">
+    <option value="pause">Clock pauses during battles</option>
+    <option value="run">Clock keeps running during battles</option>
+  </select>
+  <div id="joinCodeDisplay" style="margin: 15px 0; padding: 15px; background: rgba(255,255,255,0.1); border-radius: 5px; display: none;">
+    <div style="font-weight: bold; margin-bottom: 10px;">🔑 Join Code:</div>
+    <div id="joinCode" style="font-family: monospace; font-size: 32px; letter-spacing: 6px;"></div>
+    <div id="joinCodeHint" style="margin-top: 10px; font-size: 14px; color: #aaa;">Share this code with the guest</div>
   </div>
   <div style="margin: 20px 0;">- OR -</div>
-  <input id="hostIPInput" type="text" placeholder="Enter Host IP (e.g., 192.168.1.100)" style="padding: 10px; font-size: 16px; margin: 10px; border-radius: 5px; border: none; text-align: center; width: 300px;">
+  <input id="joinCodeInput" type="text" placeholder="Enter join code (e.g., K7WQ2)" maxlength="12" style="padding: 10px; font-size: 16px; margin: 10px; border-radius: 5px; border: none; text-align: center; width: 300px; text-transform: uppercase; font-family: monospace;">
   <br>
   <button id="joinGameBtn" style="padding: 15px 30px; margin: 10px; font-size: 18px; cursor: pointer; background: #2196F3; color: white; border: none; border-radius: 5px; font-weight: bold;">Join Game (Black)</button>
+  <button id="watchGameBtn" style="padding: 15px 30px; margin: 10px; font-size: 18px; cursor: pointer; background: #607D8B; color: white; border: none; border-radius: 5px; font-weight: bold;">👁 Watch Game</button>
   <div id="connectionProgress" style="margin-top: 20px; display: none; color: #4CAF50;"></div>
+  <div style="margin: 20px 0;">- OR, without a signaling server -</div>
+  <button id="manualHostBtn" style="padding: 10px 20px; margin: 5px; font-size: 16px; cursor: pointer; background: #4CAF50; color: white; border: none; border-radius: 5px; font-weight: bold;">📋 Host with Code (White)</button>
+  <button id="manualJoinBtn" style="padding: 10px 20px; margin: 5px; font-size: 16px; cursor: pointer; background: #2196F3; color: white; border: none; border-radius: 5px; font-weight: bold;">📋 Join with Code (Black)</button>
+  <div style="margin: 20px 0;">- OR -</div>
+  <select id="aiDifficultySelect" style="padding: 6px; margin: 5px; border-radius: 5px;">
+    ${Object.entries(AI_DIFFICULTIES).map(([key, level]) => `<option value="${key}"${key === 'medium' ? ' selected' : ''}>${level.label}</option>`).join('')}
+  </select>
+  <button id="playComputerBtn" style="padding: 10px 20px; margin: 5px; font-size: 16px; cursor: pointer; background: #FF9800; color: white; border: none; border-radius: 5px; font-weight: bold;">🤖 Play vs Computer (White)</button>
+  <div style="margin: 20px 0;">- OR -</div>
+  <button id="replayPgnBtn" style="padding: 10px 20px; margin: 5px; font-size: 16px; cursor: pointer; background: #9C27B0; color: white; border: none; border-radius: 5px; font-weight: bold;">📂 Replay PGN File</button>
+  <input id="replayPgnInput" type="file" accept=".pgn,text/plain" style="display: none;">
 `;
 document.body.appendChild(connectionSetupDiv);
 
+// Manual (copy-paste / QR code) signaling dialog
+const manualSignalingDiv = document.createElement('div');
+manualSignalingDiv.style.position = 'fixed';
+manualSignalingDiv.style.top = '50%';
+manualSignalingDiv.style.left = '50%';
+manualSignalingDiv.style.transform = 'translate(-50%, -50%)';
+manualSignalingDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.95)';
+manualSignalingDiv.style.padding = '25px';
+manualSignalingDiv.style.borderRadius = '10px';
+manualSignalingDiv.style.color = 'white';
+manualSignalingDiv.style.fontFamily = 'Arial, sans-serif';
+manualSignalingDiv.style.textAlign = 'center';
+manualSignalingDiv.style.zIndex = '2100';
+manualSignalingDiv.style.maxHeight = '95%';
+manualSignalingDiv.style.overflowY = 'auto';
+manualSignalingDiv.style.display = 'none';
+manualSignalingDiv.innerHTML = `
+  <h3 id="manualTitle" style="margin-top: 0;"></h3>
+  <div id="manualOutput" style="display: none;">
+    <div id="manualOutputLabel" style="margin-bottom: 8px;"></div>
+    <canvas id="manualQr" style="background: white; padding: 8px; border-radius: 5px;"></canvas>
+    <br>
+    <textarea id="manualCodeOut" readonly rows="4" style="width: 420px; font-family: monospace; font-size: 11px; margin: 8px 0; word-break: break-all;"></textarea>
+    <br>
+    <button id="manualCopyBtn" style="padding: 6px 14px; cursor: pointer;">📋 Copy code</button>
+  </div>
+  <div id="manualInput" style="display: none; margin-top: 15px;">
+    <div id="manualInputLabel" style="margin-bottom: 8px;"></div>
+    <textarea id="manualCodeIn" rows="4" placeholder="Paste the code here" style="width: 420px; font-family: monospace; font-size: 11px; margin-bottom: 8px;"></textarea>
+    <br>
+    <video id="manualScanVideo" playsinline muted style="display: none; width: 320px; margin: 0 auto 8px; border-radius: 5px;"></video>
+    <button id="manualScanBtn" style="padding: 6px 14px; cursor: pointer; display: none;">📷 Scan QR code</button>
+    <button id="manualSubmitBtn" style="padding: 6px 14px; cursor: pointer; background: #4CAF50; color: white; border: none; border-radius: 5px; font-weight: bold;"></button>
+  </div>
+  <div id="manualStatus" style="margin-top: 12px; color: #4CAF50;"></div>
+  <button id="manualCancelBtn" style="margin-top: 12px; padding: 6px 14px; cursor: pointer;">Cancel</button>
+`;
+document.body.appendChild(manualSignalingDiv);
+
+// The codes need a visible cursor to select and paste
+manualSignalingDiv.addEventListener('click', (e) => e.stopPropagation());
+
+// Remember the signaling server between visits; by default it runs on the
+// machine serving the page
+const signalingServerInput = document.getElementById('signalingServerInput');
+signalingServerInput.value = localStorage.getItem('signaling_server') || `${location.hostname}:${DEFAULT_SIGNALING_PORT}`;
+
+function getSignalingServerAddress() {
+  const address = signalingServerInput.value.trim();
+  if (!address) return null;
+  localStorage.setItem('signaling_server', address);
+  return address;
+}
+
 // Notification system
 const notificationDiv = document.createElement('div');
 notificationDiv.style.position = 'fixed';
@@ -545,6 +949,138 @@ notificationDiv.style.display = 'none';
 notificationDiv.style.zIndex = '2000';
 document.body.appendChild(notificationDiv);
 
+// PGN export
+const exportPgnButton = document.createElement('button');
+exportPgnButton.textContent = '⬇ Export PGN';
+exportPgnButton.style.position = 'fixed';
+exportPgnButton.style.bottom = '20px';
+exportPgnButton.style.right = '20px';
+exportPgnButton.style.padding = '10px 16px';
+exportPgnButton.style.fontFamily = 'Arial, sans-serif';
+exportPgnButton.style.fontSize = '14px';
+exportPgnButton.style.cursor = 'pointer';
+exportPgnButton.style.background = 'rgba(0, 0, 0, 0.7)';
+exportPgnButton.style.color = 'white';
+exportPgnButton.style.border = '1px solid white';
+exportPgnButton.style.borderRadius = '5px';
+exportPgnButton.style.zIndex = '1000';
+document.body.appendChild(exportPgnButton);
+
+exportPgnButton.addEventListener('click', (e) => {
+  // Don't let the click grab pointer lock or select a square
+  e.stopPropagation();
+  downloadPGN();
+});
+
+function downloadPGN() {
+  const tags = chessClock ? { TimeControl: chessClock.getTimeControlTag() } : {};
+  if (aiWorker) {
+    Object.assign(tags, { Site: 'Local', White: 'Player', Black: `Computer (${AI_DIFFICULTIES[aiDifficulty].label})` });
+  }
+  const pgn = game.exportPGN(tags);
+  const blob = new Blob([pgn], { type: 'application/x-chess-pgn' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `fps-chess-${new Date().toISOString().slice(0, 10)}.pgn`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// PGN replay mode
+let replayViewer = null;
+
+const replayPanel = document.createElement('div');
+replayPanel.style.position = 'fixed';
+replayPanel.style.top = '90px';
+replayPanel.style.right = '10px';
+replayPanel.style.width = '260px';
+replayPanel.style.maxHeight = '70%';
+replayPanel.style.display = 'none';
+replayPanel.style.flexDirection = 'column';
+replayPanel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+replayPanel.style.color = 'white';
+replayPanel.style.fontFamily = 'Arial, sans-serif';
+replayPanel.style.fontSize = '14px';
+replayPanel.style.padding = '10px';
+replayPanel.style.borderRadius = '5px';
+replayPanel.style.zIndex = '1500';
+replayPanel.innerHTML = `
+  <div style="font-weight: bold; margin-bottom: 8px;">📼 Replay</div>
+  <div style="display: flex; gap: 5px; margin-bottom: 8px;">
+    <button data-replay="first" title="Start (Home)">⏮</button>
+    <button data-replay="previous" title="Back (←)">◀</button>
+    <button data-replay="next" title="Forward (→)">▶</button>
+    <button data-replay="last" title="End (End)">⏭</button>
+  </div>
+  <div id="replayPosition" style="margin-bottom: 8px;"></div>
+  <div id="replayMoveList" style="overflow-y: auto; font-family: monospace; line-height: 1.6;"></div>
+`;
+document.body.appendChild(replayPanel);
+
+// Keep clicks in the panel from grabbing pointer lock or selecting squares
+replayPanel.addEventListener('click', (e) => {
+  e.stopPropagation();
+
+  const action = e.target.dataset.replay;
+  if (action && replayViewer) {
+    replayViewer[action]();
+    showReplayPosition();
+  }
+
+  const ply = e.target.dataset.ply;
+  if (ply !== undefined && replayViewer) {
+    replayViewer.goTo(Number(ply));
+    showReplayPosition();
+  }
+});
+
+document.addEventListener('keydown', (e) => {
+  if (!replayViewer || e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+
+  const actions = { ArrowRight: 'next', ArrowLeft: 'previous', Home: 'first', End: 'last' };
+  if (actions[e.code]) {
+    replayViewer[actions[e.code]]();
+    showReplayPosition();
+  }
+});
+
+function startReplay(pgnText) {
+  try {
+    replayViewer = new ReplayViewer(pgnText);
+  } catch (error) {
+    showNotification(`Could not load PGN: ${error.message}`);
+    return;
+  }
+
+  connectionSetupDiv.style.display = 'none';
+  exportPgnButton.style.display = 'none';
+  replayPanel.style.display = 'flex';
+
+  const moveList = document.getElementById('replayMoveList');
+  moveList.innerHTML = replayViewer.getMoves().map((move, index) => {
+    const label = move.color === 'white' || index === 0 ? `${replayViewer.getMoveLabel(index)} ` : '';
+    const battle = move.battle ? (move.battle.attackerWon ? ' ⚔✓' : ' ⚔✗') : '';
+    return `${label}<span data-ply="${index + 1}" style="cursor: pointer; padding: 0 3px;">${move.san}${battle}</span>`;
+  }).join(' ') + ` ${replayViewer.result}`;
+
+  showReplayPosition();
+  showNotification('Replay loaded: use ◀ ▶ or the arrow keys to step through');
+}
+
+function showReplayPosition() {
+  game.setState(JSON.parse(JSON.stringify(replayViewer.getState())));
+  updateBoard();
+
+  const ply = replayViewer.getCurrentPly();
+  document.getElementById('replayPosition').textContent =
+    `Move ${ply} of ${replayViewer.getPlyCount()}`;
+
+  document.querySelectorAll('#replayMoveList [data-ply]').forEach(span => {
+    span.style.background = Number(span.dataset.ply) === ply ? '#9C27B0' : 'transparent';
+  });
+}
+
 function showNotification(message) {
   notificationDiv.textContent = message;
   notificationDiv.style.display = 'block';
@@ -553,44 +1089,67 @@ function showNotification(message) {
   }, 3000);
 }
 
+// Start position and time control from the setup dialog. Returns false if
+// the FEN doesn't parse.
+function applyGameOptions() {
+  const startFen = document.getElementById('startFenInput').value.trim();
+  const timeControl = TIME_CONTROLS[document.getElementById('timeControlSelect').value];
+  if (timeControl) {
+    chessClock = new ChessClock({
+      ...timeControl,
+      pauseDuringBattle: document.getElementById('battleClockSelect').value === 'pause'
+    });
+  }
+
+  if (startFen) {
+    try {
+      game.loadFEN(startFen);
+      updateBoard();
+    } catch (error) {
+      showNotification(error.message);
+      return false;
+    }
+  }
+
+  return true;
+}
+
 // Connection setup handlers
 document.getElementById('hostGameBtn').addEventListener('click', async () => {
+  const serverAddress = getSignalingServerAddress();
+  if (!serverAddress) {
+    showNotification('Please enter the signaling server address');
+    return;
+  }
+
+  if (!applyGameOptions()) return;
+
   try {
     document.getElementById('connectionProgress').textContent = '⏳ Starting host...';
     document.getElementById('connectionProgress').style.display = 'block';
 
     isHost = true;
     playerColor = 'white';
-    networkManager = new NetworkManager(true);
+    networkManager = new NetworkManager('host');
 
-    const ips = await networkManager.startHost();
+    const code = await networkManager.startHost(serverAddress);
 
-    // Display local IPs
-    const ipListDiv = document.getElementById('ipList');
-    ipListDiv.innerHTML = ips.map(ip => {
-      const star = ip.isPrimary ? ' ⭐' : '';
-      return `<div style="margin: 5px 0; font-size: 16px;">${ip.address}${star}</div>`;
-    }).join('');
+    if (code) {
+      document.getElementById('joinCode').textContent = code;
+    } else {
+      document.getElementById('joinCode').textContent = '—';
+      document.getElementById('joinCodeHint').textContent =
+        'Signaling server not reachable: only another tab of this browser can join (with any code)';
+    }
 
-    document.getElementById('localIPsDisplay').style.display = 'block';
+    document.getElementById('joinCodeDisplay').style.display = 'block';
     document.getElementById('connectionProgress').textContent = '⏳ Waiting for guest to connect...';
 
     // Set up message handler
-    networkManager.onMessage((message) => {
-      handleGameMessage(message);
-    });
+    networkManager.onMessage(handleGameMessage);
 
     // Set up connection state handler
-    networkManager.onConnectionStateChange((state) => {
-      if (state === 'connected') {
-        isConnected = true;
-        connectionSetupDiv.style.display = 'none';
-        connectionStatusDisplay.textContent = '🟢 Connected - P2P Mode';
-        connectionStatusDisplay.style.display = 'block';
-        updatePlayerStatus({ white: true, black: true });
-        showNotification('Guest connected! Game started!');
-      }
-    });
+    networkManager.onConnectionStateChange(handleHostConnectionState);
 
     updatePlayerStatus({ white: true, black: false });
 
@@ -601,11 +1160,63 @@ document.getElementById('hostGameBtn').addEventListener('click', async () => {
   }
 });
 
+document.getElementById('playComputerBtn').addEventListener('click', () => {
+  if (!applyGameOptions()) return;
+
+  isHost = true;
+  playerColor = 'white';
+  aiDifficulty = document.getElementById('aiDifficultySelect').value;
+  battleArena.setBotDifficulty(aiDifficulty);
+  aiWorker = new Worker(new URL('./chess-ai-worker.js', import.meta.url), { type: 'module' });
+
+  aiWorker.onmessage = (e) => {
+    playComputerMove(e.data.move);
+  };
+
+  aiWorker.onerror = (error) => {
+    console.error('Chess engine error:', error);
+    aiThinking = false;
+    showNotification('Computer opponent failed: ' + error.message);
+  };
+
+  connectionSetupDiv.style.display = 'none';
+  playerStatusDiv.innerHTML = `
+    <div>White: You</div>
+    <div>Black: 🤖 Computer (${AI_DIFFICULTIES[aiDifficulty].label})</div>
+  `;
+
+  if (chessClock) {
+    chessClock.start(game.currentTurn);
+  }
+
+  showNotification('Single-player game started! You play White.');
+
+  // A custom start position may have Black to move
+  requestComputerMove();
+});
+
+document.getElementById('replayPgnBtn').addEventListener('click', () => {
+  document.getElementById('replayPgnInput').click();
+});
+
+document.getElementById('replayPgnInput').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  startReplay(await file.text());
+  e.target.value = '';
+});
+
 document.getElementById('joinGameBtn').addEventListener('click', async () => {
-  const hostIP = document.getElementById('hostIPInput').value.trim();
+  const serverAddress = getSignalingServerAddress();
+  const code = document.getElementById('joinCodeInput').value.trim();
 
-  if (!hostIP) {
-    showNotification('Please enter host IP address');
+  if (!serverAddress) {
+    showNotification('Please enter the signaling server address');
+    return;
+  }
+
+  if (!code) {
+    showNotification('Please enter the join code');
     return;
   }
 
@@ -615,9 +1226,9 @@ document.getElementById('joinGameBtn').addEventListener('click', async () => {
 
     isHost = false;
     playerColor = 'black';
-    networkManager = new NetworkManager(false);
+    networkManager = new NetworkManager('guest');
 
-    await networkManager.connectToHost(hostIP);
+    await networkManager.connectToHost(serverAddress, code);
 
     // Set up message handler
     networkManager.onMessage((message) => {
@@ -625,19 +1236,7 @@ document.getElementById('joinGameBtn').addEventListener('click', async () => {
     });
 
     // Set up connection state handler
-    networkManager.onConnectionStateChange((state) => {
-      if (state === 'connected') {
-        isConnected = true;
-        connectionSetupDiv.style.display = 'none';
-        connectionStatusDisplay.textContent = '🟢 Connected - P2P Mode';
-        connectionStatusDisplay.style.display = 'block';
-        updatePlayerStatus({ white: true, black: true });
-        showNotification('Connected to host! Game started!');
-
-        // Notify host that guest connected
-        networkManager.send('connected', {}, 'game-state');
-      }
-    });
+    networkManager.onConnectionStateChange(handleGuestConnectionState);
 
     updatePlayerStatus({ white: true, black: false });
 
@@ -648,21 +1247,339 @@ document.getElementById('joinGameBtn').addEventListener('click', async () => {
   }
 });
 
+document.getElementById('watchGameBtn').addEventListener('click', async () => {
+  const serverAddress = getSignalingServerAddress();
+  const code = document.getElementById('joinCodeInput').value.trim();
+
+  if (!serverAddress || !code) {
+    showNotification('Please enter the signaling server address and the join code');
+    return;
+  }
+
+  try {
+    document.getElementById('connectionProgress').textContent = '⏳ Connecting to host...';
+    document.getElementById('connectionProgress').style.display = 'block';
+
+    isHost = false;
+    isSpectator = true;
+    playerColor = null;
+    networkManager = new NetworkManager('spectator');
+    networkManager.onMessage(handleGameMessage);
+    networkManager.onConnectionStateChange(handleSpectatorConnectionState);
+
+    await networkManager.watchGame(serverAddress, code);
+  } catch (error) {
+    console.error('Error watching game:', error);
+    showNotification('Could not watch: ' + error.message);
+    document.getElementById('connectionProgress').style.display = 'none';
+    isSpectator = false;
+  }
+});
+
+function handleHostConnectionState(state) {
+  if (state === 'connected') {
+    isConnected = true;
+    connectionSetupDiv.style.display = 'none';
+    manualSignalingDiv.style.display = 'none';
+    connectionStatusDisplay.textContent = '🟢 Connected - P2P Mode';
+    connectionStatusDisplay.style.display = 'block';
+    updatePlayerStatus({ white: true, black: true });
+    showNotification('Guest connected! Game started!');
+  } else if (state === 'reconnected') {
+    // Resume the clock first so the guest gets it running
+    setConnectionLost(false);
+    networkManager.send('resume', { ...getSyncState(), battle: getResumeBattle() }, 'game-state');
+    shareStateHash();
+    showNotification('Guest reconnected!');
+  } else {
+    handleConnectionInterruption(state);
+  }
+}
+
+function handleGuestConnectionState(state) {
+  if (state === 'connected') {
+    isConnected = true;
+    connectionSetupDiv.style.display = 'none';
+    manualSignalingDiv.style.display = 'none';
+    connectionStatusDisplay.textContent = '🟢 Connected - P2P Mode';
+    connectionStatusDisplay.style.display = 'block';
+    updatePlayerStatus({ white: true, black: true });
+    showNotification('Connected to host! Game started!');
+
+    // Notify host that guest connected
+    networkManager.send('connected', {}, 'game-state');
+  } else if (state === 'reconnected') {
+    // Play resumes with the host's resume message
+    connectionStatusDisplay.textContent = '🟡 Reconnected - syncing with host...';
+  } else {
+    handleConnectionInterruption(state);
+  }
+}
+
+// The host catches spectators up whenever they say hello, so a spectator
+// whose connection comes back just says it again
+function handleSpectatorConnectionState(state) {
+  if (state === 'connected' || state === 'reconnected') {
+    isConnected = true;
+    connectionLost = false;
+    connectionSetupDiv.style.display = 'none';
+    connectionStatusDisplay.textContent = '👁 Spectating - P2P Mode';
+    connectionStatusDisplay.style.display = 'block';
+    playerStatusDiv.innerHTML = '<div>👁 Spectating</div>';
+    networkManager.send('connected', {}, 'game-state');
+  } else {
+    handleConnectionInterruption(state);
+  }
+}
+
+// Either side: the peer connection dropped mid-game, couldn't be rebuilt,
+// or the peer runs a build this one can't talk to
+function handleConnectionInterruption(state) {
+  if (state === 'version-mismatch') {
+    setConnectionLost(true);
+    connectionStatusDisplay.textContent = '🔴 Incompatible game version';
+    connectionStatusDisplay.style.display = 'block';
+    showNotification('The other player is running a different version of FPS Chess. Both of you need to reload the page.');
+    return;
+  }
+
+  if (!isConnected) return;
+
+  if (state === 'disconnected' || state === 'failed') {
+    setConnectionLost(true);
+    showNotification('Connection lost - reconnecting...');
+  } else if (state === 'reconnect-failed') {
+    connectionStatusDisplay.textContent = '🔴 Disconnected';
+    showNotification('Could not reconnect to your opponent. Reload the page to start a new game.');
+  }
+}
+
+function setConnectionLost(lost) {
+  connectionLost = lost;
+  battleArena.setPaused(lost);
+
+  if (chessClock && lost) {
+    clockPausedForReconnect = chessClock.isRunning();
+    chessClock.pause();
+  } else if (chessClock && clockPausedForReconnect) {
+    chessClock.resume();
+  }
+  if (!lost) {
+    clockPausedForReconnect = false;
+  }
+
+  connectionStatusDisplay.textContent = lost ? '🟠 Connection lost - reconnecting...' : '🟢 Connected - P2P Mode';
+}
+
+// Host only: the battle in progress, if any, with both sides' health
+function getResumeBattle() {
+  if (!currentBattle || !battleArena.isActive()) return null;
+
+  const { playerHealth, opponentHealth } = battleArena.getHealth();
+  return { ...currentBattle, health: { host: playerHealth, guest: opponentHealth } };
+}
+
+// Guest only: the host's full state after a reconnect. A battle we missed
+// the start of begins here; one that ended without us is closed.
+function resumeFromHost(message) {
+  setConnectionLost(false);
+
+  if (message.battle && !battleArena.isActive()) {
+    handleGameMessage({ type: 'startBattle', ...message.battle });
+  } else if (!message.battle && battleArena.isActive()) {
+    exitBattleView();
+  }
+  if (message.battle) {
+    battleArena.setHealth(message.battle.health.guest, message.battle.health.host);
+  }
+
+  syncClock(message.clock);
+  game.setState(message);
+  shareStateHash();
+  updateBoard();
+  showNotification('Reconnected!');
+  announceCheckOrGameOver();
+}
+
+// Manual signaling: host shows an offer code, guest answers with a code of
+// its own. The submit button does whatever the current step needs.
+let manualSubmitHandler = null;
+let manualScanStream = null;
+
+function showManualSignaling(title) {
+  document.getElementById('manualTitle').textContent = title;
+  document.getElementById('manualOutput').style.display = 'none';
+  document.getElementById('manualInput').style.display = 'none';
+  document.getElementById('manualStatus').textContent = '';
+  document.getElementById('manualCodeIn').value = '';
+  document.getElementById('manualScanBtn').style.display = 'BarcodeDetector' in window ? 'inline-block' : 'none';
+  manualSignalingDiv.style.display = 'block';
+}
+
+async function showManualCode(label, code) {
+  document.getElementById('manualOutputLabel').textContent = label;
+  document.getElementById('manualCodeOut').value = code;
+  document.getElementById('manualOutput').style.display = 'block';
+  document.getElementById('manualQr').style.display = 'inline-block';
+
+  try {
+    await QRCode.toCanvas(document.getElementById('manualQr'), code, { errorCorrectionLevel: 'L', width: 320 });
+  } catch (error) {
+    // Too long for a QR code; the text still works
+    console.warn('Could not draw QR code:', error);
+    document.getElementById('manualQr').style.display = 'none';
+  }
+}
+
+function askForManualCode(label, buttonText, onSubmit) {
+  document.getElementById('manualInputLabel').textContent = label;
+  document.getElementById('manualSubmitBtn').textContent = buttonText;
+  document.getElementById('manualInput').style.display = 'block';
+  manualSubmitHandler = onSubmit;
+}
+
+async function submitManualCode() {
+  const code = document.getElementById('manualCodeIn').value.trim();
+  if (!code || !manualSubmitHandler) return;
+
+  try {
+    await manualSubmitHandler(code);
+  } catch (error) {
+    console.error('Manual signaling error:', error);
+    showNotification(error.message);
+  }
+}
+
+async function scanManualCode() {
+  const video = document.getElementById('manualScanVideo');
+
+  try {
+    manualScanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+  } catch (error) {
+    showNotification('Camera not available: ' + error.message);
+    return;
+  }
+
+  video.srcObject = manualScanStream;
+  video.style.display = 'block';
+  await video.play();
+
+  const detector = new BarcodeDetector({ formats: ['qr_code'] });
+  while (manualScanStream) {
+    const codes = await detector.detect(video).catch(() => []);
+    if (codes.length > 0) {
+      document.getElementById('manualCodeIn').value = codes[0].rawValue;
+      stopManualScan();
+      submitManualCode();
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+}
+
+function stopManualScan() {
+  manualScanStream?.getTracks().forEach(track => track.stop());
+  manualScanStream = null;
+  const video = document.getElementById('manualScanVideo');
+  video.srcObject = null;
+  video.style.display = 'none';
+}
+
+document.getElementById('manualSubmitBtn').addEventListener('click', submitManualCode);
+document.getElementById('manualScanBtn').addEventListener('click', scanManualCode);
+
+document.getElementById('manualCopyBtn').addEventListener('click', async () => {
+  const code = document.getElementById('manualCodeOut').value;
+  try {
+    await navigator.clipboard.writeText(code);
+    showNotification('Code copied to clipboard');
+  } catch (error) {
+    document.getElementById('manualCodeOut').select();
+    showNotification('Press Ctrl+C to copy the code');
+  }
+});
+
+document.getElementById('manualCancelBtn').addEventListener('click', () => {
+  stopManualScan();
+  manualSubmitHandler = null;
+  manualSignalingDiv.style.display = 'none';
+  if (networkManager && !isConnected) {
+    networkManager.disconnect();
+    networkManager = null;
+  }
+});
+
+document.getElementById('manualHostBtn').addEventListener('click', async () => {
+  if (!applyGameOptions()) return;
+
+  isHost = true;
+  playerColor = 'white';
+  networkManager = new NetworkManager('host');
+  networkManager.onMessage(handleGameMessage);
+  networkManager.onConnectionStateChange(handleHostConnectionState);
+
+  showManualSignaling('📋 Host with Code (White)');
+  document.getElementById('manualStatus').textContent = '⏳ Gathering network candidates...';
+
+  try {
+    const offerCode = await networkManager.createManualOffer();
+    document.getElementById('manualStatus').textContent = '';
+    await showManualCode('1. Send this offer code to the guest, or let them scan it:', offerCode);
+
+    askForManualCode('2. Paste (or scan) the answer code the guest sends back:', 'Connect', async (answerCode) => {
+      await networkManager.acceptManualAnswer(answerCode);
+      manualSubmitHandler = null;
+      document.getElementById('manualInput').style.display = 'none';
+      document.getElementById('manualStatus').textContent = '⏳ Connecting to guest...';
+    });
+    updatePlayerStatus({ white: true, black: false });
+  } catch (error) {
+    console.error('Error creating offer code:', error);
+    showNotification('Failed to start host: ' + error.message);
+    manualSignalingDiv.style.display = 'none';
+  }
+});
+
+document.getElementById('manualJoinBtn').addEventListener('click', () => {
+  showManualSignaling('📋 Join with Code (Black)');
+
+  askForManualCode('Paste (or scan) the offer code from the host:', 'Create answer', async (offerCode) => {
+    isHost = false;
+    playerColor = 'black';
+    networkManager = new NetworkManager('guest');
+    networkManager.onMessage(handleGameMessage);
+    networkManager.onConnectionStateChange(handleGuestConnectionState);
+
+    document.getElementById('manualStatus').textContent = '⏳ Gathering network candidates...';
+    let answerCode;
+    try {
+      answerCode = await networkManager.createManualAnswer(offerCode);
+    } catch (error) {
+      document.getElementById('manualStatus').textContent = '';
+      throw error;
+    }
+
+    manualSubmitHandler = null;
+    document.getElementById('manualInput').style.display = 'none';
+    document.getElementById('manualStatus').textContent = '⏳ Waiting for the host to enter the answer code...';
+    await showManualCode('Send this answer code back to the host, or let them scan it:', answerCode);
+  });
+});
+
 document.addEventListener('click', (e) => {
   if (!isPointerLocked) return;
+
+  if (connectionLost) {
+    showNotification('Connection lost - waiting to reconnect...');
+    return;
+  }
   
   if (battleArena.isActive()) {
     const shotData = battleArena.shoot();
 
     // Send shot to opponent
     if (shotData && isConnected) {
-      const playerState = battleArena.getPlayerState();
-      networkManager.send('battleUpdate', {
-        position: playerState.position,
-        rotation: playerState.rotation,
-        shot: shotData,
-        health: playerState.health
-      }, 'battle-updates'); // Use unreliable channel
+      sendBattleUpdate(getBattleUpdate(shotData));
     }
     return;
   }
@@ -702,48 +1619,23 @@ document.addEventListener('click', (e) => {
     }
 
     const prevSelected = game.selectedPiece;
-    const targetPiece = game.getPiece(row, col);
     const isValidDestination = prevSelected && game.validMoves.some(
       m => m.row === row && m.col === col
     );
-    const isCapture = prevSelected && targetPiece &&
-      targetPiece.color !== playerColor && isValidDestination;
-
-    const attackingPiece = prevSelected ? prevSelected.piece : null;
+    const isCapture = isValidDestination &&
+      game.getCaptureTarget(prevSelected.row, prevSelected.col, row, col) !== null;
+    const promotion = isValidDestination && game.isPromotionMove(prevSelected.row, prevSelected.col, row)
+      ? choosePromotion()
+      : 'queen';
 
     // For capture moves, defer board updates until the battle resolves
     if (isCapture) {
-      battleFromRow = prevSelected.row;
-      battleFromCol = prevSelected.col;
-      battleToRow = row;
-      battleToCol = col;
-
       // Clear selection highlights before hiding the board for battle
       game.selectedPiece = null;
       game.validMoves = [];
 
       if (isHost) {
-        if (isConnected) {
-          networkManager.send('startBattle', {
-            attackingPiece: attackingPiece,
-            defendingPiece: targetPiece,
-            fromRow: prevSelected.row,
-            fromCol: prevSelected.col,
-            toRow: row,
-            toCol: col
-          }, 'game-state');
-        }
-
-        // Start local battle immediately; opponent reacts via network message
-        handleGameMessage({
-          type: 'startBattle',
-          attackingPiece: attackingPiece,
-          defendingPiece: targetPiece,
-          fromRow: prevSelected.row,
-          fromCol: prevSelected.col,
-          toRow: row,
-          toCol: col
-        });
+        startCaptureBattle(prevSelected.row, prevSelected.col, row, col, promotion);
       } else {
         // Guest: send move request to host for validation/battle start
         if (isConnected) {
@@ -751,7 +1643,8 @@ document.addEventListener('click', (e) => {
             fromRow: prevSelected.row,
             fromCol: prevSelected.col,
             toRow: row,
-            toCol: col
+            toCol: col,
+            promotion
           }, 'game-state');
         } else {
           showNotification('Not connected to host');
@@ -762,132 +1655,134 @@ document.addEventListener('click', (e) => {
       return;
     }
 
-    const moved = game.selectPiece(row, col);
+    const moved = game.selectPiece(row, col, promotion);
+
+    if (moved && isHost) {
+      completeTurn();
+    }
 
     if (moved && isConnected) {
       if (isHost) {
         // Host: execute move directly and broadcast state
-        networkManager.send('gameState', {
-          board: game.board,
-          currentTurn: game.currentTurn
-        }, 'game-state');
+        networkManager.broadcast('gameState', getSyncState(), 'game-state');
       } else {
         // Guest: send move request to host
         networkManager.send('moveRequest', {
           fromRow: prevSelected.row,
           fromCol: prevSelected.col,
           toRow: row,
-          toCol: col
+          toCol: col,
+          promotion
         }, 'game-state');
       }
     }
 
     updateBoard();
+
+    if (moved && isHost) {
+      announceCheckOrGameOver();
+    }
   }
 });
 
 function updateMovement() {
-  if (battleArena.isActive()) {
-    // Use physics-based movement during battles
-    battleArena.updateBattlePhysics(keys, deltaTime, camera);
+  // Battle movement runs in the arena's fixed-step simulation; spectators
+  // fly freely
+  if (battleArena.isActive() && !battleArena.isSpectating()) return;
+
+  const forward = new THREE.Vector3();
+  const right = new THREE.Vector3();
+  
+  camera.getWorldDirection(forward);
+  forward.y = 0;
+  forward.normalize();
+  
+  right.crossVectors(forward, new THREE.Vector3(0, 1, 0));
+  
+  if (keys['KeyW']) camera.position.addScaledVector(forward, moveSpeed);
+  if (keys['KeyS']) camera.position.addScaledVector(forward, -moveSpeed);
+  if (keys['KeyA']) camera.position.addScaledVector(right, -moveSpeed);
+  if (keys['KeyD']) camera.position.addScaledVector(right, moveSpeed);
+  if (keys['Space']) camera.position.y += moveSpeed;
+  if (keys['ShiftLeft']) camera.position.y -= moveSpeed;
+  
+  camera.position.y = Math.max(0.5, camera.position.y);
+}
+
+// Our position and aim, plus (from the host) the authoritative health of both sides
+function getBattleUpdate(shot) {
+  const playerState = battleArena.getPlayerState();
+  const update = {
+    sentAt: Date.now(),
+    position: playerState.position,
+    rotation: playerState.rotation,
+    shots: shot ? [shot] : []
+  };
+
+  if (isHost) {
+    const { playerHealth, opponentHealth } = battleArena.getHealth();
+    update.health = { host: playerHealth, guest: opponentHealth };
+    update.color = playerColor; // For spectators, who see both sides
+  }
+
+  return update;
+}
+
+// On the unreliable channel; the host's updates reach spectators too
+function sendBattleUpdate(update) {
+  if (isHost) {
+    networkManager.broadcast('battleUpdate', update, 'battle-updates');
   } else {
-    const forward = new THREE.Vector3();
-    const right = new THREE.Vector3();
-    
-    camera.getWorldDirection(forward);
-    forward.y = 0;
-    forward.normalize();
-    
-    right.crossVectors(forward, new THREE.Vector3(0, 1, 0));
-    
-    if (keys['KeyW']) camera.position.addScaledVector(forward, moveSpeed);
-    if (keys['KeyS']) camera.position.addScaledVector(forward, -moveSpeed);
-    if (keys['KeyA']) camera.position.addScaledVector(right, -moveSpeed);
-    if (keys['KeyD']) camera.position.addScaledVector(right, moveSpeed);
-    if (keys['Space']) camera.position.y += moveSpeed;
-    if (keys['ShiftLeft']) camera.position.y -= moveSpeed;
-    
-    camera.position.y = Math.max(0.5, camera.position.y);
+    networkManager.send('battleUpdate', update, 'battle-updates');
   }
 }
 
+// Host (or offline) only: the arena reports the battle result
 function handleBattleEnd(playerWon, isAttacker) {
   const attackerWon = (isAttacker && playerWon) || (!isAttacker && !playerWon);
 
-  const defendingPiece = game.board[battleToRow][battleToCol];
-  const attackingPiece = game.board[battleFromRow][battleFromCol];
-
-  // Update board based on battle result
-  if (attackerWon) {
-    game.board[battleToRow][battleToCol] = game.board[battleFromRow][battleFromCol];
-    game.board[battleFromRow][battleFromCol] = null;
-
-    if (defendingPiece && defendingPiece.type === 'king') {
-      game.gameOver = true;
-      game.winner = attackingPiece.color;
-    }
-  } else {
-    game.board[battleFromRow][battleFromCol] = null;
-
-    if (attackingPiece && attackingPiece.type === 'king') {
-      game.gameOver = true;
-      game.winner = defendingPiece.color;
-    }
-  }
+  // Update board based on battle result, logging the fighters' remaining HP
+  const { playerHealth, opponentHealth } = battleArena.getHealth();
+  game.resolveBattle(battleFromRow, battleFromCol, battleToRow, battleToCol, attackerWon, battlePromotion, {
+    attackerHp: isAttacker ? playerHealth : opponentHealth,
+    defenderHp: isAttacker ? opponentHealth : playerHealth
+  });
 
-  game.currentTurn = game.currentTurn === 'white' ? 'black' : 'white';
+  completeTurn();
 
   // Send battle result to opponent
   if (isConnected) {
-    networkManager.send('battleEnded', {
+    networkManager.broadcast('battleEnded', {
       attackerWon: attackerWon,
       fromRow: battleFromRow,
       fromCol: battleFromCol,
       toRow: battleToRow,
       toCol: battleToCol,
-      board: game.board,
-      currentTurn: game.currentTurn,
-      gameOver: game.gameOver,
-      winner: game.winner
+      ...getSyncState()
     }, 'game-state');
+    shareStateHash();
   }
 
-  // (The opponent will clean up when they receive the battleEnded message)
-  if (battleArena.isActive()) {
-    battleArena.cleanup();
-    battleArena.battleActive = false;
-  }
-
-  // Show chess board again
-  boardGroup.visible = true;
-
-  // Reset camera to chess view
-  camera.position.set(0, 2, 5);
-  camera.rotation.set(0, 0, 0);
-
-  updateBoard();
+  // (The guest will clean up when they receive the battleEnded message)
+  exitBattleView();
 
   // Show result notification
   const resultMsg = attackerWon ? 'Attacker won the battle!' : 'Defender won the battle!';
   showNotification(resultMsg);
 
   if (game.gameOver) {
-    const winnerText = game.winner === playerColor ? 'YOU WIN!' : 'YOU LOSE!';
-    setTimeout(() => {
-      showNotification(`GAME OVER! ${game.winner.toUpperCase()} WINS! ${winnerText}`);
-      setTimeout(() => {
-        if (confirm(`${game.winner.toUpperCase()} wins! Play again?`)) {
-          location.reload();
-        }
-      }, 2000);
-    }, 1500);
+    setTimeout(announceCheckOrGameOver, 1500);
   }
 }
 
 // Animation loop
 let lastTime = Date.now();
-let lastNetworkUpdate = Date.now();
-let deltaTime = 0; // Make deltaTime accessible to updateMovement
+let deltaTime = 0; // Seconds since the previous frame
+
+// Battle updates go out once per simulation tick. The schedule absorbs frame
+// jitter instead of skipping a tick whenever a frame comes a little early.
+const BATTLE_UPDATE_INTERVAL_MS = 1000 / SIMULATION_HZ;
+let nextNetworkUpdate = 0;
 
 function animate() {
   requestAnimationFrame(animate);
@@ -897,21 +1792,33 @@ function animate() {
   lastTime = currentTime;
 
   updateMovement();
+
+  // The host's clock is the one that decides flag-fall
+  if (isHost && chessClock && !game.gameOver) {
+    const flagged = chessClock.getFlaggedColor(currentTime);
+    if (flagged) {
+      handleFlagFall(flagged);
+    }
+  }
   
-  if (battleArena.isActive() && currentTime - lastNetworkUpdate > 50 && isConnected) {
-    const playerState = battleArena.getPlayerState();
-    networkManager.send('battleUpdate', {
-      position: playerState.position,
-      rotation: playerState.rotation,
-      shot: null,
-      health: playerState.health
-    }, 'battle-updates'); // Use unreliable channel
-    lastNetworkUpdate = currentTime;
+  if (battleArena.isActive() && currentTime >= nextNetworkUpdate && isConnected && !connectionLost && !isSpectator) {
+    sendBattleUpdate(getBattleUpdate(null));
+    nextNetworkUpdate = Math.max(nextNetworkUpdate, currentTime - BATTLE_UPDATE_INTERVAL_MS) + BATTLE_UPDATE_INTERVAL_MS;
   }
   
   let healthInfo = '';
-  if (battleArena.isActive()) {
-    const health = battleArena.updateBattle(deltaTime);
+  if (battleArena.isSpectating()) {
+    const health = battleArena.updateBattle(deltaTime, keys);
+
+    healthInfo = `
+      <div style="margin-top: 10px; font-size: 20px; font-weight: bold;">
+        🎯 BATTLE 🎯<br>
+        White: ${health.white}%<br>
+        Black: ${health.black}%
+      </div>
+    `;
+  } else if (battleArena.isActive()) {
+    const health = battleArena.updateBattle(deltaTime, keys);
     
     healthInfo = `
       <div style="margin-top: 10px; font-size: 20px; font-weight: bold;">
@@ -922,16 +1829,44 @@ function animate() {
     `;
   }
   
-  const turnIndicator = playerColor === game.currentTurn ? '🟢 YOUR TURN' : '🔴 OPPONENT\'S TURN';
-  const colorDisplay = playerColor ? `You: ${playerColor.toUpperCase()}` : 'Selecting color...';
+  let turnIndicator = playerColor === game.currentTurn ? '🟢 YOUR TURN' : '🔴 OPPONENT\'S TURN';
+  let colorDisplay = playerColor ? `You: ${playerColor.toUpperCase()}` : 'Selecting color...';
+  if (aiThinking) {
+    turnIndicator = '🤖 COMPUTER IS THINKING...';
+  }
+  if (isSpectator) {
+    colorDisplay = '👁 Spectating';
+    turnIndicator = game.gameOver ? `Result: ${game.getPGNResult()}` : `${game.currentTurn.toUpperCase()} TO MOVE`;
+  }
+  if (replayViewer) {
+    colorDisplay = 'Replay mode';
+    turnIndicator = game.gameOver ? `Result: ${game.getPGNResult()}` : '📼 REPLAY';
+  }
   
-  const controls = battleArena.isActive() 
-    ? 'WASD: Move | Mouse: Look | CLICK: Shoot'
-    : 'WASD: Move | Mouse: Look | Space/Shift: Up/Down<br>Click to lock cursor | Click pieces to play';
+  const spectatorCount = isHost && networkManager ? networkManager.getSpectatorCount() : 0;
+  const spectatorInfo = spectatorCount > 0 ? `<div>👁 ${spectatorCount} watching</div>` : '';
+
+  const controls = isSpectator
+    ? 'WASD: Move | Mouse: Look | Space/Shift: Up/Down<br>Click to lock cursor | N: Network stats'
+    : battleArena.isActive()
+    ? 'WASD: Move | Mouse: Look | CLICK: Shoot | N: Network stats'
+    : 'WASD: Move | Mouse: Look | Space/Shift: Up/Down<br>Click to lock cursor | Click pieces to play | N: Network stats';
   
+  let clockInfo = '';
+  if (chessClock && !replayViewer) {
+    const side = (color) => {
+      const marker = chessClock.activeColor === color && chessClock.isRunning() ? '▶ ' : '';
+      return `${marker}${color === 'white' ? 'White' : 'Black'} ${formatClockTime(chessClock.getRemaining(color, currentTime))}`;
+    };
+    const paused = chessClock.paused && !chessClock.stopped ? ' (paused)' : '';
+    clockInfo = `<div style="font-family: monospace;">⏱ ${side('white')} | ${side('black')}${paused}</div>`;
+  }
+
   ui.innerHTML = `
     <div>${colorDisplay}</div>
     <div>Current Turn: ${game.currentTurn}</div>
+    ${clockInfo}
+    ${spectatorInfo}
     <div style="margin-top: 5px; font-weight: bold;">${turnIndicator}</div>
     ${healthInfo}
     <div style="margin-top: 10px; font-size: 14px;">
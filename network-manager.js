@@ -1,20 +1,72 @@
 import { WebRTCConnection } from './webrtc-connection.js';
+import { encodeSignal, decodeSignal } from './signal-codec.js';
+
+export const DEFAULT_SIGNALING_PORT = 8080;
+const SOCKET_OPEN_TIMEOUT_MS = 2000;
+const OFFER_TIMEOUT_MS = 30000;
+const ROOM_KEEPALIVE_MS = 60000;
+const CHANNEL_OPEN_TIMEOUT_MS = 5000;
+
+// Reconnecting after a dropped connection: the host waits a moment in case
+// the browser recovers on its own, then restarts ICE, then builds new
+// connections. A peer that can't re-signal gives up when the host would.
+const RECOVERY_DELAY_MS = 2000;
+const RECOVERY_ATTEMPT_TIMEOUT_MS = 10000;
+const MAX_RECOVERY_ATTEMPTS = 5;
+const RECOVERY_GIVE_UP_MS = RECOVERY_DELAY_MS + MAX_RECOVERY_ATTEMPTS * RECOVERY_ATTEMPT_TIMEOUT_MS;
+
+// "192.168.1.5", "192.168.1.5:9000" or "http://host:9000" -> base URL
+export function getSignalingUrl(address, port = DEFAULT_SIGNALING_PORT) {
+  const trimmed = address.trim().replace(/\/+$/, '');
+  const withScheme = /^https?:\/\//.test(trimmed) ? trimmed : `http://${trimmed}`;
+  const url = new URL(withScheme);
+  if (!/^https?:\/\/[^/]+:\d+/.test(withScheme)) {
+    url.port = String(port);
+  }
+  return url.origin;
+}
 
+// role is 'host', 'guest' or 'spectator'. The host keeps one connection to
+// the guest plus one per spectator; spectators only receive.
 export class NetworkManager {
-  constructor(isHost) {
-    this.isHost = isHost;
+  constructor(role) {
+    this.role = role;
+    this.isHost = role === 'host';
+    this.isSpectator = role === 'spectator';
     this.connection = null;
+    this.spectators = new Map(); // Host only: spectator id -> WebRTCConnection
     this.signalingServerUrl = null;
+    this.roomCode = null;
+    this.roomUrl = null;
     this.messageCallback = null;
     this.connectionStateCallback = null;
+    this.signalingSocket = null;
+    this.signalingComplete = false;
+    this.remoteOffer = null;
+    this.offerWaiter = null;
+    this.iceSendInterval = null;
     this.icePollInterval = null;
     this.answerPollInterval = null;
+    this.offerPollInterval = null;
+    this.roomKeepAliveInterval = null;
     this.lastIceIndexSent = 0;
+
+    // Reconnection. Each new peer connection the host builds for the game is
+    // a new generation; an offer of the current generation restarts ICE.
+    this.generation = 0;
+    this.awaitingAnswer = false;
+    this.answeredOfferSdp = null;
+    this.connectionLost = false;
+    this.recoveryAttempts = 0;
+    this.recoveryTimer = null;
   }
 
-  async startHost(port = 8080) {
+  // Opens a room on the signaling server and returns its join code, or null
+  // if the server can't be reached (signaling then falls back to
+  // localStorage, which only works between tabs of one browser)
+  async startHost(serverAddress) {
     if (!this.isHost) {
-      throw new Error('Only host can start signaling server');
+      throw new Error('Only host can open a room');
     }
 
     // Clear any stale signaling artifacts from previous sessions
@@ -23,53 +75,51 @@ export class NetworkManager {
 
     console.log('🎮 Starting as HOST...');
 
-    // In browser, we'll use a simple in-memory signaling approach
-    // Store offer/answer/ICE in localStorage for same-machine testing
-    // For real LAN, user needs to manually share connection data
-    this.signalingServerUrl = `http://localhost:${port}`;
+    this.signalingServerUrl = getSignalingUrl(serverAddress);
 
-    // Get local IPs from a simple endpoint (if signaling server is running)
-    let ips = [];
+    let response = null;
     try {
-      const response = await fetch(`${this.signalingServerUrl}/local-ips`);
-      if (response.ok) {
-        const data = await response.json();
-        ips = data.ips;
-      }
+      response = await fetch(`${this.signalingServerUrl}/rooms`, { method: 'POST' });
     } catch (error) {
-      // Signaling server not running, get IPs from browser using WebRTC
-      console.log('⚠️  Signaling server not detected. Detecting local IPs from browser...');
-      ips = await this.getLocalIPsFromBrowser();
+      console.log('⚠️  Signaling server not reachable, falling back to localStorage signaling');
     }
 
-    // Initialize WebRTC
-    this.connection = new WebRTCConnection(true);
-    await this.connection.initialize();
-
-    // Set up message handling
-    this.connection.onMessage((message) => {
-      if (this.messageCallback) {
-        this.messageCallback(message);
+    if (response) {
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Signaling server error ${response.status}`);
       }
-    });
+      this.roomCode = data.code;
+      console.log(`🔑 Opened room ${this.roomCode}`);
+    }
 
-    // Set up connection state handling
-    this.connection.onConnectionStateChange((state) => {
-      if (this.connectionStateCallback) {
-        this.connectionStateCallback(state);
-      }
+    // Without a room every request below fails and takes the localStorage path
+    this.roomUrl = `${this.signalingServerUrl}/rooms/${this.roomCode || 'local'}`;
 
-      // Shut down signaling server once connected
-      if (state === 'connected' && this.signalingServer) {
-        console.log('🎉 P2P connection established! Shutting down signaling server...');
-        setTimeout(() => {
-          this.signalingServer.shutdown();
-        }, 2000);
-      }
-    });
+    if (this.roomCode) {
+      this.signalingSocket = await this.openSignalingSocket('host');
+    }
+
+    await this.setupConnection();
 
     // Create offer
     const offer = await this.connection.createOffer();
+    await this.sendOffer(offer);
+
+    return this.roomCode;
+  }
+
+  // The answer and the guest's candidates arrive in handleSignal over the
+  // WebSocket, or by polling without one
+  async sendOffer(offer) {
+    this.awaitingAnswer = true;
+
+    if (this.signalingSocket) {
+      this.sendSignal({ type: 'offer', offer, generation: this.generation });
+      console.log('📤 Sent offer to signaling server (WebSocket)');
+      this.startIcePush();
+      return;
+    }
 
     // Store offer for signaling
     await this.storeOffer(offer);
@@ -78,18 +128,16 @@ export class NetworkManager {
     this.waitForAnswer();
 
     // Start ICE candidate exchange
-    this.startIceCandidateExchange(this.signalingServerUrl);
-
-    return ips;
+    this.startIceCandidateExchange(this.roomUrl);
   }
 
   async storeOffer(offer) {
     // Try HTTP signaling first
     try {
-      await fetch(`${this.signalingServerUrl}/offer`, {
+      await fetch(`${this.roomUrl}/offer`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ offer })
+        body: JSON.stringify({ offer, generation: this.generation })
       });
       console.log('📤 Offer stored on signaling server');
     } catch (error) {
@@ -99,59 +147,398 @@ export class NetworkManager {
     }
   }
 
-  async connectToHost(hostIP, port = 8080) {
-    if (this.isHost) {
-      throw new Error('Host cannot connect to another host');
+  async connectToHost(serverAddress, roomCode) {
+    if (this.role !== 'guest') {
+      throw new Error('Only a guest can join a game');
     }
 
     // Clear any stale signaling artifacts from previous sessions
     this.clearLocalSignalingData();
     this.lastIceIndexSent = 0;
 
-    console.log(`🎮 Connecting to HOST at ${hostIP}:${port}...`);
+    const baseUrl = this.useRoom(serverAddress, roomCode);
+    console.log(`🎮 Joining room ${this.roomCode} via ${this.signalingServerUrl}...`);
 
-    const baseUrl = `http://${hostIP}:${port}`;
+    let serverReachable = true;
+    try {
+      await this.checkRoom();
+    } catch (error) {
+      if (error instanceof TypeError) {
+        console.log('⚠️  Signaling server not reachable, falling back to localStorage signaling');
+        serverReachable = false;
+      } else {
+        throw error;
+      }
+    }
 
-    // Initialize WebRTC
-    this.connection = new WebRTCConnection(false);
-    await this.connection.initialize();
+    await this.setupConnection();
 
-    // Set up message handling
-    this.connection.onMessage((message) => {
-      if (this.messageCallback) {
-        this.messageCallback(message);
-      }
-    });
+    if (serverReachable) {
+      this.signalingSocket = await this.openSignalingSocket('guest');
+    }
 
-    // Set up connection state handling
-    this.connection.onConnectionStateChange((state) => {
-      if (this.connectionStateCallback) {
-        this.connectionStateCallback(state);
+    // Wait for the offer from host: pushed over the WebSocket, or polled
+    let offer = null;
+    if (this.signalingSocket) {
+      try {
+        offer = await this.waitForOffer();
+        console.log('📥 Received offer from host (WebSocket)');
+      } catch (error) {
+        console.log(`⚠️  ${error.message}, polling for the offer instead`);
       }
-    });
-
-    // Wait for and fetch offer from host
-    const offer = await this.fetchOfferWithRetry(baseUrl);
+    }
+    if (!offer) {
+      offer = await this.fetchOfferWithRetry(baseUrl);
+    }
+    this.answeredOfferSdp = offer.sdp;
 
     // Create answer
     const answer = await this.connection.createAnswer(offer);
+    await this.sendAnswer(answer);
+  }
+
+  // Spectators connect only through the signaling server's WebSocket: the
+  // host offers each of them a connection of their own
+  async watchGame(serverAddress, roomCode) {
+    if (!this.isSpectator) {
+      throw new Error('Only a spectator can watch a game');
+    }
+
+    this.useRoom(serverAddress, roomCode);
+    console.log(`👁 Watching room ${this.roomCode} via ${this.signalingServerUrl}...`);
+
+    try {
+      await this.checkRoom();
+    } catch (error) {
+      throw error instanceof TypeError ? new Error('Signaling server not reachable') : error;
+    }
+
+    await this.setupConnection();
+    this.signalingSocket = await this.openSignalingSocket('spectator');
+    if (!this.signalingSocket) {
+      throw new Error('Watching needs a WebSocket connection to the signaling server (or the game is full)');
+    }
+
+    // The host has to be on a WebSocket too; it offers as soon as it hears of us
+    const offer = await this.waitForOffer();
+    this.answeredOfferSdp = offer.sdp;
+    console.log('📥 Received offer from host (WebSocket)');
+
+    const answer = await this.connection.createAnswer(offer);
+    await this.sendAnswer(answer);
+  }
+
+  useRoom(serverAddress, roomCode) {
+    this.signalingServerUrl = getSignalingUrl(serverAddress);
+    this.roomCode = roomCode.trim().toUpperCase();
+    this.roomUrl = `${this.signalingServerUrl}/rooms/${encodeURIComponent(this.roomCode)}`;
+    return this.roomUrl;
+  }
+
+  // Fails fast on a mistyped code rather than waiting for an offer that
+  // will never come, and a guest on a game that already has one. Throws a
+  // TypeError if the server can't be reached.
+  async checkRoom() {
+    const response = await fetch(this.roomUrl);
+    if (response.status === 404) {
+      throw new Error(`No game found with code ${this.roomCode}`);
+    }
+
+    const room = await response.json().catch(() => ({}));
+    if (this.role === 'guest' && room.hasGuest) {
+      throw new Error(`Game ${this.roomCode} already has an opponent`);
+    }
+  }
+
+  async sendAnswer(answer) {
+    if (this.signalingSocket) {
+      this.sendSignal({ type: 'answer', answer });
+      console.log('📤 Sent answer to host (WebSocket)');
+      this.startIcePush();
+      return;
+    }
 
     // Send answer to host
     try {
-      await fetch(`${baseUrl}/answer`, {
+      const response = await fetch(`${this.roomUrl}/answer`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ answer })
       });
+      if (response.status === 409) {
+        throw new Error(`Game ${this.roomCode} already has an opponent`);
+      }
       console.log('📤 Sent answer to host (HTTP)');
     } catch (error) {
+      if (!(error instanceof TypeError)) throw error;
+
       // Fallback to localStorage
       localStorage.setItem('webrtc_answer', JSON.stringify(answer));
       console.log('📤 Sent answer to host (localStorage)');
     }
 
     // Start ICE candidate exchange
-    this.startIceCandidateExchange(baseUrl);
+    this.startIceCandidateExchange(this.roomUrl);
+  }
+
+  // Manual signaling, for when there is no signaling server at all: the
+  // host's offer and the guest's answer travel as codes the players copy or
+  // scan. Candidates can't trickle, so each side waits for ICE gathering to
+  // finish and ships them inside its description.
+  async createManualOffer() {
+    if (!this.isHost) {
+      throw new Error('Only host can create an offer');
+    }
+
+    console.log('🎮 Starting as HOST (manual signaling)...');
+    await this.setupConnection();
+    await this.connection.createOffer();
+    await this.connection.waitForIceGathering();
+
+    return encodeSignal(this.connection.getLocalDescription());
+  }
+
+  async acceptManualAnswer(code) {
+    const answer = await decodeSignal(code);
+    if (answer.type !== 'answer') {
+      throw new Error('That is an offer code; paste the answer code from the guest');
+    }
+
+    await this.connection.setRemoteDescription(answer);
+    console.log('📥 Accepted answer code from guest');
+  }
+
+  // Returns the answer code to hand back to the host
+  async createManualAnswer(code) {
+    if (this.isHost) {
+      throw new Error('Host cannot answer an offer');
+    }
+
+    const offer = await decodeSignal(code);
+    if (offer.type !== 'offer') {
+      throw new Error('That is an answer code; paste the offer code from the host');
+    }
+
+    console.log('🎮 Joining as GUEST (manual signaling)...');
+    await this.setupConnection();
+    await this.connection.createAnswer(offer);
+    await this.connection.waitForIceGathering();
+
+    return encodeSignal(this.connection.getLocalDescription());
+  }
+
+  async setupConnection() {
+    const connection = new WebRTCConnection(this.isHost);
+    this.connection = connection;
+    this.lastIceIndexSent = 0;
+    await connection.initialize();
+
+    // Set up message handling
+    connection.onMessage((message) => {
+      if (this.messageCallback) {
+        this.messageCallback(message);
+      }
+    });
+
+    // Set up connection state handling
+    connection.onConnectionStateChange((state) => this.handleConnectionState(connection, state));
+    connection.onProtocolMismatch(() => this.handleProtocolMismatch(connection));
+  }
+
+  // The peer runs an incompatible build, which no reconnect can fix: drop
+  // the game and report 'version-mismatch'
+  handleProtocolMismatch(connection) {
+    if (connection !== this.connection) return;
+
+    this.disconnect();
+    if (this.connectionStateCallback) {
+      this.connectionStateCallback('version-mismatch');
+    }
+  }
+
+  // Besides the browser's states, reports 'reconnected' once a lost
+  // connection is back with its game channel open, or 'reconnect-failed'.
+  // The states in between stay internal.
+  handleConnectionState(connection, state) {
+    // Replaced by a newer connection during recovery
+    if (connection !== this.connection) return;
+
+    if (this.connectionLost) {
+      if (state === 'connected') {
+        this.confirmRecovery(connection);
+      }
+      return;
+    }
+
+    if (state === 'connected') {
+      this.finishSignaling();
+    } else if ((state === 'disconnected' || state === 'failed') && this.signalingComplete) {
+      this.handleConnectionLoss(state);
+      return;
+    }
+
+    if (this.connectionStateCallback) {
+      this.connectionStateCallback(state);
+    }
+  }
+
+  // The game's connection dropped: the host signals it again through the
+  // room, the guest listens for those offers. Without a room (manual codes,
+  // localStorage) only the browser's own recovery can bring it back.
+  handleConnectionLoss(state) {
+    this.connectionLost = true;
+    this.recoveryAttempts = 0;
+    console.log(`⚠️  Connection ${state}, trying to reconnect...`);
+
+    if (this.isHost && this.roomCode) {
+      this.recoveryTimer = setTimeout(() => this.recover(), RECOVERY_DELAY_MS);
+    } else {
+      if (this.role === 'guest' && this.roomCode) {
+        this.listenForOffers();
+      }
+      this.recoveryTimer = setTimeout(() => this.giveUpRecovery(), RECOVERY_GIVE_UP_MS);
+    }
+
+    if (this.connectionStateCallback) {
+      this.connectionStateCallback(state);
+    }
+  }
+
+  // Host only: one reconnection attempt. The first restarts ICE on the
+  // existing connection; the rest replace it with a new one.
+  async recover() {
+    this.recoveryTimer = null;
+    if (!this.connectionLost) return;
+
+    if (this.recoveryAttempts >= MAX_RECOVERY_ATTEMPTS) {
+      this.giveUpRecovery();
+      return;
+    }
+
+    const iceRestart = this.recoveryAttempts === 0;
+    this.recoveryAttempts++;
+    console.log(`🔄 Reconnecting to guest (attempt ${this.recoveryAttempts}/${MAX_RECOVERY_ATTEMPTS}, ${iceRestart ? 'ICE restart' : 'new connection'})`);
+
+    try {
+      this.signalingComplete = false;
+      this.stopSignalingTimers();
+      if (!this.signalingSocket) {
+        this.signalingSocket = await this.openSignalingSocket('host');
+      }
+
+      let offer;
+      if (iceRestart) {
+        offer = await this.connection.createOffer({ iceRestart: true });
+      } else {
+        this.connection.close();
+        this.generation++;
+        await this.setupConnection();
+        offer = await this.connection.createOffer();
+      }
+      await this.sendOffer(offer);
+    } catch (error) {
+      console.error('Reconnection attempt failed:', error);
+    }
+
+    if (this.connectionLost) {
+      this.recoveryTimer = setTimeout(() => this.recover(), RECOVERY_ATTEMPT_TIMEOUT_MS);
+    }
+  }
+
+  // Guest only: answers an offer the host sent after losing us. An offer of
+  // a new generation means the host dropped the old connection entirely.
+  async answerRenegotiation(offer, generation) {
+    this.answeredOfferSdp = offer.sdp;
+
+    if (generation !== this.generation) {
+      // The host may notice the loss before we do
+      if (!this.connectionLost) {
+        this.handleConnectionLoss('disconnected');
+      }
+      this.connection.close();
+      this.generation = generation;
+      await this.setupConnection();
+    }
+
+    if (this.connectionLost) {
+      // The host is still trying; keep waiting for it
+      clearTimeout(this.recoveryTimer);
+      this.recoveryTimer = setTimeout(() => this.giveUpRecovery(), RECOVERY_GIVE_UP_MS);
+      this.signalingComplete = false;
+    } else {
+      // Our side never noticed a drop, so no state change will end the
+      // exchange; stop any polling once the restart had time to finish
+      setTimeout(() => {
+        if (!this.connectionLost) this.stopSignalingTimers();
+      }, RECOVERY_ATTEMPT_TIMEOUT_MS);
+    }
+
+    console.log('📥 Received reconnection offer from host');
+    const answer = await this.connection.createAnswer(offer);
+    await this.sendAnswer(answer);
+  }
+
+  // The transport is back; the game resumes once its channel is open too
+  async confirmRecovery(connection) {
+    const open = await connection.waitForChannelOpen(CHANNEL_OPEN_TIMEOUT_MS);
+    if (connection !== this.connection || !this.connectionLost) return;
+
+    if (!open) {
+      // The host's next attempt replaces the connection
+      console.warn('⚠️  Reconnected, but the game channel did not open');
+      return;
+    }
+
+    clearTimeout(this.recoveryTimer);
+    this.recoveryTimer = null;
+    this.connectionLost = false;
+    // A connection that came back by itself was never signaled again
+    this.stopSignalingTimers();
+    this.finishSignaling();
+    console.log('✅ Reconnected');
+
+    if (this.connectionStateCallback) {
+      this.connectionStateCallback('reconnected');
+    }
+  }
+
+  giveUpRecovery() {
+    this.recoveryTimer = null;
+    this.stopSignalingTimers();
+    console.log('❌ Could not reconnect');
+
+    if (this.connectionStateCallback) {
+      this.connectionStateCallback('reconnect-failed');
+    }
+  }
+
+  // Guest only: offers come over the WebSocket, reopened if it dropped
+  // during the game, or by polling the room
+  async listenForOffers() {
+    if (!this.signalingSocket) {
+      this.signalingSocket = await this.openSignalingSocket('guest');
+    }
+    if (!this.signalingSocket && this.connectionLost) {
+      this.pollForOffers();
+    }
+  }
+
+  pollForOffers() {
+    if (this.offerPollInterval) return;
+
+    this.offerPollInterval = setInterval(async () => {
+      try {
+        const response = await fetch(`${this.roomUrl}/offer`);
+        if (!response.ok) return;
+
+        const data = await response.json();
+        if (data.offer.sdp !== this.answeredOfferSdp) {
+          await this.answerRenegotiation(data.offer, data.generation ?? 0);
+        }
+      } catch (error) {
+        // Keep polling until reconnected or out of time
+      }
+    }, 1000);
   }
 
   async fetchOfferWithRetry(baseUrl, maxRetries = 15, delay = 1000) {
@@ -164,8 +551,12 @@ export class NetworkManager {
           return data.offer;
         } else if (response.status === 503) {
           console.log(`⏳ Waiting for host offer... (attempt ${i + 1}/${maxRetries})`);
+        } else if (response.status === 404) {
+          throw new Error(`Game ${this.roomCode} has closed`);
         }
       } catch (error) {
+        if (!(error instanceof TypeError)) throw error;
+
         // Try localStorage fallback
         const offerStr = localStorage.getItem('webrtc_offer');
         if (offerStr) {
@@ -181,13 +572,254 @@ export class NetworkManager {
     throw new Error('Failed to connect to host: timeout');
   }
 
+  // Connects the push transport; resolves to null if the server doesn't
+  // speak WebSocket (or the room is gone), and HTTP polling takes over
+  openSignalingSocket(role) {
+    const url = `${this.signalingServerUrl.replace(/^http/, 'ws')}/ws?room=${encodeURIComponent(this.roomCode)}&role=${role}`;
+
+    return new Promise((resolve) => {
+      let socket;
+      try {
+        socket = new WebSocket(url);
+      } catch (error) {
+        resolve(null);
+        return;
+      }
+
+      const timeout = setTimeout(() => {
+        socket.close();
+        resolve(null);
+      }, SOCKET_OPEN_TIMEOUT_MS);
+
+      socket.onopen = () => {
+        clearTimeout(timeout);
+        console.log('🔌 Signaling over WebSocket');
+        resolve(socket);
+      };
+      socket.onerror = () => {
+        clearTimeout(timeout);
+        resolve(null);
+      };
+      socket.onmessage = (event) => {
+        try {
+          this.handleSignal(JSON.parse(event.data));
+        } catch (error) {
+          console.error('Error handling signaling message:', error);
+        }
+      };
+      socket.onclose = () => this.handleSignalingSocketClose(socket);
+    });
+  }
+
+  sendSignal(message) {
+    if (this.signalingSocket?.readyState === WebSocket.OPEN) {
+      this.signalingSocket.send(JSON.stringify(message));
+    }
+  }
+
+  async handleSignal(message) {
+    if (this.isHost && message.spectatorId !== undefined) {
+      await this.handleSpectatorSignal(message);
+    } else if (message.type === 'offer' && !this.isHost) {
+      if (this.answeredOfferSdp) {
+        // A reconnected socket is sent the last offer again
+        if (message.offer.sdp === this.answeredOfferSdp) return;
+        this.answerRenegotiation(message.offer, message.generation ?? 0)
+          .catch((error) => console.error('Error answering reconnection offer:', error));
+        return;
+      }
+      this.remoteOffer = message.offer;
+      this.offerWaiter?.resolve(message.offer);
+    } else if (message.type === 'answer' && this.isHost) {
+      // A reconnected socket is sent the last answer again; one per offer counts
+      if (!this.awaitingAnswer) return;
+      this.awaitingAnswer = false;
+      console.log('📥 Received answer from guest (WebSocket)');
+      await this.connection.setRemoteDescription(message.answer);
+    } else if (message.type === 'ice') {
+      if (!message.candidate?.candidate) return;
+      console.log(`[ICE] Received ${this.isHost ? 'guest' : 'host'} candidate`, message.candidate.candidate);
+      await this.connection?.addIceCandidate(message.candidate);
+    } else if (message.type === 'error') {
+      console.warn('Signaling server error:', message.error);
+    }
+  }
+
+  // Host only: the signaling for one spectator's connection
+  async handleSpectatorSignal(message) {
+    const { spectatorId } = message;
+    const connection = this.spectators.get(spectatorId);
+
+    if (message.type === 'spectator-joined') {
+      await this.addSpectator(spectatorId);
+    } else if (message.type === 'spectator-left') {
+      // The spectator's signaling socket is gone; the peer connection may
+      // well outlive it
+      if (connection && !connection.isConnected()) {
+        this.removeSpectator(spectatorId);
+      }
+    } else if (message.type === 'answer' && connection) {
+      console.log(`📥 Received answer from spectator ${spectatorId}`);
+      await connection.setRemoteDescription(message.answer);
+    } else if (message.type === 'ice' && connection && message.candidate?.candidate) {
+      await connection.addIceCandidate(message.candidate);
+    }
+  }
+
+  async addSpectator(spectatorId) {
+    if (this.spectators.has(spectatorId)) return;
+
+    const connection = new WebRTCConnection(true);
+    this.spectators.set(spectatorId, connection);
+    await connection.initialize();
+
+    connection.onMessage((message) => {
+      if (this.messageCallback) {
+        this.messageCallback(message, spectatorId);
+      }
+    });
+    connection.onConnectionStateChange((state) => {
+      // Spectators don't get reconnected; they can simply join again
+      if (state === 'failed' || state === 'closed') {
+        this.removeSpectator(spectatorId);
+      }
+    });
+    connection.onProtocolMismatch(() => {
+      console.warn(`Spectator ${spectatorId} runs an incompatible version`);
+      this.removeSpectator(spectatorId);
+    });
+    connection.onIceCandidate((candidate) => {
+      this.sendSignal({ type: 'ice', candidate, spectatorId });
+    });
+
+    const offer = await connection.createOffer();
+    this.sendSignal({ type: 'offer', offer, spectatorId });
+    console.log(`📤 Sent offer to spectator ${spectatorId}`);
+  }
+
+  removeSpectator(spectatorId) {
+    const connection = this.spectators.get(spectatorId);
+    if (!connection) return;
+
+    this.spectators.delete(spectatorId);
+    connection.close();
+    console.log(`👁 Spectator ${spectatorId} left`);
+  }
+
+  waitForOffer(timeoutMs = OFFER_TIMEOUT_MS) {
+    if (this.remoteOffer) return Promise.resolve(this.remoteOffer);
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.offerWaiter = null;
+        reject(new Error('Timed out waiting for the offer'));
+      }, timeoutMs);
+
+      this.offerWaiter = {
+        resolve: (offer) => {
+          clearTimeout(timeout);
+          this.offerWaiter = null;
+          resolve(offer);
+        },
+        reject: (error) => {
+          clearTimeout(timeout);
+          this.offerWaiter = null;
+          reject(error);
+        }
+      };
+    });
+  }
+
+  // Sends every local candidate the moment it is gathered
+  startIcePush() {
+    const send = (candidate) => {
+      console.log(`[ICE] Sending ${this.isHost ? 'host' : 'guest'} candidate`, candidate.candidate || '');
+      this.sendSignal({ type: 'ice', candidate });
+    };
+
+    // After an ICE restart only the new candidates are left to send
+    this.connection.getIceCandidates().slice(this.lastIceIndexSent).forEach(send);
+    this.lastIceIndexSent = this.connection.getIceCandidates().length;
+    this.connection.onIceCandidate((candidate) => {
+      send(candidate);
+      this.lastIceIndexSent++;
+    });
+  }
+
+  // Losing the socket mid-handshake drops back to HTTP polling
+  handleSignalingSocketClose(socket) {
+    if (socket !== this.signalingSocket) return;
+
+    this.signalingSocket = null;
+    this.connection?.onIceCandidate(null);
+    this.offerWaiter?.reject(new Error('Signaling connection closed'));
+
+    // Spectators have no HTTP fallback
+    if (!this.connection || this.isSpectator) return;
+    // A guest waiting to be reconnected needs the host's next offer
+    if (!this.isHost && this.connectionLost) {
+      this.pollForOffers();
+    }
+
+    if (this.signalingComplete) return;
+    // A guest still waiting for the offer is handled by connectToHost
+    if (!this.isHost && !this.answeredOfferSdp) return;
+
+    console.log('⚠️  Signaling WebSocket closed, falling back to HTTP polling');
+    if (this.isHost && this.awaitingAnswer) {
+      this.waitForAnswer();
+    }
+    this.startIceCandidateExchange(this.roomUrl);
+  }
+
+  // Once the peers talk directly, stop every signaling timer. The room (and
+  // its WebSocket) stays open so a dropped connection can be signaled again.
+  finishSignaling() {
+    if (this.signalingComplete) return;
+    this.signalingComplete = true;
+
+    this.stopSignalingTimers();
+    this.connection.onIceCandidate(null);
+
+    if (this.roomCode) {
+      console.log('🎉 P2P connection established! Keeping the room open for reconnects');
+      if (this.isHost) {
+        this.startRoomKeepAlive();
+      }
+    }
+  }
+
+  // An open WebSocket keeps the room alive; otherwise look it up now and then
+  startRoomKeepAlive() {
+    if (this.roomKeepAliveInterval) return;
+
+    this.roomKeepAliveInterval = setInterval(() => {
+      if (!this.signalingSocket && this.roomCode) {
+        fetch(this.roomUrl).catch(() => {});
+      }
+    }, ROOM_KEEPALIVE_MS);
+  }
+
+  stopSignalingTimers() {
+    clearInterval(this.iceSendInterval);
+    clearInterval(this.icePollInterval);
+    clearInterval(this.answerPollInterval);
+    clearInterval(this.offerPollInterval);
+    this.iceSendInterval = null;
+    this.icePollInterval = null;
+    this.answerPollInterval = null;
+    this.offerPollInterval = null;
+  }
+
   waitForAnswer() {
+    if (this.answerPollInterval) return;
+
     this.answerPollInterval = setInterval(async () => {
       let answer = null;
 
       // Try HTTP first
       try {
-        const response = await fetch(`${this.signalingServerUrl}/answer`);
+        const response = await fetch(`${this.roomUrl}/answer`);
         if (response.ok) {
           const data = await response.json();
           answer = data.answer;
@@ -202,20 +834,26 @@ export class NetworkManager {
       }
 
       if (answer) {
-        console.log('📥 Received answer from guest');
-        await this.connection.setRemoteDescription(answer);
         clearInterval(this.answerPollInterval);
         this.answerPollInterval = null;
+
+        // The answer may have come over a reconnected WebSocket already
+        if (!this.awaitingAnswer) return;
+        this.awaitingAnswer = false;
+        console.log('📥 Received answer from guest');
+        await this.connection.setRemoteDescription(answer);
       }
     }, 500);
   }
 
   startIceCandidateExchange(baseUrl) {
+    if (this.icePollInterval) return;
+
     const storageKey = this.isHost ? 'webrtc_ice_host' : 'webrtc_ice_guest';
     const opponentKey = this.isHost ? 'webrtc_ice_guest' : 'webrtc_ice_host';
 
     // Send our ICE candidates
-    setInterval(() => {
+    this.iceSendInterval = setInterval(() => {
       const candidates = this.connection.getIceCandidates();
       if (candidates.length === 0) return;
 
@@ -277,12 +915,6 @@ export class NetworkManager {
         console.log(`[ICE] Received ${this.isHost ? 'guest' : 'host'} candidate`, candidate.candidate || '');
         await this.connection.addIceCandidate(candidate);
       }
-
-      // Stop polling if connected
-      if (this.connection?.isConnected()) {
-        clearInterval(this.icePollInterval);
-        this.icePollInterval = null;
-      }
     }, 1000);
   }
 
@@ -296,6 +928,29 @@ export class NetworkManager {
     return this.connection.sendMessage(channel, message);
   }
 
+  // Host only: to the guest and every connected spectator
+  broadcast(type, data, channel = 'game-state') {
+    this.sendToSpectators(type, data, channel);
+    return this.send(type, data, channel);
+  }
+
+  sendToSpectators(type, data, channel = 'game-state') {
+    for (const spectatorId of this.spectators.keys()) {
+      this.sendToSpectator(spectatorId, type, data, channel);
+    }
+  }
+
+  sendToSpectator(spectatorId, type, data, channel = 'game-state') {
+    const connection = this.spectators.get(spectatorId);
+    if (!connection?.isChannelOpen()) return false;
+
+    return connection.sendMessage(channel, { type, ...data });
+  }
+
+  getSpectatorCount() {
+    return [...this.spectators.values()].filter(connection => connection.isChannelOpen()).length;
+  }
+
   onMessage(callback) {
     this.messageCallback = callback;
   }
@@ -308,16 +963,42 @@ export class NetworkManager {
     return this.connection?.isConnected() || false;
   }
 
-  disconnect() {
-    if (this.icePollInterval) {
-      clearInterval(this.icePollInterval);
-    }
-    if (this.answerPollInterval) {
-      clearInterval(this.answerPollInterval);
+  // Quality of the connection to the host or guest (see
+  // WebRTCConnection.getDiagnostics), or null without one
+  getDiagnostics() {
+    return this.connection ? this.connection.getDiagnostics() : null;
+  }
+
+  // Frees the join code on the signaling server; best effort
+  async closeRoom() {
+    if (!this.isHost || !this.roomCode) return;
+
+    const roomUrl = this.roomUrl;
+    this.roomCode = null;
+    try {
+      await fetch(roomUrl, { method: 'DELETE' });
+    } catch (error) {
+      // The room expires on its own
     }
+  }
+
+  disconnect() {
+    this.stopSignalingTimers();
+    clearInterval(this.roomKeepAliveInterval);
+    clearTimeout(this.recoveryTimer);
+    this.roomKeepAliveInterval = null;
+    this.recoveryTimer = null;
+    this.connectionLost = false;
+    this.signalingComplete = true;
+    this.signalingSocket?.close(1000, 'Disconnected');
+    this.signalingSocket = null;
+    this.closeRoom();
     if (this.connection) {
       this.connection.close();
     }
+    for (const spectatorId of [...this.spectators.keys()]) {
+      this.removeSpectator(spectatorId);
+    }
 
     // Clean up localStorage
     this.clearLocalSignalingData();
@@ -329,71 +1010,6 @@ export class NetworkManager {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async getLocalIPsFromBrowser() {
-    // Use WebRTC to discover local IP addresses
-    return new Promise((resolve) => {
-      const ips = [];
-      const pc = new RTCPeerConnection({
-        iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
-      });
-
-      // Create a dummy data channel
-      pc.createDataChannel('');
-
-      pc.onicecandidate = (event) => {
-        if (event.candidate) {
-          const candidate = event.candidate.candidate;
-
-          // Extract IP from candidate string
-          // Format: "candidate:... typ host" contains local IP
-          const ipRegex = /([0-9]{1,3}(\.[0-9]{1,3}){3})/;
-          const match = candidate.match(ipRegex);
-
-          if (match && match[1]) {
-            const ip = match[1];
-            // Skip localhost
-            if (ip !== '127.0.0.1' && !ips.find(i => i.address === ip)) {
-              // Check if it's a private IP (likely LAN)
-              const isPrivate = ip.startsWith('192.168.') ||
-                              ip.startsWith('10.') ||
-                              ip.startsWith('172.');
-
-              if (isPrivate) {
-                ips.push({
-                  address: ip,
-                  interface: 'WebRTC',
-                  isPrimary: ips.length === 0 // First one is primary
-                });
-              }
-            }
-          }
-        }
-      };
-
-      // Create offer to trigger ICE gathering
-      pc.createOffer()
-        .then(offer => pc.setLocalDescription(offer))
-        .catch(() => {});
-
-      // Give it 2 seconds to gather IPs, then resolve
-      setTimeout(() => {
-        pc.close();
-
-        if (ips.length === 0) {
-          // Fallback to localhost if no IPs found
-          ips.push({
-            address: 'localhost',
-            interface: 'localhost',
-            isPrimary: true
-          });
-        }
-
-        console.log('📍 Detected local IPs:', ips.map(i => i.address).join(', '));
-        resolve(ips);
-      }, 2000);
-    });
-  }
-
   clearLocalSignalingData() {
     localStorage.removeItem('webrtc_offer');
     localStorage.removeItem('webrtc_answer');
@@ -0,0 +1,95 @@
+// Connection quality figures for the diagnostics overlay. Latency and clock
+// offset come from our own ping/pong on the game channel, packet loss from
+// gaps in battle update sequence numbers (WebRTC's stats don't count lost
+// data channel messages), and the network path and traffic from
+// RTCPeerConnection.getStats().
+import { isNewerSequence } from './battle-delivery.js';
+
+const LATENCY_SAMPLES = 10;
+
+// Each pong carries the peer's clock, read (we assume) halfway through the
+// round trip. The offset is taken from the fastest recent round trip, the
+// one least skewed by queueing.
+export class LatencyEstimator {
+  constructor(maxSamples = LATENCY_SAMPLES) {
+    this.maxSamples = maxSamples;
+    this.samples = []; // { rtt, offset }, oldest first
+  }
+
+  // sentAt and receivedAt are our clock, peerTime the peer's
+  addSample(sentAt, peerTime, receivedAt) {
+    const rtt = receivedAt - sentAt;
+    if (rtt < 0) return;
+
+    this.samples.push({ rtt, offset: peerTime - (sentAt + receivedAt) / 2 });
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+  }
+
+  // Latest round trip, and the peer's clock minus ours, in ms
+  getEstimate() {
+    if (this.samples.length === 0) {
+      return { rtt: null, clockOffset: null };
+    }
+
+    const fastest = this.samples.reduce((best, sample) => sample.rtt < best.rtt ? sample : best);
+    return {
+      rtt: this.samples[this.samples.length - 1].rtt,
+      clockOffset: Math.round(fastest.offset)
+    };
+  }
+}
+
+// Counts the peer's battle updates that arrived against those it sent
+export class LossCounter {
+  constructor() {
+    this.highestSeq = null;
+    this.expected = 0;
+    this.received = 0;
+  }
+
+  record(seq) {
+    if (this.highestSeq === null) {
+      this.expected++;
+      this.highestSeq = seq;
+    } else if (isNewerSequence(seq, this.highestSeq)) {
+      this.expected += (seq - this.highestSeq) & 0xffff;
+      this.highestSeq = seq;
+    }
+    this.received++;
+  }
+
+  // Share lost (0 to 1) since the last call, or null if nothing came in
+  takeRate() {
+    if (this.expected === 0) return null;
+
+    const rate = Math.max(0, 1 - this.received / this.expected);
+    this.expected = 0;
+    this.received = 0;
+    return rate;
+  }
+}
+
+// The selected candidate pair of an RTCStatsReport (any Map of stats
+// works): how the peers reach each other and what has crossed the wire.
+// Null before a pair is selected.
+export function summarizeStats(report) {
+  const stats = [...report.values()];
+  const transport = stats.find(stat => stat.type === 'transport' && stat.selectedCandidatePairId);
+  const pair = transport
+    ? report.get(transport.selectedCandidatePairId)
+    : stats.find(stat => stat.type === 'candidate-pair' && (stat.selected || (stat.nominated && stat.state === 'succeeded')));
+  if (!pair) return null;
+
+  const local = report.get(pair.localCandidateId);
+  const remote = report.get(pair.remoteCandidateId);
+
+  return {
+    localCandidateType: local?.candidateType ?? null, // host, srflx, prflx or relay
+    remoteCandidateType: remote?.candidateType ?? null,
+    protocol: local?.protocol ?? null,
+    bytesSent: pair.bytesSent ?? 0,
+    bytesReceived: pair.bytesReceived ?? 0
+  };
+}
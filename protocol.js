@@ -0,0 +1,145 @@
+// Every message the peers exchange over their data channels, and the shape
+// it must have. Messages that don't match are dropped on arrival and refused
+// on send, so a buggy or tampered peer can't corrupt the game. Bump
+// PROTOCOL_VERSION whenever a message changes incompatibly: peers trade
+// versions in a hello before anything else is delivered.
+import { PROMOTION_TYPES } from './chess.js';
+
+export const PROTOCOL_VERSION = 4;
+
+const COLORS = ['white', 'black'];
+const PIECE_TYPES = ['pawn', 'king', ...PROMOTION_TYPES];
+
+// Validators: each takes a value and says whether it fits
+const isBoolean = value => typeof value === 'boolean';
+const isString = value => typeof value === 'string';
+const isNumber = value => Number.isFinite(value);
+const integer = (min, max = Number.MAX_SAFE_INTEGER) => value => Number.isInteger(value) && value >= min && value <= max;
+const oneOf = values => value => values.includes(value);
+const nullable = check => value => value === null || check(value);
+const optional = check => value => value === undefined || check(value);
+const object = fields => value => isPlainObject(value) &&
+  Object.entries(fields).every(([key, check]) => check(value[key]));
+const arrayOf = (check, length = null) => value => Array.isArray(value) &&
+  (length === null || value.length === length) && value.every(check);
+const recordOf = check => value => isPlainObject(value) && Object.values(value).every(check);
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+const isSquareIndex = integer(0, 7);
+const isColor = oneOf(COLORS);
+const isPromotion = oneOf(PROMOTION_TYPES);
+const isPiece = object({ type: oneOf(PIECE_TYPES), color: isColor, promoted: optional(isBoolean) });
+const isVector = object({ x: isNumber, y: isNumber, z: isNumber });
+const isHealth = object({ host: isNumber, guest: isNumber });
+
+const MOVE = {
+  fromRow: isSquareIndex,
+  fromCol: isSquareIndex,
+  toRow: isSquareIndex,
+  toCol: isSquareIndex
+};
+
+const isCastlingSide = object({ kingSide: isBoolean, queenSide: isBoolean });
+
+const isMoveRecord = object({
+  san: isString,
+  color: isColor,
+  ...MOVE,
+  promotion: nullable(isPromotion),
+  battle: optional(nullable(object({
+    attackerWon: isBoolean,
+    attackerHp: nullable(isNumber),
+    defenderHp: nullable(isNumber)
+  })))
+});
+
+const isClockState = object({
+  initialMs: integer(0),
+  incrementMs: integer(0),
+  pauseDuringBattle: isBoolean,
+  remaining: object({ white: isNumber, black: isNumber }),
+  activeColor: nullable(isColor),
+  paused: isBoolean,
+  stopped: isBoolean
+});
+
+// ChessGame.getState() plus the host's clock
+const GAME_STATE = {
+  board: arrayOf(arrayOf(nullable(isPiece), 8), 8),
+  currentTurn: isColor,
+  gameOver: isBoolean,
+  winner: nullable(oneOf([...COLORS, 'draw'])),
+  result: nullable(isString),
+  castlingRights: object({ white: isCastlingSide, black: isCastlingSide }),
+  enPassantTarget: nullable(object({ row: isSquareIndex, col: isSquareIndex })),
+  halfmoveClock: integer(0),
+  fullmoveNumber: integer(1),
+  moveHistory: arrayOf(isMoveRecord),
+  startFen: nullable(isString),
+  positionCounts: recordOf(integer(1)),
+  clock: nullable(isClockState)
+};
+
+const BATTLE = {
+  attackingPiece: isPiece,
+  defendingPiece: isPiece,
+  ...MOVE,
+  promotion: isPromotion
+};
+
+const isShot = object({
+  id: integer(0, 0xffff), // Per connection, for acks
+  position: isVector,
+  velocity: isVector,
+  damage: isNumber,
+  tick: integer(0),
+  viewTime: optional(nullable(isNumber)) // Shooter's view of us, in our clock
+});
+
+const SCHEMAS = {
+  hello: { version: integer(1), codecs: optional(arrayOf(isString)) }, // Binary encodings the sender can read
+  connected: {},
+  ping: { sentAt: isNumber }, // Our clock
+  pong: { sentAt: isNumber, time: isNumber }, // The ping's sentAt, and the replier's clock
+  moveRequest: { ...MOVE, promotion: optional(isPromotion) },
+  gameState: GAME_STATE,
+  startBattle: BATTLE,
+  battleUpdate: {
+    seq: integer(0, 0xffff),
+    ack: integer(0, 0xffff), // Newest shot id received from the peer
+    sentAt: isNumber,
+    position: isVector,
+    rotation: isVector,
+    shots: arrayOf(isShot), // Every shot the peer hasn't acknowledged
+    health: optional(isHealth), // From the host only
+    color: optional(isColor) // To spectators: whose fighter this is
+  },
+  battleEnded: { attackerWon: isBoolean, ...MOVE, ...GAME_STATE },
+  resume: { ...GAME_STATE, battle: nullable(object({ ...BATTLE, health: isHealth })) },
+  stateHash: { ply: integer(0), hash: isString }, // ChessGame.getStateHash after that many plies
+  pieceSelected: { row: isSquareIndex, col: isSquareIndex },
+  error: { message: isString }
+};
+
+// Returns why the message breaks the protocol, or null if it is valid
+export function validateMessage(message) {
+  if (!isPlainObject(message)) {
+    return 'Message is not an object';
+  }
+
+  const schema = Object.hasOwn(SCHEMAS, message.type) ? SCHEMAS[message.type] : null;
+  if (!schema) {
+    return `Unknown message type: ${String(message.type)}`;
+  }
+
+  for (const [field, check] of Object.entries(schema)) {
+    if (!check(message[field])) {
+      return `Invalid ${field} in ${message.type}`;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,68 @@
+import { ChessGame } from './chess.js';
+
+// Step-through viewer for a finished or imported game. Every ply is
+// validated by ChessGame while loading and kept as a full state snapshot,
+// so jumping around never has to replay moves.
+export class ReplayViewer {
+  constructor(pgnText) {
+    this.snapshots = [];
+
+    const capture = (game) => {
+      this.snapshots.push(JSON.parse(JSON.stringify(game.getState())));
+    };
+
+    // Throws with the move number of the first illegal move
+    const game = ChessGame.fromPGN(pgnText, capture);
+
+    // Position before the first move (the end position replays it otherwise)
+    const start = game.startFen ? ChessGame.fromFEN(game.startFen) : new ChessGame();
+    this.snapshots.unshift(JSON.parse(JSON.stringify(start.getState())));
+
+    this.moves = game.moveHistory;
+    this.result = game.getPGNResult();
+    this.ply = 0;
+  }
+
+  getState() {
+    return this.snapshots[this.ply];
+  }
+
+  getCurrentPly() {
+    return this.ply;
+  }
+
+  getPlyCount() {
+    return this.moves.length;
+  }
+
+  getMoves() {
+    return this.moves;
+  }
+
+  // Label such as "12." or "12..." for the move at the given index
+  getMoveLabel(index) {
+    const before = this.snapshots[index];
+    return `${before.fullmoveNumber}${before.currentTurn === 'white' ? '.' : '...'}`;
+  }
+
+  goTo(ply) {
+    this.ply = Math.max(0, Math.min(this.moves.length, ply));
+    return this.getState();
+  }
+
+  next() {
+    return this.goTo(this.ply + 1);
+  }
+
+  previous() {
+    return this.goTo(this.ply - 1);
+  }
+
+  first() {
+    return this.goTo(0);
+  }
+
+  last() {
+    return this.goTo(this.moves.length);
+  }
+}
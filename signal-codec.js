@@ -0,0 +1,55 @@
+// Packs a session description (SDP with all of its ICE candidates) into a
+// short code that players can copy-paste or show as a QR code, for games set
+// up without a signaling server. The code is "FPSC1:" followed by the
+// deflated JSON in base64url, so it survives chat apps and URL bars.
+const CODE_PREFIX = 'FPSC1:';
+
+export async function encodeSignal(description) {
+  const json = JSON.stringify({ type: description.type, sdp: description.sdp });
+  const compressed = await pipe(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+  return CODE_PREFIX + toBase64Url(compressed);
+}
+
+// Throws if the text isn't a connection code, e.g. a truncated paste
+export async function decodeSignal(code) {
+  const text = code.replace(/\s+/g, '');
+  if (!text.startsWith(CODE_PREFIX)) {
+    throw new Error('Not an FPS Chess connection code');
+  }
+
+  let description;
+  try {
+    const json = await pipe(fromBase64Url(text.slice(CODE_PREFIX.length)), new DecompressionStream('deflate-raw'));
+    description = JSON.parse(new TextDecoder().decode(json));
+  } catch (error) {
+    throw new Error('Connection code is damaged or incomplete');
+  }
+
+  if ((description?.type !== 'offer' && description?.type !== 'answer') || typeof description.sdp !== 'string') {
+    throw new Error('Connection code is damaged or incomplete');
+  }
+
+  return description;
+}
+
+async function pipe(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -1,14 +1,37 @@
 import http from 'http';
+import { randomInt } from 'crypto';
 import { networkInterfaces } from 'os';
-
+import { WebSocketServer } from 'ws';
+
+// Join codes avoid characters that are easy to misread (0/O, 1/I/L)
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+const DEFAULT_ROOM_TTL_MS = 10 * 60 * 1000;
+const MAX_ROOMS = 200;
+const MAX_SPECTATORS_PER_ROOM = 8;
+
+// Brokers offer/answer/ICE exchange for any number of games at once. Each
+// game gets a room keyed by a short join code; a room is forgotten once it
+// has been idle for roomTtlMs. Peers either hold a WebSocket on
+// /ws?room=CODE&role=host|guest and get everything pushed the moment it
+// arrives, or poll the HTTP endpoints; the two can be mixed in one room.
+//
+// A room has one guest: while a guest holds its WebSocket, another guest
+// socket or an answer over HTTP is refused with 409, so a second player who
+// learns the code can't take over the game. The guest can come back once
+// its socket has closed.
+//
+// Spectators (role=spectator) need WebSockets on both their side and the
+// host's. Each gets an id; the host hears of it, and every message between
+// the two carries that spectatorId so the host can keep one peer
+// connection per spectator.
 export class SignalingServer {
-  constructor() {
+  constructor({ roomTtlMs = DEFAULT_ROOM_TTL_MS } = {}) {
     this.server = null;
-    this.hostOffer = null;
-    this.guestAnswer = null;
-    this.hostIceCandidates = [];
-    this.guestIceCandidates = [];
-    this.connected = false;
+    this.webSocketServer = null;
+    this.rooms = new Map();
+    this.roomTtlMs = roomTtlMs;
+    this.sweepInterval = null;
     this.primaryHostIp = null;
   }
 
@@ -39,7 +62,7 @@ export class SignalingServer {
       this.server = http.createServer((req, res) => {
         // Enable CORS
         res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
         res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
         if (req.method === 'OPTIONS') {
@@ -49,30 +72,25 @@ export class SignalingServer {
         }
 
         const url = new URL(req.url, `http://localhost:${port}`);
+        const roomMatch = url.pathname.match(/^\/rooms\/([^/]+)(?:\/(offer|answer|ice))?$/);
 
-        if (url.pathname === '/offer' && req.method === 'GET') {
-          this.handleGetOffer(req, res);
-        } else if (url.pathname === '/offer' && req.method === 'POST') {
-          this.handlePostOffer(req, res);
-        } else if (url.pathname === '/answer' && req.method === 'GET') {
-          this.handleGetAnswer(req, res);
-        } else if (url.pathname === '/answer' && req.method === 'POST') {
-          this.handlePostAnswer(req, res);
-        } else if (url.pathname === '/ice' && req.method === 'GET') {
-          this.handleGetIce(req, res);
-        } else if (url.pathname === '/ice' && req.method === 'POST') {
-          this.handlePostIce(req, res);
+        if (url.pathname === '/rooms' && req.method === 'POST') {
+          this.handleCreateRoom(req, res);
+        } else if (roomMatch) {
+          this.handleRoomRequest(req, res, url, roomMatch[1], roomMatch[2]);
         } else if (url.pathname === '/local-ips' && req.method === 'GET') {
           this.handleGetLocalIPs(req, res);
         } else if (url.pathname === '/status' && req.method === 'GET') {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ status: 'ready' }));
+          this.sendJson(res, 200, { status: 'ready', rooms: this.rooms.size });
         } else {
           res.writeHead(404);
           res.end('Not found');
         }
       });
 
+      this.webSocketServer = new WebSocketServer({ noServer: true });
+      this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
       this.server.listen(port, () => {
         const ips = this.getLocalIPs();
         this.primaryHostIp = (ips.find(ip => ip.isPrimary) || ips[0] || {}).address || null;
@@ -82,7 +100,10 @@ export class SignalingServer {
           const marker = ip.isPrimary ? ' ⭐' : '';
           console.log(`   ${ip.interface}: ${ip.address}${marker}`);
         });
-        console.log('\nShare one of these IPs with the guest player.\n');
+        console.log('\nPlayers enter one of these addresses as the signaling server.\n');
+
+        this.sweepInterval = setInterval(() => this.removeExpiredRooms(), 60 * 1000);
+        this.sweepInterval.unref();
         resolve(ips);
       });
 
@@ -96,129 +117,427 @@ export class SignalingServer {
     });
   }
 
-  handleGetOffer(req, res) {
-    if (this.hostOffer) {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ offer: this.hostOffer }));
-      console.log('Sent offer to guest');
-    } else {
-      res.writeHead(503, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Offer not ready yet' }));
+  createRoom() {
+    this.removeExpiredRooms();
+    if (this.rooms.size >= MAX_ROOMS) return null;
+
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        code += ROOM_CODE_ALPHABET[randomInt(ROOM_CODE_ALPHABET.length)];
+      }
+    } while (this.rooms.has(code));
+
+    const room = {
+      code,
+      hostOffer: null,
+      offerGeneration: 0,
+      guestAnswer: null,
+      hostIceCandidates: [],
+      guestIceCandidates: [],
+      sockets: { host: null, guest: null },
+      spectators: new Map(), // Spectator id -> WebSocket
+      nextSpectatorId: 1,
+      expiresAt: Date.now() + this.roomTtlMs
+    };
+    this.rooms.set(code, room);
+    return room;
+  }
+
+  // Looks up a live room and pushes its expiry back; codes are case-insensitive
+  getRoom(code) {
+    const room = this.rooms.get(code.toUpperCase());
+    if (!room) return null;
+
+    if (this.isExpired(room, Date.now())) {
+      this.closeRoom(room);
+      return null;
     }
+
+    room.expiresAt = Date.now() + this.roomTtlMs;
+    return room;
   }
 
-  handlePostOffer(req, res) {
-    let body = '';
-    req.on('data', chunk => { body += chunk; });
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body);
-        this.hostOffer = data.offer;
-        // Reset previous session state so stale ICE/answers don't leak into new connections
-        this.guestAnswer = null;
-        this.hostIceCandidates = [];
-        this.guestIceCandidates = [];
-
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true }));
-        console.log('Received offer from host (signaling state reset)');
-      } catch (error) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON' }));
+  // A connected WebSocket counts as activity, however long the wait
+  isExpired(room, now) {
+    return room.expiresAt <= now && !room.sockets.host && !room.sockets.guest && room.spectators.size === 0;
+  }
+
+  removeExpiredRooms() {
+    const now = Date.now();
+    for (const room of this.rooms.values()) {
+      if (this.isExpired(room, now)) {
+        this.closeRoom(room);
+        console.log(`Room ${room.code} expired`);
+      }
+    }
+  }
+
+  closeRoom(room) {
+    this.rooms.delete(room.code);
+    for (const socket of [...Object.values(room.sockets), ...room.spectators.values()]) {
+      socket?.close(1000, 'Room closed');
+    }
+  }
+
+  // Stores the host's offer and starts a fresh session in the room. The
+  // generation tells the guest whether the offer restarts ICE on its current
+  // peer connection (same generation) or replaces the connection (new one).
+  setOffer(room, offer, generation) {
+    room.hostOffer = offer;
+    room.offerGeneration = Number.isInteger(generation) ? generation : 0;
+    // Reset previous session state so stale ICE/answers don't leak into new connections
+    room.guestAnswer = null;
+    room.hostIceCandidates = [];
+    room.guestIceCandidates = [];
+    this.push(room, 'guest', { type: 'offer', offer, generation: room.offerGeneration });
+  }
+
+  setAnswer(room, answer) {
+    room.guestAnswer = answer;
+    this.push(room, 'host', { type: 'answer', answer });
+  }
+
+  // Candidates go straight to a connected peer and are queued for polling
+  // otherwise
+  addCandidate(room, isHost, candidate, clientIp) {
+    const sanitized = this.prepareCandidate(candidate, clientIp);
+    const desc = this.describeCandidate(sanitized?.candidate);
+    const role = isHost ? 'host' : 'guest';
+
+    if (this.push(room, isHost ? 'guest' : 'host', { type: 'ice', candidate: sanitized })) {
+      console.log(`[${room.code}] Relayed ${role} ICE candidate ${desc}`);
+      return;
+    }
+
+    const store = isHost ? room.hostIceCandidates : room.guestIceCandidates;
+    store.push(sanitized);
+    console.log(`[${room.code}] Stored ${role} ICE candidate (total: ${store.length}) ${desc}`);
+  }
+
+  // A player on the server's own machine shows up as loopback; the other
+  // player needs its LAN address instead
+  prepareCandidate(candidate, clientIp) {
+    const fallbackIp = this.isLoopback(clientIp) ? this.primaryHostIp : clientIp;
+    return this.sanitizeCandidate(candidate, fallbackIp);
+  }
+
+  // Sends to the role's WebSocket if it has one; false if it must poll
+  push(room, role, message) {
+    return this.sendTo(room.sockets[role], message);
+  }
+
+  sendTo(socket, message) {
+    if (!socket || socket.readyState !== socket.OPEN) return false;
+
+    socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const role = url.searchParams.get('role');
+    const room = url.pathname === '/ws' ? this.getRoom(url.searchParams.get('room') || '') : null;
+
+    if (!room || !['host', 'guest', 'spectator'].includes(role)) {
+      socket.end(`HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n`);
+      return;
+    }
+    if (role === 'guest' && room.sockets.guest) {
+      socket.end(`HTTP/1.1 409 Conflict\r\nConnection: close\r\n\r\n`);
+      return;
+    }
+    if (role === 'spectator' && room.spectators.size >= MAX_SPECTATORS_PER_ROOM) {
+      socket.end(`HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n`);
+      return;
+    }
+
+    this.webSocketServer.handleUpgrade(req, socket, head, (ws) => {
+      const clientIp = this.cleanIp(req.socket.remoteAddress);
+      if (role === 'spectator') {
+        this.handleSpectatorSocket(room, ws, clientIp);
+      } else {
+        this.handleSocket(room, role, ws, clientIp);
       }
     });
   }
 
-  handleGetAnswer(req, res) {
-    if (this.guestAnswer) {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ answer: this.guestAnswer }));
-      console.log('Sent answer to host');
+  handleSocket(room, role, ws, clientIp) {
+    // A reconnecting host replaces its old socket (a second guest was turned
+    // away in handleUpgrade)
+    room.sockets[role]?.close(4000, 'Replaced by a newer connection');
+    room.sockets[role] = ws;
+    console.log(`[${room.code}] ${role} connected over WebSocket`);
+
+    // Catch up on whatever arrived before this socket did
+    if (role === 'guest') {
+      if (room.hostOffer) {
+        this.push(room, 'guest', { type: 'offer', offer: room.hostOffer, generation: room.offerGeneration });
+      }
+      for (const candidate of room.hostIceCandidates.splice(0)) {
+        this.push(room, 'guest', { type: 'ice', candidate });
+      }
     } else {
-      res.writeHead(503, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Answer not ready yet' }));
+      if (room.guestAnswer) this.push(room, 'host', { type: 'answer', answer: room.guestAnswer });
+      for (const candidate of room.guestIceCandidates.splice(0)) {
+        this.push(room, 'host', { type: 'ice', candidate });
+      }
+      for (const spectatorId of room.spectators.keys()) {
+        this.push(room, 'host', { type: 'spectator-joined', spectatorId });
+      }
     }
+
+    ws.on('message', (data) => {
+      let message = null;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        // Answered below
+      }
+
+      if (!message || typeof message !== 'object') {
+        ws.send(JSON.stringify({ type: 'error', error: 'Invalid JSON' }));
+        return;
+      }
+
+      room.expiresAt = Date.now() + this.roomTtlMs;
+
+      if (role === 'host' && message.spectatorId !== undefined) {
+        this.relayToSpectator(room, message, clientIp, ws);
+      } else if (message.type === 'offer' && role === 'host') {
+        this.setOffer(room, message.offer, message.generation);
+        console.log(`[${room.code}] Received offer from host (signaling state reset)`);
+      } else if (message.type === 'answer' && role === 'guest') {
+        this.setAnswer(room, message.answer);
+        console.log(`[${room.code}] Received answer from guest`);
+      } else if (message.type === 'ice') {
+        this.addCandidate(room, role === 'host', message.candidate, clientIp);
+      } else {
+        ws.send(JSON.stringify({ type: 'error', error: `Unexpected message type: ${message.type}` }));
+      }
+    });
+
+    ws.on('close', () => {
+      if (room.sockets[role] === ws) {
+        room.sockets[role] = null;
+        room.expiresAt = Date.now() + this.roomTtlMs;
+      }
+    });
   }
 
-  handlePostAnswer(req, res) {
-    let body = '';
-    req.on('data', chunk => { body += chunk; });
-    req.on('end', () => {
+  handleSpectatorSocket(room, ws, clientIp) {
+    const spectatorId = room.nextSpectatorId++;
+    room.spectators.set(spectatorId, ws);
+    this.push(room, 'host', { type: 'spectator-joined', spectatorId });
+    console.log(`[${room.code}] Spectator ${spectatorId} connected (spectators: ${room.spectators.size})`);
+
+    ws.on('message', (data) => {
+      let message = null;
       try {
-        const data = JSON.parse(body);
-        this.guestAnswer = data.answer;
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true }));
-        console.log('Received answer from guest');
+        message = JSON.parse(data.toString());
       } catch (error) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON' }));
+        // Answered below
+      }
+
+      if (!message || typeof message !== 'object') {
+        ws.send(JSON.stringify({ type: 'error', error: 'Invalid JSON' }));
+        return;
+      }
+
+      room.expiresAt = Date.now() + this.roomTtlMs;
+
+      if (message.type === 'answer') {
+        this.push(room, 'host', { type: 'answer', answer: message.answer, spectatorId });
+      } else if (message.type === 'ice') {
+        const candidate = this.prepareCandidate(message.candidate, clientIp);
+        this.push(room, 'host', { type: 'ice', candidate, spectatorId });
+      } else {
+        ws.send(JSON.stringify({ type: 'error', error: `Unexpected message type: ${message.type}` }));
       }
     });
+
+    ws.on('close', () => {
+      room.spectators.delete(spectatorId);
+      room.expiresAt = Date.now() + this.roomTtlMs;
+      this.push(room, 'host', { type: 'spectator-left', spectatorId });
+    });
   }
 
-  handleGetIce(req, res) {
-    const url = new URL(req.url, 'http://localhost');
-    const isHost = url.searchParams.get('host') === 'true';
+  // The host's offer and candidates for one spectator's connection
+  relayToSpectator(room, message, clientIp, hostSocket) {
+    const socket = room.spectators.get(message.spectatorId);
+    if (!socket) {
+      hostSocket.send(JSON.stringify({ type: 'error', error: `No spectator ${message.spectatorId}` }));
+    } else if (message.type === 'offer') {
+      this.sendTo(socket, { type: 'offer', offer: message.offer });
+    } else if (message.type === 'ice') {
+      this.sendTo(socket, { type: 'ice', candidate: this.prepareCandidate(message.candidate, clientIp) });
+    } else {
+      hostSocket.send(JSON.stringify({ type: 'error', error: `Unexpected message type: ${message.type}` }));
+    }
+  }
 
-    const store = isHost ? this.guestIceCandidates : this.hostIceCandidates;
-    const candidates = store.splice(0, store.length); // return and clear
+  handleCreateRoom(req, res) {
+    const room = this.createRoom();
+    if (!room) {
+      this.sendJson(res, 503, { error: 'Too many open rooms' });
+      return;
+    }
 
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ candidates }));
+    this.sendJson(res, 200, { code: room.code, ttlMs: this.roomTtlMs });
+    console.log(`Created room ${room.code} (open rooms: ${this.rooms.size})`);
   }
 
-  handlePostIce(req, res) {
-    let body = '';
-    req.on('data', chunk => { body += chunk; });
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body);
-        const isHost = data.isHost === true;
-        const clientIp = this.cleanIp(req.socket.remoteAddress);
-        const fallbackIp = isHost ? this.primaryHostIp : clientIp;
+  handleRoomRequest(req, res, url, code, resource) {
+    const room = this.getRoom(code);
+    if (!room) {
+      this.sendJson(res, 404, { error: 'Room not found' });
+      return;
+    }
 
-        const candidate = this.sanitizeCandidate(data.candidate, fallbackIp);
-        const desc = this.describeCandidate(candidate?.candidate);
+    if (!resource && req.method === 'GET') {
+      this.sendJson(res, 200, {
+        code: room.code,
+        hasOffer: !!room.hostOffer,
+        hasAnswer: !!room.guestAnswer,
+        hasGuest: !!room.sockets.guest,
+        spectators: room.spectators.size
+      });
+    } else if (!resource && req.method === 'DELETE') {
+      this.closeRoom(room);
+      this.sendJson(res, 200, { success: true });
+      console.log(`Closed room ${room.code}`);
+    } else if (resource === 'offer' && req.method === 'GET') {
+      this.handleGetOffer(room, res);
+    } else if (resource === 'offer' && req.method === 'POST') {
+      this.handlePostOffer(room, req, res);
+    } else if (resource === 'answer' && req.method === 'GET') {
+      this.handleGetAnswer(room, res);
+    } else if (resource === 'answer' && req.method === 'POST') {
+      this.handlePostAnswer(room, req, res);
+    } else if (resource === 'ice' && req.method === 'GET') {
+      this.handleGetIce(room, url, res);
+    } else if (resource === 'ice' && req.method === 'POST') {
+      this.handlePostIce(room, req, res);
+    } else {
+      res.writeHead(404);
+      res.end('Not found');
+    }
+  }
 
-        if (isHost) {
-          this.hostIceCandidates.push(candidate);
-          console.log(`Stored host ICE candidate (total: ${this.hostIceCandidates.length}) ${desc}`);
-        } else {
-          this.guestIceCandidates.push(candidate);
-          console.log(`Stored guest ICE candidate (total: ${this.guestIceCandidates.length}) ${desc}`);
-        }
+  handleGetOffer(room, res) {
+    if (room.hostOffer) {
+      this.sendJson(res, 200, { offer: room.hostOffer, generation: room.offerGeneration });
+      console.log(`[${room.code}] Sent offer to guest`);
+    } else {
+      this.sendJson(res, 503, { error: 'Offer not ready yet' });
+    }
+  }
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true }));
-      } catch (error) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON' }));
+  handlePostOffer(room, req, res) {
+    this.readJson(req, res, (data) => {
+      this.setOffer(room, data.offer, data.generation);
+      this.sendJson(res, 200, { success: true });
+      console.log(`[${room.code}] Received offer from host (signaling state reset)`);
+    });
+  }
+
+  handleGetAnswer(room, res) {
+    if (room.guestAnswer) {
+      this.sendJson(res, 200, { answer: room.guestAnswer });
+      console.log(`[${room.code}] Sent answer to host`);
+    } else {
+      this.sendJson(res, 503, { error: 'Answer not ready yet' });
+    }
+  }
+
+  handlePostAnswer(room, req, res) {
+    this.readJson(req, res, (data) => {
+      // The guest on the WebSocket answers over it
+      if (room.sockets.guest) {
+        this.sendJson(res, 409, { error: 'Game already has a guest' });
+        return;
       }
+
+      this.setAnswer(room, data.answer);
+      this.sendJson(res, 200, { success: true });
+      console.log(`[${room.code}] Received answer from guest`);
+    });
+  }
+
+  handleGetIce(room, url, res) {
+    const isHost = url.searchParams.get('host') === 'true';
+
+    const store = isHost ? room.guestIceCandidates : room.hostIceCandidates;
+    const candidates = store.splice(0, store.length); // return and clear
+
+    this.sendJson(res, 200, { candidates });
+  }
+
+  handlePostIce(room, req, res) {
+    this.readJson(req, res, (data) => {
+      this.addCandidate(room, data.isHost === true, data.candidate, this.cleanIp(req.socket.remoteAddress));
+      this.sendJson(res, 200, { success: true });
     });
   }
 
   handleGetLocalIPs(req, res) {
-    const ips = this.getLocalIPs();
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ ips }));
+    this.sendJson(res, 200, { ips: this.getLocalIPs() });
   }
 
-  setOffer(offer) {
-    this.hostOffer = offer;
-    console.log('Host offer set and ready');
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
   }
 
-  getAnswer() {
-    return this.guestAnswer;
+  // Collects the request body and hands the parsed JSON to onData, or
+  // answers 400 if it doesn't parse
+  readJson(req, res, onData) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let data = null;
+      try {
+        data = JSON.parse(body);
+      } catch (error) {
+        // Falls through to the 400 below
+      }
+
+      if (!data || typeof data !== 'object') {
+        this.sendJson(res, 400, { error: 'Invalid JSON' });
+        return;
+      }
+      onData(data);
+    });
   }
 
+  // Resolves once the server has stopped accepting connections
   shutdown() {
-    if (this.server) {
+    return new Promise((resolve) => {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+
+      if (this.webSocketServer) {
+        for (const client of this.webSocketServer.clients) {
+          client.terminate();
+        }
+        this.webSocketServer.close();
+        this.webSocketServer = null;
+      }
+
+      if (!this.server) {
+        resolve();
+        return;
+      }
+
       this.server.close(() => {
         console.log('Signaling server shut down');
+        resolve();
       });
-    }
+      this.server.closeAllConnections?.();
+      this.server = null;
+    });
   }
 
   sanitizeCandidate(candidate, fallbackIp) {
@@ -251,6 +570,10 @@ export class SignalingServer {
     return ip;
   }
 
+  isLoopback(ip) {
+    return !ip || ip === '::1' || ip.startsWith('127.');
+  }
+
   describeCandidate(cand) {
     try {
       if (!cand) return '';
@@ -0,0 +1,109 @@
+// Timestamped position/rotation history of one player. Smooths a remote
+// player (shown slightly in the past, interpolated between updates) and
+// lets the host rewind a player for hit checks.
+export const INTERPOLATION_DELAY_MS = 100;
+export const MAX_EXTRAPOLATION_MS = 250;
+
+export class SnapshotBuffer {
+  constructor({ maxAgeMs = 1000 } = {}) {
+    this.maxAgeMs = maxAgeMs;
+    this.snapshots = [];
+    this.clockOffset = null; // Our clock minus the sender's, plus the fastest delivery seen
+  }
+
+  clear() {
+    this.snapshots = [];
+    this.clockOffset = null;
+  }
+
+  // time is the sender's timestamp, receivedAt ours
+  push(time, position, rotation = { x: 0, y: 0, z: 0 }, receivedAt = time) {
+    const last = this.snapshots[this.snapshots.length - 1];
+
+    // battle-updates is unordered; a late packet is older than what we have
+    if (last && time <= last.time) return;
+
+    this.snapshots.push({
+      time,
+      position: { x: position.x, y: position.y, z: position.z },
+      rotation: { x: rotation.x, y: rotation.y, z: rotation.z }
+    });
+
+    const offset = receivedAt - time;
+    this.clockOffset = this.clockOffset === null ? offset : Math.min(this.clockOffset, offset);
+
+    const oldest = time - this.maxAgeMs;
+    while (this.snapshots.length > 2 && this.snapshots[0].time < oldest) {
+      this.snapshots.shift();
+    }
+  }
+
+  // Sender-clock time to display at our time `now`
+  getRenderTime(now = Date.now(), delay = INTERPOLATION_DELAY_MS) {
+    return now - (this.clockOffset ?? 0) - delay;
+  }
+
+  // State at a sender-clock time: interpolated between the snapshots around
+  // it, or extrapolated (for a limited time) when updates stop arriving
+  sample(time) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return null;
+
+    const first = snapshots[0];
+    if (snapshots.length === 1 || time <= first.time) {
+      return copySnapshot(first);
+    }
+
+    const last = snapshots[snapshots.length - 1];
+    if (time >= last.time) {
+      const previous = snapshots[snapshots.length - 2];
+      const ahead = Math.min(time - last.time, MAX_EXTRAPOLATION_MS);
+      return blend(previous, last, 1 + ahead / (last.time - previous.time));
+    }
+
+    for (let i = snapshots.length - 1; i > 0; i--) {
+      const from = snapshots[i - 1];
+      const to = snapshots[i];
+      if (time >= from.time) {
+        return blend(from, to, (time - from.time) / (to.time - from.time));
+      }
+    }
+
+    return copySnapshot(first);
+  }
+}
+
+function copySnapshot(snapshot) {
+  return {
+    position: { ...snapshot.position },
+    rotation: { ...snapshot.rotation }
+  };
+}
+
+// t in [0, 1] interpolates; t > 1 extrapolates along the same motion
+function blend(from, to, t) {
+  return {
+    position: {
+      x: lerp(from.position.x, to.position.x, t),
+      y: lerp(from.position.y, to.position.y, t),
+      z: lerp(from.position.z, to.position.z, t)
+    },
+    rotation: {
+      x: lerpAngle(from.rotation.x, to.rotation.x, t),
+      y: lerpAngle(from.rotation.y, to.rotation.y, t),
+      z: lerpAngle(from.rotation.z, to.rotation.z, t)
+    }
+  };
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Turns the short way round, e.g. from 170° to -170° through 180°
+function lerpAngle(a, b, t) {
+  let delta = (b - a) % (Math.PI * 2);
+  if (delta > Math.PI) delta -= Math.PI * 2;
+  if (delta < -Math.PI) delta += Math.PI * 2;
+  return a + delta * t;
+}
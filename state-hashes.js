@@ -0,0 +1,35 @@
+// Desync detection for network games. After every transition the host
+// makes, or applies from the host, each peer hashes its game state
+// (ChessGame.getStateHash) and sends the hash with the ply it belongs to.
+// The other side compares it to the hash it recorded for that ply itself.
+const HISTORY_PLIES = 64;
+
+export class StateHashLog {
+  constructor(historyPlies = HISTORY_PLIES) {
+    this.historyPlies = historyPlies;
+    this.hashes = new Map(); // ply -> hash
+    this.latestPly = null;
+  }
+
+  // Only the host's word counts, and the latest: a flag falling or a
+  // correction replaces what the ply had before
+  record(ply, hash) {
+    this.hashes.set(ply, hash);
+
+    if (this.latestPly === null || ply > this.latestPly) {
+      this.latestPly = ply;
+      for (const old of this.hashes.keys()) {
+        if (old < ply - this.historyPlies) this.hashes.delete(old);
+      }
+    }
+  }
+
+  // 'match' or 'mismatch' for a ply we have seen; 'ahead' when the peer is
+  // past anything we have; 'unknown' for plies forgotten or never seen
+  compare(ply, hash) {
+    if (this.latestPly === null || ply > this.latestPly) return 'ahead';
+
+    if (!this.hashes.has(ply)) return 'unknown';
+    return this.hashes.get(ply) === hash ? 'match' : 'mismatch';
+  }
+}
@@ -0,0 +1,104 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BattleBot } from '../battle-bot.js';
+import {
+  BattleSimulation, COVER_BOUNDS, EYE_HEIGHT, GUN_STATS, SIMULATION_HZ, segmentBoxEntry
+} from '../battle-sim.js';
+
+const FIXED_DT = 1 / SIMULATION_HZ;
+
+// Small deterministic generator (mulberry32) so every run plays the same
+function seededRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function isHidden(from, to) {
+  return COVER_BOUNDS.some(bounds => segmentBoxEntry(from, to, bounds) !== null);
+}
+
+// Bot and simulation advance together until the battle is decided, as in
+// BattleArena's fixed step
+function play(sim, bot, seconds) {
+  for (let i = 0; i < seconds * SIMULATION_HZ && !sim.winner; i++) {
+    bot.update(FIXED_DT);
+    sim.step();
+  }
+}
+
+describe('BattleBot', () => {
+  test('fires only while it can see the player', (t) => {
+    const sim = new BattleSimulation({ playerType: 'pawn', opponentType: 'pawn' });
+    const bot = new BattleBot(sim, 'expert', seededRandom(1));
+    const fire = t.mock.method(bot, 'fire');
+
+    // Stand still behind the tall box at (6, -6), with the player beyond it
+    bot.updateMovement = () => {};
+    sim.setOpponentPosition({ x: 6, y: EYE_HEIGHT, z: -9 });
+    sim.player.position = { x: 6, y: EYE_HEIGHT, z: -2 };
+    assert.equal(bot.hasLineOfSight(sim.player.position), false);
+
+    play(sim, bot, 3);
+    assert.equal(fire.mock.callCount(), 0);
+
+    // Out in the open the bot waits its reaction time, then shoots
+    sim.player.position = { x: 10, y: EYE_HEIGHT, z: -9 };
+    assert.equal(bot.hasLineOfSight(sim.player.position), true);
+
+    play(sim, bot, bot.settings.reactionTime - FIXED_DT);
+    assert.equal(fire.mock.callCount(), 0);
+    play(sim, bot, 2 * FIXED_DT);
+    assert.equal(fire.mock.callCount(), 1);
+  });
+
+  test('runs for the cover that hides it from the player', () => {
+    const sim = new BattleSimulation({ playerType: 'pawn', opponentType: 'pawn' });
+    const bot = new BattleBot(sim, 'expert', seededRandom(2));
+    const start = { ...bot.position };
+
+    // The first update sends the bot into cover
+    bot.update(FIXED_DT);
+    assert.equal(bot.mode, 'cover');
+    assert.ok(bot.target);
+    assert.ok(isHidden(bot.target, sim.player.position), 'the spot is out of the player\'s sight');
+
+    const distanceTo = position => Math.hypot(bot.target.x - position.x, bot.target.z - position.z);
+    assert.ok(distanceTo(bot.position) < distanceTo(start));
+
+    play(sim, bot, 1.4);
+    assert.equal(bot.mode, 'cover');
+    assert.ok(distanceTo(bot.position) < 0.1);
+    assert.equal(bot.hasLineOfSight(sim.player.position), false);
+  });
+
+  test('shoots through the simulation at the fire rate of its gun', (t) => {
+    const sim = new BattleSimulation({ playerType: 'king', opponentType: 'pawn' });
+    const bot = new BattleBot(sim, 'hard', seededRandom(3));
+    const shots = [];
+    const addOpponentShot = sim.addOpponentShot.bind(sim);
+    t.mock.method(sim, 'addOpponentShot', (shot, rewindMs) => {
+      const accepted = addOpponentShot(shot, rewindMs);
+      shots.push({ tick: sim.tick, accepted, bullet: sim.bullets.at(-1) });
+      return accepted;
+    });
+
+    play(sim, bot, 10);
+
+    // The host took every one of them as a bullet of the bot's gun
+    assert.ok(shots.length > 1);
+    for (const { accepted, bullet } of shots) {
+      assert.equal(accepted, true);
+      assert.equal(bullet.owner, 'opponent');
+      assert.equal(bullet.damage, GUN_STATS.pawn.damage);
+    }
+
+    const fireTicks = GUN_STATS.pawn.fireRate * bot.settings.fireRateScale * SIMULATION_HZ;
+    for (let i = 1; i < shots.length; i++) {
+      assert.ok(shots[i].tick - shots[i - 1].tick >= Math.floor(fireTicks));
+    }
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeBattleUpdate, decodeBattleUpdate } from '../battle-codec.js';
+import { validateMessage } from '../protocol.js';
+
+const UPDATE = {
+  type: 'battleUpdate',
+  seq: 7,
+  ack: 0xffff,
+  sentAt: 1718000000123,
+  position: { x: -7.9876, y: 1.6, z: 3.25 },
+  rotation: { x: -0.3, y: 1.5707963, z: 0 },
+  shots: []
+};
+
+const SHOT = {
+  id: 3,
+  position: { x: -7.9876, y: 1.6, z: 3.25 },
+  velocity: { x: 233.5, y: -4.25, z: 12.01 },
+  damage: 20,
+  tick: 1234,
+  viewTime: 1718000000020
+};
+
+function assertVectorClose(actual, expected, tolerance, label) {
+  for (const axis of ['x', 'y', 'z']) {
+    assert.ok(Math.abs(actual[axis] - expected[axis]) <= tolerance, `${label}.${axis}: ${actual[axis]} vs ${expected[axis]}`);
+  }
+}
+
+describe('battle update codec', () => {
+  test('round-trips a movement update within the quantization step', () => {
+    const buffer = encodeBattleUpdate(UPDATE);
+    const message = decodeBattleUpdate(buffer);
+
+    assert.equal(buffer.byteLength, 27);
+    assert.equal(message.type, 'battleUpdate');
+    assert.equal(message.seq, 7);
+    assert.equal(message.ack, 0xffff);
+    assert.equal(message.sentAt, UPDATE.sentAt);
+    assert.deepEqual(message.shots, []);
+    assert.equal('health' in message, false);
+    assert.equal('color' in message, false);
+    assertVectorClose(message.position, UPDATE.position, 0.0005, 'position');
+    assertVectorClose(message.rotation, UPDATE.rotation, 0.0001, 'rotation');
+    assert.equal(validateMessage(message), null);
+  });
+
+  test('carries the host health, color and shots', () => {
+    const update = { ...UPDATE, shots: [SHOT, { ...SHOT, id: 4, viewTime: null }], health: { host: 80, guest: 55 }, color: 'black' };
+    const buffer = encodeBattleUpdate(update);
+    const message = decodeBattleUpdate(buffer);
+
+    assert.equal(buffer.byteLength, 27 + 2 + 2 * 27);
+    assert.ok(buffer.byteLength < JSON.stringify(update).length / 4);
+    assert.deepEqual(message.health, { host: 80, guest: 55 });
+    assert.equal(message.color, 'black');
+    assert.deepEqual(message.shots.map(shot => shot.id), [3, 4]);
+
+    const [shot, second] = message.shots;
+    assertVectorClose(shot.position, SHOT.position, 0.0005, 'shot.position');
+    assertVectorClose(shot.velocity, SHOT.velocity, 0.005, 'shot.velocity');
+    assert.equal(shot.damage, 20);
+    assert.equal(shot.tick, 1234);
+    assert.equal(shot.viewTime, SHOT.viewTime);
+    assert.equal(second.viewTime, null);
+    assert.equal(validateMessage(message), null);
+
+    assert.equal(decodeBattleUpdate(encodeBattleUpdate({ ...update, color: 'white' })).color, 'white');
+  });
+
+  test('wraps angles', () => {
+    const message = decodeBattleUpdate(encodeBattleUpdate({ ...UPDATE, rotation: { x: 0, y: Math.PI * 4 + 0.5, z: -Math.PI * 3 } }));
+
+    assert.ok(Math.abs(message.rotation.y - 0.5) < 0.0001);
+    assert.ok(Math.abs(Math.abs(message.rotation.z) - Math.PI) < 0.0001);
+  });
+
+  test('rejects buffers that are not battle updates', () => {
+    const buffer = encodeBattleUpdate({ ...UPDATE, shots: [SHOT] });
+
+    assert.throws(() => decodeBattleUpdate(buffer.slice(0, 40)), /expected/);
+    assert.throws(() => decodeBattleUpdate(new ArrayBuffer(4)), /truncated/);
+
+    const future = buffer.slice(0);
+    new DataView(future).setUint8(0, 9);
+    assert.throws(() => decodeBattleUpdate(future), /Unknown battle update format 9/);
+  });
+});
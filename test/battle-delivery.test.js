@@ -0,0 +1,117 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShotDelivery, isNewerSequence, SHOT_RESEND_MS } from '../battle-delivery.js';
+
+function shot(tick) {
+  return { position: { x: 0, y: 1.6, z: 0 }, velocity: { x: 100, y: 0, z: 0 }, damage: 15, tick, viewTime: null };
+}
+
+describe('isNewerSequence', () => {
+  test('compares 16-bit counters across the wrap', () => {
+    assert.equal(isNewerSequence(5, 4), true);
+    assert.equal(isNewerSequence(4, 5), false);
+    assert.equal(isNewerSequence(5, 5), false);
+    assert.equal(isNewerSequence(0, 0xffff), true);
+    assert.equal(isNewerSequence(3, 0xfff0), true);
+    assert.equal(isNewerSequence(0xfff0, 3), false);
+  });
+});
+
+describe('ShotDelivery', () => {
+  let warnings;
+  let originalWarn;
+
+  beforeEach(() => {
+    warnings = [];
+    originalWarn = console.warn;
+    console.warn = (message) => warnings.push(message);
+  });
+
+  afterEach(() => {
+    console.warn = originalWarn;
+  });
+
+  test('repeats a shot until the peer acknowledges it', () => {
+    const sender = new ShotDelivery();
+    const receiver = new ShotDelivery();
+
+    const first = sender.outgoing([shot(10)], 0);
+    assert.deepEqual(first.map(s => s.id), [0]);
+
+    // That update is lost; the next one carries the shot again
+    const second = sender.outgoing([], 16);
+    assert.deepEqual(second.map(s => s.id), [0]);
+
+    assert.deepEqual(receiver.incoming(second, 0xffff).map(s => s.tick), [10]);
+    assert.equal(receiver.ack, 0);
+
+    sender.incoming([], receiver.ack);
+    assert.deepEqual(sender.outgoing([], 33), []);
+    assert.deepEqual(warnings, []);
+  });
+
+  test('delivers each shot once, in order, however it arrives', () => {
+    const sender = new ShotDelivery();
+    const receiver = new ShotDelivery();
+
+    const early = sender.outgoing([shot(1)], 0);
+    const late = sender.outgoing([shot(2)], 16);
+
+    // The unordered channel delivers the later update first
+    assert.deepEqual(receiver.incoming(late, 0xffff).map(s => s.tick), [1, 2]);
+    assert.deepEqual(receiver.incoming(early, 0xffff), []);
+    assert.deepEqual(receiver.incoming(late, 0xffff), []);
+    assert.equal(receiver.ack, 1);
+  });
+
+  test('gives up on old shots and says so when the peer was acking', () => {
+    const sender = new ShotDelivery();
+    sender.incoming([], 0xffff);
+
+    sender.outgoing([shot(1)], 0);
+    assert.deepEqual(sender.outgoing([shot(2)], SHOT_RESEND_MS + 1).map(s => s.tick), [2]);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /Shot 0 was never acknowledged/);
+  });
+
+  test('expires shots quietly for a peer that never sends updates', () => {
+    const sender = new ShotDelivery();
+
+    sender.outgoing([shot(1)], 0);
+    assert.deepEqual(sender.outgoing([], SHOT_RESEND_MS + 1), []);
+    assert.deepEqual(warnings, []);
+  });
+
+  test('keeps a bounded number of shots in flight', () => {
+    const sender = new ShotDelivery({ maxPending: 2 });
+
+    sender.outgoing([shot(1), shot(2)], 0);
+    assert.deepEqual(sender.outgoing([shot(3)], 10).map(s => s.tick), [2, 3]);
+  });
+
+  test('notices shots that never arrived', () => {
+    const receiver = new ShotDelivery();
+
+    receiver.incoming([{ ...shot(1), id: 0 }], 0xffff);
+    receiver.incoming([{ ...shot(4), id: 3 }], 0xffff);
+
+    assert.equal(receiver.ack, 3);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /Lost 2 shot\(s\) from the peer before shot 3/);
+  });
+
+  test('numbers shots across the 16-bit wrap', () => {
+    const sender = new ShotDelivery();
+    const receiver = new ShotDelivery();
+    sender.nextId = 0xffff;
+    receiver.lastReceivedId = 0xfffe;
+
+    const shots = sender.outgoing([shot(1), shot(2)], 0);
+    assert.deepEqual(shots.map(s => s.id), [0xffff, 0]);
+    assert.deepEqual(receiver.incoming(shots, 0xffff).map(s => s.tick), [1, 2]);
+    assert.equal(receiver.ack, 0);
+
+    sender.incoming([], receiver.ack);
+    assert.deepEqual(sender.outgoing([], 1), []);
+  });
+});
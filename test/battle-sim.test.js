@@ -0,0 +1,239 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BattleSimulation, GUN_STATS, SIMULATION_HZ, MAX_REWIND_MS, ARENA_SIZE, EYE_HEIGHT, STARTING_HEALTH,
+  segmentBoxEntry, segmentHitsFighter
+} from '../battle-sim.js';
+
+// A shot the opponent (spawned at +x, facing us at -x) fires on its own tick
+function opponentShot(tick) {
+  return { position: { x: 8, y: 1.6, z: 0 }, velocity: { x: -1, y: 0, z: 0 }, damage: 8, tick };
+}
+
+function stepTicks(sim, ticks) {
+  for (let i = 0; i < ticks; i++) {
+    sim.step();
+  }
+}
+
+describe('segmentBoxEntry', () => {
+  const box = { min: { x: -1, y: -1, z: -1 }, max: { x: 1, y: 1, z: 1 } };
+
+  test('finds where a segment enters a box', () => {
+    assert.equal(segmentBoxEntry({ x: -2, y: 0, z: 0 }, { x: 2, y: 0, z: 0 }, box), 0.25);
+    assert.equal(segmentBoxEntry({ x: 0.5, y: 0, z: 0 }, { x: 4, y: 0, z: 0 }, box), 0);
+  });
+
+  test('misses boxes beside, short of or parallel to the segment', () => {
+    assert.equal(segmentBoxEntry({ x: -2, y: 0, z: 2 }, { x: 2, y: 0, z: 2 }, box), null);
+    assert.equal(segmentBoxEntry({ x: -4, y: 0, z: 0 }, { x: -2, y: 0, z: 0 }, box), null);
+    assert.equal(segmentBoxEntry({ x: -2, y: 2, z: 0 }, { x: 2, y: 2, z: 0 }, box), null);
+  });
+});
+
+describe('segmentHitsFighter', () => {
+  const eye = { x: 0, y: EYE_HEIGHT, z: 0 };
+
+  test('hits anywhere from the feet up to the eyes', () => {
+    assert.equal(segmentHitsFighter({ x: -5, y: 1, z: 0 }, { x: 5, y: 1, z: 0 }, eye), 0.5);
+    assert.equal(segmentHitsFighter({ x: -5, y: 0.2, z: 0.5 }, { x: 5, y: 0.2, z: 0.5 }, eye), 0.5);
+    assert.equal(segmentHitsFighter({ x: -5, y: 3, z: 0 }, { x: 5, y: 3, z: 0 }, eye), null);
+  });
+
+  test('counts the bullet radius', () => {
+    const from = { x: -5, y: 1, z: 1 };
+    const to = { x: 5, y: 1, z: 1 };
+    assert.equal(segmentHitsFighter(from, to, eye), null);
+    assert.equal(segmentHitsFighter(from, to, eye, 0.3), 0.5);
+  });
+});
+
+describe('BattleSimulation bullets', () => {
+  test('damages the opponent by the gun\'s damage', () => {
+    const sim = new BattleSimulation({ playerType: 'bishop', opponentType: 'pawn' });
+    assert.ok(sim.shoot({ x: 1, y: 0, z: 0 }));
+    stepTicks(sim, 10);
+
+    assert.equal(sim.opponent.health, STARTING_HEALTH - GUN_STATS.bishop.damage);
+    assert.deepEqual(sim.bullets, []);
+    assert.equal(sim.winner, null);
+  });
+
+  test('decides the battle when health runs out', () => {
+    const sim = new BattleSimulation({ playerType: 'king', opponentType: 'pawn' });
+    sim.shoot({ x: 1, y: 0, z: 0 });
+    stepTicks(sim, 10);
+
+    assert.equal(sim.opponent.health, 0);
+    assert.equal(sim.winner, 'player');
+    assert.equal(sim.shoot({ x: 1, y: 0, z: 0 }), null);
+  });
+
+  test('stops at cover and walls', () => {
+    const sim = new BattleSimulation({ playerType: 'king', opponentType: 'pawn' });
+
+    // Behind the tall box at (-6, -6)
+    sim.setOpponentPosition({ x: -6, y: EYE_HEIGHT, z: -12 });
+    sim.shoot({ x: 2, y: 0, z: -12 });
+    stepTicks(sim, 20);
+    assert.equal(sim.opponent.health, STARTING_HEALTH);
+    assert.deepEqual(sim.bullets, []);
+
+    // Outside the arena
+    sim.setOpponentPosition({ x: ARENA_SIZE / 2 + 2, y: EYE_HEIGHT, z: 0 });
+    stepTicks(sim, 100);
+    sim.shoot({ x: 1, y: 0, z: 0 });
+    stepTicks(sim, 20);
+    assert.equal(sim.opponent.health, STARTING_HEALTH);
+  });
+
+  test('keeps the fire rate of the player\'s gun', () => {
+    const sim = new BattleSimulation({ playerType: 'knight', opponentType: 'pawn' });
+    assert.ok(sim.shoot({ x: 0, y: 0, z: 1 }));
+    assert.equal(sim.shoot({ x: 0, y: 0, z: 1 }), null);
+
+    stepTicks(sim, Math.ceil(GUN_STATS.knight.fireRate * SIMULATION_HZ));
+    assert.ok(sim.shoot({ x: 0, y: 0, z: 1 }));
+  });
+});
+
+describe('BattleSimulation authority', () => {
+  test('leaves health to the host on a guest', () => {
+    const sim = new BattleSimulation({ playerType: 'king', opponentType: 'pawn', isAuthority: false });
+    sim.shoot({ x: 1, y: 0, z: 0 });
+    stepTicks(sim, 10);
+
+    // The bullet stops at the opponent but does no damage
+    assert.deepEqual(sim.bullets, []);
+    assert.equal(sim.opponent.health, STARTING_HEALTH);
+    assert.equal(sim.winner, null);
+
+    sim.setHealth(40, 65);
+    assert.equal(sim.player.health, 40);
+    assert.equal(sim.opponent.health, 65);
+  });
+
+  test('ignores health from outside on the host', () => {
+    const sim = new BattleSimulation({ playerType: 'pawn', opponentType: 'pawn' });
+    sim.setHealth(1, 1);
+    assert.equal(sim.player.health, STARTING_HEALTH);
+  });
+
+  test('validates opponent shots only on the host', () => {
+    const farAway = { ...opponentShot(10), position: { x: -8, y: 1.6, z: 10 } };
+
+    const host = new BattleSimulation({ playerType: 'pawn', opponentType: 'rook' });
+    assert.equal(host.addOpponentShot(farAway), false);
+
+    const guest = new BattleSimulation({ playerType: 'pawn', opponentType: 'rook', isAuthority: false });
+    assert.equal(guest.addOpponentShot(farAway), true);
+  });
+
+  test('takes speed and damage from the opponent\'s gun, not the shot', () => {
+    const sim = new BattleSimulation({ playerType: 'pawn', opponentType: 'rook' });
+    sim.addOpponentShot({ ...opponentShot(0), velocity: { x: -9999, y: 0, z: 0 }, damage: 100 });
+
+    const [bullet] = sim.bullets;
+    assert.equal(Math.hypot(bullet.velocity.x, bullet.velocity.y, bullet.velocity.z), GUN_STATS.rook.bulletSpeed);
+    assert.equal(bullet.damage, GUN_STATS.rook.damage);
+  });
+});
+
+describe('BattleSimulation movement', () => {
+  // yaw turning the camera to face -x, +x
+  const FACE_WEST = Math.PI / 2;
+  const FACE_EAST = -Math.PI / 2;
+
+  test('keeps the player inside the arena', () => {
+    const sim = new BattleSimulation({ playerType: 'pawn', opponentType: 'pawn' });
+    for (let i = 0; i < 300; i++) {
+      sim.step({ forward: true, yaw: FACE_WEST });
+    }
+
+    assert.ok(Math.abs(sim.player.position.x - -(ARENA_SIZE / 2 - 0.5)) < 1e-9);
+    assert.equal(sim.player.position.y, EYE_HEIGHT);
+  });
+
+  test('stops the player at cover', () => {
+    const sim = new BattleSimulation({ playerType: 'pawn', opponentType: 'pawn' });
+    for (let i = 0; i < 300; i++) {
+      sim.step({ forward: true, yaw: FACE_EAST });
+    }
+
+    // The low box in the middle reaches to x = -0.75; the player is 0.5 wide
+    assert.ok(sim.player.position.x <= -1.25);
+    assert.ok(sim.player.position.x > -1.5);
+  });
+
+  test('jumps and lands', () => {
+    const sim = new BattleSimulation({ playerType: 'pawn', opponentType: 'pawn' });
+    sim.step({ jump: true });
+    stepTicks(sim, 20);
+    assert.ok(sim.player.position.y > EYE_HEIGHT + 1);
+
+    stepTicks(sim, 60);
+    assert.equal(sim.player.position.y, EYE_HEIGHT);
+  });
+});
+
+describe('BattleSimulation opponent shots', () => {
+  test('takes repeated shots that arrive in one update', () => {
+    const sim = new BattleSimulation({ playerType: 'pawn', opponentType: 'rook' });
+    const fireTicks = Math.ceil(GUN_STATS.rook.fireRate * SIMULATION_HZ);
+    stepTicks(sim, 100);
+
+    // The first shot's update was lost; the next carries it and a newer one
+    assert.equal(sim.addOpponentShot(opponentShot(90)), true);
+    assert.equal(sim.addOpponentShot(opponentShot(90 + fireTicks)), true);
+    assert.equal(sim.bullets.filter(bullet => bullet.owner === 'opponent').length, 2);
+  });
+
+  test('takes a resent shot that arrives after a newer one', () => {
+    const sim = new BattleSimulation({ playerType: 'pawn', opponentType: 'rook' });
+    const fireTicks = Math.ceil(GUN_STATS.rook.fireRate * SIMULATION_HZ);
+    stepTicks(sim, 100);
+
+    assert.equal(sim.addOpponentShot(opponentShot(90 + fireTicks)), true);
+    assert.equal(sim.addOpponentShot(opponentShot(90)), true);
+    assert.equal(sim.opponent.lastShotTick, 90 + fireTicks);
+
+    // Still too close to both neighbours
+    assert.equal(sim.addOpponentShot(opponentShot(92)), false);
+    assert.equal(sim.addOpponentShot(opponentShot(90 + fireTicks + 2)), false);
+    assert.equal(sim.bullets.filter(bullet => bullet.owner === 'opponent').length, 2);
+  });
+
+  test('holds the shooter to its fire rate and its clock to ours', () => {
+    const sim = new BattleSimulation({ playerType: 'pawn', opponentType: 'rook' });
+    const fireTicks = Math.ceil(GUN_STATS.rook.fireRate * SIMULATION_HZ);
+    stepTicks(sim, 10);
+
+    assert.equal(sim.addOpponentShot(opponentShot(500)), true);
+    assert.equal(sim.addOpponentShot(opponentShot(501)), false);
+
+    // Ticks that run far ahead of ours are forged
+    assert.equal(sim.addOpponentShot(opponentShot(500 + fireTicks * 5)), false);
+    stepTicks(sim, fireTicks);
+    assert.equal(sim.addOpponentShot(opponentShot(500 + fireTicks)), true);
+  });
+
+  test('refuses shots older than it can rewind', () => {
+    const sim = new BattleSimulation({ playerType: 'pawn', opponentType: 'rook' });
+    stepTicks(sim, 100);
+
+    assert.equal(sim.addOpponentShot(opponentShot(50), MAX_REWIND_MS + 50), false);
+    assert.equal(sim.addOpponentShot(opponentShot(50), MAX_REWIND_MS), true);
+  });
+
+  test('checks the origin against where the opponent was when it fired', () => {
+    const sim = new BattleSimulation({ playerType: 'pawn', opponentType: 'rook' });
+    stepTicks(sim, 100);
+
+    // The opponent has run 5 units since firing a shot that was resent
+    sim.setOpponentPosition({ x: 8, y: 1.6, z: 5 });
+    stepTicks(sim, 6);
+
+    assert.equal(sim.addOpponentShot(opponentShot(10), 50), false);
+    assert.equal(sim.addOpponentShot(opponentShot(10), 200), true);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findBestMove, AI_DIFFICULTIES } from '../chess-ai.js';
+import { ChessGame, parseSquareName } from '../chess.js';
+
+function stateOf(fen) {
+  return ChessGame.fromFEN(fen).getState();
+}
+
+function assertLegal(fen, move) {
+  const game = ChessGame.fromFEN(fen);
+  const piece = game.getPiece(move.fromRow, move.fromCol);
+
+  assert.ok(piece, 'moves a piece');
+  assert.equal(piece.color, game.currentTurn);
+  assert.ok(game.getValidMoves(move.fromRow, move.fromCol).some(target =>
+    target.row === move.toRow && target.col === move.toCol
+  ), 'to a square the piece can reach');
+}
+
+function assertMove(move, from, to) {
+  assert.deepEqual(
+    { from: { row: move.fromRow, col: move.fromCol }, to: { row: move.toRow, col: move.toCol } },
+    { from: parseSquareName(from), to: parseSquareName(to) }
+  );
+}
+
+describe('findBestMove', () => {
+  test('finds a mate in one', () => {
+    const fen = 'k7/8/1K6/8/8/8/8/7Q w - - 0 1';
+    const move = findBestMove(stateOf(fen), 'hard');
+
+    const game = ChessGame.fromFEN(fen);
+    game.movePiece(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+    assert.equal(game.result, 'checkmate');
+  });
+
+  test('takes a hanging queen', () => {
+    assertMove(findBestMove(stateOf('k7/8/8/3q4/8/8/8/K2R4 w - - 0 1'), 'medium'), 'd1', 'd5');
+  });
+
+  test('promotes a pawn that can', () => {
+    const move = findBestMove(stateOf('k7/4P3/8/8/8/8/8/K7 w - - 0 1'), 'hard');
+
+    assertMove(move, 'e7', 'e8');
+    assert.equal(move.promotion, 'queen');
+  });
+
+  test('plays for black too', () => {
+    assertMove(findBestMove(stateOf('k2r4/8/8/8/3Q4/8/8/K7 b - - 0 1'), 'medium'), 'd8', 'd4');
+  });
+
+  test('has nothing to play when there is no legal move', () => {
+    assert.equal(findBestMove(stateOf('k7/2Q5/1K6/8/8/8/8/8 b - - 0 1')), null);
+  });
+
+  test('answers with a legal move when time runs out', (t) => {
+    // The clock jumps past the deadline as soon as the search looks at it
+    let calls = 0;
+    t.mock.method(Date, 'now', () => (calls++ === 0 ? 0 : Number.MAX_SAFE_INTEGER));
+
+    const fen = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+    const move = findBestMove(stateOf(fen), 'expert');
+
+    assert.ok(calls > 1, 'the search looked at the clock');
+    assertLegal(fen, move);
+  });
+
+  for (const difficulty of Object.keys(AI_DIFFICULTIES)) {
+    test(`plays a legal move on ${difficulty}`, () => {
+      const fen = 'r3k2r/ppp2ppp/2n5/3p4/3P4/2N5/PPP2PPP/R3K2R w KQkq - 0 1';
+      assertLegal(fen, findBestMove(stateOf(fen), difficulty));
+    });
+  }
+});
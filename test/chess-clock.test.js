@@ -0,0 +1,117 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChessClock, TIME_CONTROLS, formatClockTime } from '../chess-clock.js';
+
+// Every call gets its time passed in, so no real time goes by
+function blitz(options = {}) {
+  const clock = new ChessClock({ initialSeconds: 300, incrementSeconds: 3, ...options });
+  clock.start('white', 0);
+  return clock;
+}
+
+describe('ChessClock', () => {
+  test('runs the side to move and adds the increment when it moves', () => {
+    const clock = blitz();
+
+    assert.equal(clock.getRemaining('white', 10000), 290000);
+    assert.equal(clock.getRemaining('black', 10000), 300000);
+
+    clock.switchTurn('black', 10000);
+    assert.equal(clock.getRemaining('white', 25000), 293000);
+    assert.equal(clock.getRemaining('black', 25000), 285000);
+
+    clock.switchTurn('white', 25000);
+    assert.equal(clock.getRemaining('black', 30000), 288000);
+  });
+
+  test('stands still while paused', () => {
+    const clock = blitz();
+
+    clock.pause(5000);
+    assert.equal(clock.isRunning(), false);
+    assert.equal(clock.getRemaining('white', 60000), 295000);
+
+    clock.resume(60000);
+    assert.equal(clock.getRemaining('white', 61000), 294000);
+  });
+
+  test('pauses for a battle only if the game says so', () => {
+    const paused = blitz();
+    paused.battleStarted(1000);
+    assert.equal(paused.getRemaining('white', 20000), 299000);
+
+    const running = blitz({ pauseDuringBattle: false });
+    running.battleStarted(1000);
+    assert.equal(running.getRemaining('white', 20000), 280000);
+  });
+
+  test('stops for good', () => {
+    const clock = blitz();
+    clock.stop(4000);
+    clock.resume(5000);
+    clock.switchTurn('black', 6000);
+
+    assert.equal(clock.isRunning(), false);
+    assert.equal(clock.activeColor, 'white');
+    assert.equal(clock.getRemaining('white', 9000), 296000);
+  });
+
+  test('reports the side whose flag fell', () => {
+    const clock = new ChessClock({ initialSeconds: 60 });
+    assert.equal(clock.getFlaggedColor(0), null);
+
+    clock.start('white', 0);
+    assert.equal(clock.getFlaggedColor(59999), null);
+    assert.equal(clock.getFlaggedColor(60000), 'white');
+    assert.equal(clock.getRemaining('white', 90000), 0);
+
+    clock.pause(30000);
+    assert.equal(clock.getFlaggedColor(90000), null);
+  });
+
+  test('survives the trip to the guest', () => {
+    const clock = blitz({ pauseDuringBattle: false });
+    clock.switchTurn('black', 12000);
+
+    // Sent at 20 s, received and rebuilt a moment later
+    const state = JSON.parse(JSON.stringify(clock.getState(20000)));
+    const copy = ChessClock.fromState(state, 20050);
+
+    assert.deepEqual(copy.getState(20050), state);
+    assert.equal(copy.pauseDuringBattle, false);
+    assert.equal(copy.getRemaining('black', 21050), 291000);
+    assert.equal(copy.getRemaining('white', 21050), 291000);
+    assert.equal(copy.getTimeControlTag(), '300+3');
+  });
+
+  test('restores a paused or stopped clock as such', () => {
+    const clock = blitz();
+    clock.pause(1000);
+
+    const copy = ChessClock.fromState(clock.getState(1000), 5000);
+    assert.equal(copy.isRunning(), false);
+    assert.equal(copy.getRemaining('white', 9000), 299000);
+
+    copy.resume(9000);
+    assert.equal(copy.getRemaining('white', 10000), 298000);
+  });
+});
+
+describe('TIME_CONTROLS', () => {
+  test('all start a valid clock', () => {
+    for (const { initialSeconds, incrementSeconds } of Object.values(TIME_CONTROLS)) {
+      const clock = new ChessClock({ initialSeconds, incrementSeconds });
+      assert.equal(clock.getTimeControlTag(), `${initialSeconds}+${incrementSeconds}`);
+    }
+  });
+});
+
+describe('formatClockTime', () => {
+  test('shows tenths in the last ten seconds', () => {
+    assert.equal(formatClockTime(300000), '5:00');
+    assert.equal(formatClockTime(61500), '1:01');
+    assert.equal(formatClockTime(10000), '0:10');
+    assert.equal(formatClockTime(9940), '9.9');
+    assert.equal(formatClockTime(0), '0.0');
+  });
+});
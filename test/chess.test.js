@@ -0,0 +1,471 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChessGame, parsePGN, parseSquareName, toSquareName } from '../chess.js';
+
+// Destination squares of the piece on `square`, sorted, e.g. ['e3', 'e4']
+function movesFrom(game, square) {
+  const { row, col } = parseSquareName(square);
+  return game.getValidMoves(row, col).map(move => toSquareName(move.row, move.col)).sort();
+}
+
+function move(game, from, to, promotion = 'queen') {
+  const a = parseSquareName(from);
+  const b = parseSquareName(to);
+  game.movePiece(a.row, a.col, b.row, b.col, promotion);
+}
+
+// Counts leaf nodes of the legal move tree, every promotion piece included
+function perft(game, depth) {
+  if (depth === 0) return 1;
+
+  const color = game.currentTurn;
+  let nodes = 0;
+
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const piece = game.board[row][col];
+      if (!piece || piece.color !== color) continue;
+
+      for (const target of game.getValidMoves(row, col)) {
+        const promotions = target.promotion ? ['queen', 'rook', 'bishop', 'knight'] : ['queen'];
+        for (const promotion of promotions) {
+          const undo = game.applyMove(row, col, target.row, target.col, promotion);
+          game.currentTurn = color === 'white' ? 'black' : 'white';
+          nodes += perft(game, depth - 1);
+          game.currentTurn = color;
+          game.undoMove(undo);
+        }
+      }
+    }
+  }
+
+  return nodes;
+}
+
+describe('perft', () => {
+  // Reference counts from https://www.chessprogramming.org/Perft_Results
+  const positions = [
+    { name: 'start position', fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', counts: [20, 400, 8902] },
+    { name: 'Kiwipete', fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1', counts: [48, 2039] },
+    { name: 'position 3', fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1', counts: [14, 191, 2812] },
+    { name: 'position 4', fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1', counts: [6, 264, 9467] },
+    { name: 'position 5', fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8', counts: [44, 1486] }
+  ];
+
+  for (const { name, fen, counts } of positions) {
+    test(name, () => {
+      const game = ChessGame.fromFEN(fen);
+      counts.forEach((expected, index) => {
+        assert.equal(perft(game, index + 1), expected, `depth ${index + 1}`);
+      });
+      // Make/unmake must leave the position untouched
+      assert.equal(game.toFEN(), fen);
+    });
+  }
+});
+
+describe('FEN', () => {
+  test('round-trips a position with an en passant square', () => {
+    const game = new ChessGame();
+    move(game, 'e2', 'e4');
+    const fen = game.toFEN();
+
+    assert.equal(fen, 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+    assert.equal(ChessGame.fromFEN(fen).toFEN(), fen);
+    assert.equal(ChessGame.fromFEN('4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1').toFEN(), '4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1');
+  });
+
+  test('rejects malformed positions', () => {
+    const errors = [
+      ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP w KQkq - 0 1', /8 ranks/],
+      ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBN w KQkq - 0 1', /rank 1 does not have 8 squares/],
+      ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQXBNR w KQkq - 0 1', /unknown piece 'X'/],
+      ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQQBNR w KQkq - 0 1', /one white king/],
+      ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR x KQkq - 0 1', /side to move/],
+      ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KX - 0 1', /castling field 'KX'/],
+      ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - x 1', /move counters/],
+      ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w', /4 to 6/]
+    ];
+
+    for (const [fen, message] of errors) {
+      assert.throws(() => ChessGame.fromFEN(fen), message, fen);
+    }
+  });
+
+  test('rejects an en passant square the last move could not have left', () => {
+    const errors = [
+      // White just double-stepped, so it can't be white to move
+      'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e3 0 1',
+      // No pawn in front of the square
+      'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR b KQkq e3 0 1',
+      // A pawn, but of the side to move
+      '4k3/8/8/8/4p3/8/8/4K3 b - e3 0 1',
+      // Not on the 3rd or 6th rank
+      '4k3/8/8/3pP3/8/8/8/4K3 w - d5 0 1',
+      '4k3/8/8/3pP3/8/8/8/4K3 w - z9 0 1'
+    ];
+
+    for (const fen of errors) {
+      assert.throws(() => ChessGame.fromFEN(fen), /bad en passant square/, fen);
+    }
+  });
+});
+
+describe('move generation', () => {
+  test('pawns step once or twice from their start square', () => {
+    const game = new ChessGame();
+    assert.deepEqual(movesFrom(game, 'e2'), ['e3', 'e4']);
+    assert.deepEqual(movesFrom(game, 'd7'), ['d5', 'd6']);
+  });
+
+  test('pawns are blocked by pieces in front and capture diagonally', () => {
+    const game = ChessGame.fromFEN('4k3/8/8/8/3p1p2/4P3/8/4K3 w - - 0 1');
+    assert.deepEqual(movesFrom(game, 'e3'), ['d4', 'e4', 'f4']);
+
+    const blocked = ChessGame.fromFEN('4k3/8/8/8/4p3/4P3/8/4K3 w - - 0 1');
+    assert.deepEqual(movesFrom(blocked, 'e3'), []);
+  });
+
+  test('pawns capture en passant right after the double step', () => {
+    const game = ChessGame.fromFEN('4k3/3p4/8/4P3/8/8/8/4K3 b - - 0 1');
+    move(game, 'd7', 'd5');
+    assert.deepEqual(movesFrom(game, 'e5'), ['d6', 'e6']);
+
+    move(game, 'e5', 'd6');
+    assert.equal(game.board[3][3], null, 'captured pawn is removed');
+  });
+
+  test('pawns promote on the last rank', () => {
+    const game = ChessGame.fromFEN('4k3/P7/8/8/8/8/8/4K3 w - - 0 1');
+    move(game, 'a7', 'a8', 'knight');
+    assert.equal(game.board[0][0].type, 'knight');
+    assert.equal(game.board[0][0].color, 'white');
+  });
+
+  test('knights jump, including from corners and edges', () => {
+    const game = ChessGame.fromFEN('4k3/8/8/8/3N4/8/8/N3K2N w - - 0 1');
+    assert.deepEqual(movesFrom(game, 'd4'), ['b3', 'b5', 'c2', 'c6', 'e2', 'e6', 'f3', 'f5']);
+    assert.deepEqual(movesFrom(game, 'a1'), ['b3', 'c2']);
+    assert.deepEqual(movesFrom(game, 'h1'), ['f2', 'g3']);
+  });
+
+  test('knights on the edge never look off the board', () => {
+    const game = ChessGame.fromFEN('4k3/8/8/N7/8/8/8/4K3 w - - 0 1');
+    const seen = [];
+    const original = game.getPiece.bind(game);
+    game.getPiece = (row, col) => {
+      seen.push([row, col]);
+      return original(row, col);
+    };
+
+    const moves = [];
+    game.getKnightMoves(3, 0, 'white', moves);
+
+    assert.ok(seen.every(([row, col]) => row >= 0 && row < 8 && col >= 0 && col < 8));
+    assert.deepEqual(moves.map(m => toSquareName(m.row, m.col)).sort(), ['b3', 'b7', 'c4', 'c6']);
+  });
+
+  test('bishops slide diagonally until blocked', () => {
+    const game = ChessGame.fromFEN('4k3/8/8/8/8/2P5/1B6/4K3 w - - 0 1');
+    assert.deepEqual(movesFrom(game, 'b2'), ['a1', 'a3', 'c1']);
+  });
+
+  test('rooks slide orthogonally and stop on captures', () => {
+    const game = ChessGame.fromFEN('4k3/8/8/8/r7/8/8/R3K3 w - - 0 1');
+    assert.deepEqual(movesFrom(game, 'a1'), ['a2', 'a3', 'a4', 'b1', 'c1', 'd1']);
+  });
+
+  test('queens combine rook and bishop moves', () => {
+    const game = ChessGame.fromFEN('4k3/8/8/8/8/8/8/Q3K3 w - - 0 1');
+    assert.equal(movesFrom(game, 'a1').length, 7 + 3 + 7);
+  });
+
+  test('kings step one square and never into check', () => {
+    const game = ChessGame.fromFEN('4k3/8/8/8/8/8/r7/4K3 w - - 0 1');
+    assert.deepEqual(movesFrom(game, 'e1'), ['d1', 'f1']);
+  });
+
+  test('kings castle only through unattacked squares', () => {
+    const game = ChessGame.fromFEN('4k3/8/8/8/8/8/8/R3K2R w KQ - 0 1');
+    assert.deepEqual(movesFrom(game, 'e1'), ['c1', 'd1', 'd2', 'e2', 'f1', 'f2', 'g1']);
+
+    const attacked = ChessGame.fromFEN('4kr2/8/8/8/8/8/8/R3K2R w KQ - 0 1');
+    assert.ok(!movesFrom(attacked, 'e1').includes('g1'));
+    assert.ok(movesFrom(attacked, 'e1').includes('c1'));
+  });
+
+  test('pinned pieces may not expose their king', () => {
+    const game = ChessGame.fromFEN('4k3/4r3/8/8/8/8/4N3/4K3 w - - 0 1');
+    assert.deepEqual(movesFrom(game, 'e2'), []);
+  });
+
+  test('squares off the board hold nothing', () => {
+    const game = new ChessGame();
+    assert.equal(game.getPiece(-1, 0), null);
+    assert.equal(game.getPiece(0, 8), null);
+  });
+});
+
+describe('turns', () => {
+  test('movePiece hands the move to the other side', () => {
+    const game = new ChessGame();
+    assert.equal(game.currentTurn, 'white');
+    move(game, 'e2', 'e4');
+    assert.equal(game.currentTurn, 'black');
+    move(game, 'e7', 'e5');
+    assert.equal(game.currentTurn, 'white');
+    assert.equal(game.fullmoveNumber, 2);
+  });
+
+  test('only the side to move can select a piece', () => {
+    const game = new ChessGame();
+    game.selectPiece(1, 4);
+    assert.equal(game.selectedPiece, null);
+
+    game.selectPiece(6, 4);
+    assert.equal(game.selectedPiece.row, 6);
+    assert.equal(game.selectPiece(4, 4), true);
+    assert.equal(game.currentTurn, 'black');
+  });
+});
+
+describe('game over', () => {
+  test('checkmate ends the game', () => {
+    const game = new ChessGame();
+    move(game, 'f2', 'f3');
+    move(game, 'e7', 'e5');
+    move(game, 'g2', 'g4');
+    move(game, 'd8', 'h4');
+    assert.equal(game.isGameOver(), true);
+    assert.equal(game.getWinner(), 'black');
+    assert.equal(game.getResult(), 'checkmate');
+  });
+
+  test('capturing the king ends the game', () => {
+    // Only reachable by editing the board, but movePiece must still cope
+    const game = ChessGame.fromFEN('4k3/8/8/8/8/8/8/4K2R w - - 0 1');
+    game.board[0][7] = { type: 'king', color: 'black' };
+    game.board[0][4] = null;
+    move(game, 'h1', 'h8');
+    assert.equal(game.isGameOver(), true);
+    assert.equal(game.getWinner(), 'white');
+    assert.equal(game.getResult(), 'king-captured');
+  });
+
+  test('a king that loses its battle loses the game', () => {
+    const game = ChessGame.fromFEN('4k3/8/8/8/8/8/3p4/4K3 w - - 0 1');
+    game.resolveBattle(7, 4, 6, 3, false);
+    assert.equal(game.isGameOver(), true);
+    assert.equal(game.getWinner(), 'black');
+    assert.equal(game.getResult(), 'king-captured');
+    assert.equal(game.board[7][4], null);
+  });
+
+  test('a won battle moves the attacker onto the square', () => {
+    const game = ChessGame.fromFEN('4k3/8/8/8/8/8/3p4/4K3 w - - 0 1');
+    game.resolveBattle(7, 4, 6, 3, true);
+    assert.deepEqual(game.board[6][3], { type: 'king', color: 'white' });
+    assert.equal(game.isGameOver(), true);
+    assert.equal(game.getResult(), 'insufficient-material');
+  });
+
+  test('stalemate is a draw', () => {
+    const game = ChessGame.fromFEN('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1');
+    assert.equal(game.isGameOver(), true);
+    assert.equal(game.isDraw(), true);
+    assert.equal(game.getResult(), 'stalemate');
+  });
+
+  test('threefold repetition is a draw', () => {
+    const game = new ChessGame();
+    for (let i = 0; i < 2; i++) {
+      move(game, 'g1', 'f3');
+      move(game, 'g8', 'f6');
+      move(game, 'f3', 'g1');
+      move(game, 'f6', 'g8');
+    }
+    assert.equal(game.getResult(), 'threefold-repetition');
+  });
+});
+
+describe('draws', () => {
+  test('the fifty-move rule applies at the hundredth halfmove', () => {
+    const game = ChessGame.fromFEN('7k/8/8/8/8/8/R7/K7 w - - 98 80');
+    move(game, 'a2', 'b2');
+    assert.equal(game.isGameOver(), false);
+
+    move(game, 'h8', 'g8');
+    assert.equal(game.halfmoveClock, 100);
+    assert.equal(game.isDraw(), true);
+    assert.equal(game.getResult(), 'fifty-move');
+  });
+
+  test('a lone bishop or knight cannot mate', () => {
+    for (const fen of ['7k/8/8/8/8/8/1r6/KB6 w - - 0 1', '7k/8/8/8/8/8/1r6/KN6 w - - 0 1']) {
+      const game = ChessGame.fromFEN(fen);
+      assert.equal(game.isGameOver(), false);
+
+      move(game, 'a1', 'b2');
+      assert.equal(game.isDraw(), true);
+      assert.equal(game.getResult(), 'insufficient-material');
+    }
+  });
+
+  test('bishops all on squares of one colour cannot mate', () => {
+    assert.equal(ChessGame.fromFEN('5b1k/8/8/8/8/8/8/K1B5 w - - 0 1').getResult(), 'insufficient-material');
+    assert.equal(ChessGame.fromFEN('2b4k/8/8/8/8/8/8/K1B5 w - - 0 1').isGameOver(), false);
+  });
+
+  test('a single pawn is enough to play on', () => {
+    const game = ChessGame.fromFEN('7k/8/8/8/8/8/1rP5/K7 w - - 0 1');
+    move(game, 'a1', 'b2');
+    assert.equal(game.isGameOver(), false);
+  });
+});
+
+describe('SAN and PGN export', () => {
+  function lastSan(game) {
+    return game.moveHistory[game.moveHistory.length - 1].san;
+  }
+
+  // The moves after the tag pairs, on one line
+  function movetext(pgn) {
+    return pgn.split('\n\n')[1].replace(/\s+/g, ' ').trim();
+  }
+
+  test('names the piece when two of a kind can reach the square', () => {
+    const knights = ChessGame.fromFEN('4k3/8/8/8/8/8/8/1N2KN2 w - - 0 1');
+    move(knights, 'b1', 'd2');
+    assert.equal(lastSan(knights), 'Nbd2');
+
+    const rooks = ChessGame.fromFEN('4k3/8/8/R7/8/8/8/R3K3 w - - 0 1');
+    move(rooks, 'a5', 'a3');
+    assert.equal(lastSan(rooks), 'R5a3');
+  });
+
+  test('writes castling, promotion and check', () => {
+    const game = ChessGame.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+    move(game, 'e1', 'g1');
+    assert.equal(lastSan(game), 'O-O');
+    move(game, 'e8', 'c8');
+    assert.equal(lastSan(game), 'O-O-O');
+
+    const queen = ChessGame.fromFEN('4k3/P7/8/8/8/8/8/4K3 w - - 0 1');
+    move(queen, 'a7', 'a8', 'queen');
+    assert.equal(lastSan(queen), 'a8=Q+');
+
+    const knight = ChessGame.fromFEN('4k3/P7/8/8/8/8/8/4K3 w - - 0 1');
+    move(knight, 'a7', 'a8', 'knight');
+    assert.equal(lastSan(knight), 'a8=N');
+  });
+
+  test('exports moves with the battle outcomes as comments', () => {
+    const game = new ChessGame();
+    move(game, 'e2', 'e4');
+    move(game, 'd7', 'd5');
+    game.resolveBattle(4, 4, 3, 3, false, 'queen', { attackerHp: 0, defenderHp: 35 });
+    move(game, 'g8', 'f6');
+
+    const pgn = game.exportPGN({ Date: '2026.01.01' });
+    assert.match(pgn, /^\[Event "FPS Chess"\]$/m);
+    assert.match(pgn, /^\[Date "2026\.01\.01"\]$/m);
+    assert.match(pgn, /^\[Result "\*"\]$/m);
+    assert.equal(movetext(pgn), '1. e4 d5 2. exd5 {Battle: attacker lost, attacker HP 0, defender HP 35} 2... Nf6 *');
+  });
+
+  test('records a custom start position and the result', () => {
+    const game = ChessGame.fromFEN('7k/8/6K1/8/8/8/8/R7 w - - 0 40');
+    move(game, 'a1', 'a8');
+
+    const pgn = game.exportPGN();
+    assert.match(pgn, /^\[SetUp "1"\]$/m);
+    assert.match(pgn, /^\[FEN "7k\/8\/6K1\/8\/8\/8\/8\/R7 w - - 0 40"\]$/m);
+    assert.match(pgn, /^\[Termination "checkmate"\]$/m);
+    assert.equal(movetext(pgn), '40. Ra8# 1-0');
+  });
+});
+
+describe('PGN import', () => {
+  test('round-trips an exported game, battles included', () => {
+    const game = new ChessGame();
+    move(game, 'e2', 'e4');
+    move(game, 'd7', 'd5');
+    game.resolveBattle(4, 4, 3, 3, false, 'queen', { attackerHp: 0, defenderHp: 35 });
+    move(game, 'd5', 'd4');
+    move(game, 'c2', 'c3');
+    game.resolveBattle(4, 3, 5, 2, true, 'queen', { attackerHp: 60, defenderHp: 0 });
+
+    const replayed = ChessGame.fromPGN(game.exportPGN());
+    assert.equal(replayed.toFEN(), game.toFEN());
+    assert.deepEqual(replayed.moveHistory, game.moveHistory);
+    assert.deepEqual(replayed.moveHistory[2].battle, { attackerWon: false, attackerHp: 0, defenderHp: 35 });
+  });
+
+  test('replays disambiguated moves, castling and promotion from a set-up position', () => {
+    const pgn = [
+      '[SetUp "1"]',
+      '[FEN "r3k3/7P/8/8/8/5N2/8/1N2K2R w Kq - 0 1"]',
+      '',
+      '1. O-O O-O-O 2. h8=N Kb7 3. Nbd2 *'
+    ].join('\n');
+    const game = ChessGame.fromPGN(pgn);
+
+    assert.equal(game.toFEN(), '3r3N/1k6/8/8/8/5N2/3N4/5RK1 b - - 2 3');
+    assert.deepEqual(game.moveHistory.map(m => m.san), ['O-O', 'O-O-O', 'h8=N', 'Kb7', 'Nbd2']);
+  });
+
+  test('skips comments, variations and annotations', () => {
+    const { tags, moves, result } = parsePGN(
+      '[White "A \\"B\\" C"]\n\n1. e4! {best by test} (1. d4 d5) e5?! $2 2. Nf3 ; line comment\n1-0'
+    );
+
+    assert.equal(tags.White, 'A "B" C');
+    assert.deepEqual(moves, [
+      { san: 'e4', comment: 'best by test' },
+      { san: 'e5', comment: null },
+      { san: 'Nf3', comment: 'line comment' }
+    ]);
+    assert.equal(result, '1-0');
+  });
+
+  test('reports the first illegal move by number', () => {
+    assert.throws(() => ChessGame.fromPGN('1. e4 e5 2. Ke3 Nc6'), /^Error: Illegal move 2\. Ke3$/);
+    assert.throws(() => ChessGame.fromPGN('1. e4 e5 2. Nf3 Qe6'), /^Error: Illegal move 2\.\.\. Qe6$/);
+    assert.throws(
+      () => ChessGame.fromPGN('1. f3 e5 2. g4 Qh4# 3. a3'),
+      /Illegal move 3\. a3: the game is already over/
+    );
+  });
+});
+
+describe('state hash', () => {
+  test('survives the trip to the other peer', () => {
+    const game = new ChessGame();
+    move(game, 'e2', 'e4');
+    move(game, 'c7', 'c5');
+
+    const peer = new ChessGame();
+    peer.setState(JSON.parse(JSON.stringify(game.getState())));
+    assert.equal(peer.getStateHash(), game.getStateHash());
+  });
+
+  test('differs when the board or the side to move does', () => {
+    const game = new ChessGame();
+    const start = game.getStateHash();
+
+    move(game, 'g1', 'f3');
+    assert.notEqual(game.getStateHash(), start);
+
+    const other = new ChessGame();
+    move(other, 'b1', 'c3');
+    assert.notEqual(other.getStateHash(), game.getStateHash());
+  });
+
+  test('differs once the game is over', () => {
+    const game = new ChessGame();
+    const playing = game.getStateHash();
+
+    game.flagFall('white');
+    assert.notEqual(game.getStateHash(), playing);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LatencyEstimator, LossCounter, summarizeStats } from '../network-stats.js';
+
+function statsReport(stats) {
+  return new Map(stats.map(stat => [stat.id, stat]));
+}
+
+describe('LatencyEstimator', () => {
+  test('has nothing to say before the first pong', () => {
+    assert.deepEqual(new LatencyEstimator().getEstimate(), { rtt: null, clockOffset: null });
+  });
+
+  test('reports the latest round trip and the offset of the fastest', () => {
+    const latency = new LatencyEstimator();
+
+    // The peer's clock runs 500 ms ahead of ours
+    latency.addSample(1000, 1520, 1040); // Slow way back: offset looks like 500
+    latency.addSample(2000, 2505, 2010); // Fast: offset 500
+    latency.addSample(3000, 3550, 3080); // Queued on the way there: offset looks like 510
+
+    assert.deepEqual(latency.getEstimate(), { rtt: 80, clockOffset: 500 });
+  });
+
+  test('forgets old samples and ignores impossible ones', () => {
+    const latency = new LatencyEstimator(2);
+
+    latency.addSample(0, 100, 2);
+    latency.addSample(1000, 1000, 1050);
+    latency.addSample(2000, 2000, 2060);
+    latency.addSample(3000, 3000, 2990);
+
+    assert.deepEqual(latency.getEstimate(), { rtt: 60, clockOffset: -25 });
+  });
+});
+
+describe('LossCounter', () => {
+  test('measures gaps in sequence numbers', () => {
+    const loss = new LossCounter();
+    assert.equal(loss.takeRate(), null);
+
+    for (const seq of [10, 11, 13, 14, 17]) {
+      loss.record(seq);
+    }
+    assert.equal(loss.takeRate(), 1 - 5 / 8);
+
+    // Counts start over, carrying on from the newest update
+    loss.record(18);
+    loss.record(19);
+    assert.equal(loss.takeRate(), 0);
+  });
+
+  test('counts late packets as arrived, across the wrap', () => {
+    const loss = new LossCounter();
+
+    loss.record(0xfffe);
+    loss.record(1);
+    loss.record(0xffff);
+    loss.record(0);
+
+    assert.equal(loss.takeRate(), 0);
+  });
+});
+
+describe('summarizeStats', () => {
+  const candidates = [
+    { id: 'L1', type: 'local-candidate', candidateType: 'host', protocol: 'udp' },
+    { id: 'L2', type: 'local-candidate', candidateType: 'relay', protocol: 'tcp' },
+    { id: 'R1', type: 'remote-candidate', candidateType: 'srflx', protocol: 'udp' },
+    { id: 'R2', type: 'remote-candidate', candidateType: 'relay', protocol: 'udp' }
+  ];
+
+  test('follows the transport to the selected pair', () => {
+    const report = statsReport([
+      ...candidates,
+      { id: 'T', type: 'transport', selectedCandidatePairId: 'P2', bytesSent: 9999 },
+      { id: 'P1', type: 'candidate-pair', localCandidateId: 'L1', remoteCandidateId: 'R1', state: 'succeeded', nominated: true, bytesSent: 10, bytesReceived: 20 },
+      { id: 'P2', type: 'candidate-pair', localCandidateId: 'L2', remoteCandidateId: 'R2', state: 'succeeded', nominated: true, bytesSent: 1500, bytesReceived: 3000 }
+    ]);
+
+    assert.deepEqual(summarizeStats(report), {
+      localCandidateType: 'relay',
+      remoteCandidateType: 'relay',
+      protocol: 'tcp',
+      bytesSent: 1500,
+      bytesReceived: 3000
+    });
+  });
+
+  test('finds the selected pair without transport stats', () => {
+    const report = statsReport([
+      ...candidates,
+      { id: 'P1', type: 'candidate-pair', localCandidateId: 'L2', remoteCandidateId: 'R2', state: 'in-progress' },
+      { id: 'P2', type: 'candidate-pair', localCandidateId: 'L1', remoteCandidateId: 'R1', state: 'succeeded', selected: true, bytesSent: 42 }
+    ]);
+
+    assert.deepEqual(summarizeStats(report), {
+      localCandidateType: 'host',
+      remoteCandidateType: 'srflx',
+      protocol: 'udp',
+      bytesSent: 42,
+      bytesReceived: 0
+    });
+  });
+
+  test('is null until a pair is selected', () => {
+    const report = statsReport([
+      ...candidates,
+      { id: 'P1', type: 'candidate-pair', localCandidateId: 'L1', remoteCandidateId: 'R1', state: 'in-progress' }
+    ]);
+
+    assert.equal(summarizeStats(report), null);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROTOCOL_VERSION, validateMessage } from '../protocol.js';
+import { ChessGame } from '../chess.js';
+import { ChessClock } from '../chess-clock.js';
+
+// A gameState as the host sends it, after a few moves and a battle
+function gameState() {
+  const game = new ChessGame();
+  game.movePiece(6, 4, 4, 4); // e4
+  game.movePiece(1, 3, 3, 3); // d5
+  game.resolveBattle(4, 4, 3, 3, false, 'queen', { attackerHp: 0, defenderHp: 35 });
+
+  const clock = new ChessClock({ initialSeconds: 300, incrementSeconds: 3 });
+  clock.start('white', 0);
+
+  // Over the wire, as the peer receives it
+  return JSON.parse(JSON.stringify({ type: 'gameState', ...game.getState(), clock: clock.getState(1000) }));
+}
+
+const BATTLE = {
+  attackingPiece: { type: 'queen', color: 'white', promoted: true },
+  defendingPiece: { type: 'rook', color: 'black' },
+  fromRow: 1, fromCol: 0, toRow: 0, toCol: 1,
+  promotion: 'queen'
+};
+
+const BATTLE_UPDATE = {
+  type: 'battleUpdate',
+  seq: 310,
+  ack: 4,
+  sentAt: 1700000000000,
+  position: { x: -8, y: 1.6, z: 0 },
+  rotation: { x: 0, y: -1.57, z: 0 },
+  shots: [{
+    id: 12,
+    position: { x: -8, y: 1.6, z: 0 },
+    velocity: { x: 40, y: 0, z: 0 },
+    damage: 25,
+    tick: 42,
+    viewTime: 1699999999900
+  }],
+  health: { host: 100, guest: 75 },
+  color: 'white'
+};
+
+describe('validateMessage', () => {
+  test('accepts every message the game sends', () => {
+    const state = gameState();
+    const messages = [
+      { type: 'hello', version: PROTOCOL_VERSION },
+      { type: 'connected' },
+      { type: 'ping', sentAt: 1700000000000 },
+      { type: 'pong', sentAt: 1700000000000, time: 1700000000512 },
+      { type: 'moveRequest', fromRow: 6, fromCol: 4, toRow: 4, toCol: 4, promotion: 'queen' },
+      { type: 'moveRequest', fromRow: 6, fromCol: 4, toRow: 4, toCol: 4 },
+      state,
+      { type: 'startBattle', ...BATTLE },
+      BATTLE_UPDATE,
+      { type: 'battleUpdate', seq: 0, ack: 0xffff, sentAt: 1, position: { x: 0, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, shots: [] },
+      { ...state, type: 'battleEnded', attackerWon: true, fromRow: 1, fromCol: 0, toRow: 0, toCol: 1 },
+      { ...state, type: 'resume', battle: { ...BATTLE, health: { host: 60, guest: 20 } } },
+      { ...state, type: 'resume', battle: null },
+      { type: 'stateHash', ply: 3, hash: new ChessGame().getStateHash() },
+      { type: 'pieceSelected', row: 0, col: 7 },
+      { type: 'error', message: 'Not your turn' }
+    ];
+
+    for (const message of messages) {
+      assert.equal(validateMessage(message), null, message.type);
+    }
+  });
+
+  test('accepts a game without a clock and from a custom position', () => {
+    const game = ChessGame.fromFEN('4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1');
+    const message = JSON.parse(JSON.stringify({ type: 'gameState', ...game.getState(), clock: null }));
+
+    assert.equal(validateMessage(message), null);
+  });
+
+  test('rejects what is not a message', () => {
+    assert.equal(validateMessage(null), 'Message is not an object');
+    assert.equal(validateMessage('gameState'), 'Message is not an object');
+    assert.equal(validateMessage([{ type: 'connected' }]), 'Message is not an object');
+  });
+
+  test('rejects unknown message types', () => {
+    assert.equal(validateMessage({ type: 'cheat' }), 'Unknown message type: cheat');
+    assert.equal(validateMessage({}), 'Unknown message type: undefined');
+    assert.equal(validateMessage({ type: 'toString' }), 'Unknown message type: toString');
+  });
+
+  test('names the first field that is wrong', () => {
+    const state = gameState();
+
+    assert.equal(validateMessage({ ...state, board: [] }), 'Invalid board in gameState');
+    assert.equal(validateMessage({ ...state, currentTurn: 'red' }), 'Invalid currentTurn in gameState');
+    assert.equal(validateMessage({ ...state, clock: { paused: true } }), 'Invalid clock in gameState');
+    assert.equal(validateMessage({ type: 'moveRequest', fromRow: 6, fromCol: 4, toRow: 8, toCol: 4 }), 'Invalid toRow in moveRequest');
+    assert.equal(validateMessage({ type: 'hello', version: '1' }), 'Invalid version in hello');
+    assert.equal(validateMessage({ type: 'error' }), 'Invalid message in error');
+    assert.equal(validateMessage({ type: 'stateHash', ply: -1, hash: 'x' }), 'Invalid ply in stateHash');
+  });
+
+  test('checks nested values', () => {
+    const state = gameState();
+    const board = state.board.map(row => [...row]);
+    board[3][3] = { type: 'dragon', color: 'white' };
+    assert.equal(validateMessage({ ...state, board }), 'Invalid board in gameState');
+
+    const moveHistory = [...state.moveHistory, { san: 'e4', color: 'white', fromRow: 6, fromCol: 4, toRow: -1, toCol: 4, promotion: null }];
+    assert.equal(validateMessage({ ...state, moveHistory }), 'Invalid moveHistory in gameState');
+
+    const shots = [{ ...BATTLE_UPDATE.shots[0], velocity: { x: Infinity, y: 0, z: 0 } }];
+    assert.equal(validateMessage({ ...BATTLE_UPDATE, shots }), 'Invalid shots in battleUpdate');
+    assert.equal(validateMessage({ ...BATTLE_UPDATE, seq: 70000 }), 'Invalid seq in battleUpdate');
+
+    assert.equal(validateMessage({ ...BATTLE_UPDATE, position: { x: 0, y: 0 } }), 'Invalid position in battleUpdate');
+    assert.equal(validateMessage({ type: 'startBattle', ...BATTLE, promotion: 'king' }), 'Invalid promotion in startBattle');
+    assert.equal(validateMessage({ ...state, type: 'resume', battle: BATTLE }), 'Invalid battle in resume');
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeSignal, decodeSignal } from '../signal-codec.js';
+
+// A data-channel-only offer as Chrome produces it once ICE gathering is done
+const OFFER = {
+  type: 'offer',
+  sdp: [
+    'v=0',
+    'o=- 4611731400430051336 2 IN IP4 127.0.0.1',
+    's=-',
+    't=0 0',
+    'a=group:BUNDLE 0',
+    'a=extmap-allow-mixed',
+    'a=msid-semantic: WMS',
+    'm=application 54321 UDP/DTLS/SCTP webrtc-datachannel',
+    'c=IN IP4 192.168.1.10',
+    'a=candidate:1 1 udp 2122260223 192.168.1.10 54321 typ host generation 0 network-id 1',
+    'a=candidate:2 1 tcp 1518280447 192.168.1.10 9 typ host tcptype active generation 0 network-id 1',
+    'a=candidate:3 1 udp 1686052607 203.0.113.7 54321 typ srflx raddr 192.168.1.10 rport 54321 generation 0',
+    'a=ice-ufrag:Zk3q',
+    'a=ice-pwd:3Fh2pQz8b1n0K5mLw7xYv9cD',
+    'a=ice-options:trickle',
+    'a=fingerprint:sha-256 8C:1F:57:1B:5E:2A:33:90:AF:17:6D:9A:4C:2E:91:0B:7D:55:E3:21:C8:46:0A:BF:93:72:1E:64:D5:08:F9:3C',
+    'a=setup:actpass',
+    'a=mid:0',
+    'a=sctp-port:5000',
+    'a=max-message-size:262144',
+    ''
+  ].join('\r\n')
+};
+
+describe('signal codec', () => {
+  test('round-trips a session description', async () => {
+    const code = await encodeSignal(OFFER);
+    assert.deepEqual(await decodeSignal(code), OFFER);
+  });
+
+  test('produces a compact, copy-safe code', async () => {
+    const code = await encodeSignal(OFFER);
+    assert.match(code, /^FPSC1:[A-Za-z0-9_-]+$/);
+    assert.ok(code.length < OFFER.sdp.length, `${code.length} >= ${OFFER.sdp.length}`);
+  });
+
+  test('ignores whitespace added by chat apps and line wrapping', async () => {
+    const code = await encodeSignal({ ...OFFER, type: 'answer' });
+    const wrapped = `  ${code.match(/.{1,40}/g).join('\n')}\n`;
+    assert.equal((await decodeSignal(wrapped)).type, 'answer');
+  });
+
+  test('drops extra fields of RTCSessionDescription', async () => {
+    const code = await encodeSignal({ ...OFFER, toJSON() {}, extra: 1 });
+    assert.deepEqual(Object.keys(await decodeSignal(code)).sort(), ['sdp', 'type']);
+  });
+
+  test('rejects text that is not a connection code', async () => {
+    await assert.rejects(decodeSignal('hello'), /Not an FPS Chess connection code/);
+    await assert.rejects(decodeSignal(''), /Not an FPS Chess connection code/);
+  });
+
+  test('rejects truncated or corrupted codes', async () => {
+    const code = await encodeSignal(OFFER);
+    await assert.rejects(decodeSignal(code.slice(0, code.length / 2)), /damaged or incomplete/);
+    await assert.rejects(decodeSignal('FPSC1:!!!!'), /damaged or incomplete/);
+
+    const notADescription = await encodeSignal({ type: 'rollback', sdp: '' });
+    await assert.rejects(decodeSignal(notADescription), /damaged or incomplete/);
+  });
+});
@@ -0,0 +1,500 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocket } from 'ws';
+import { SignalingServer } from '../signaling-server.js';
+
+const OFFER = { type: 'offer', sdp: 'v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\n' };
+const ANSWER = { type: 'answer', sdp: 'v=0\r\no=- 3 4 IN IP4 127.0.0.1\r\n' };
+
+function candidate(address, type = 'host') {
+  return {
+    candidate: `candidate:1 1 udp 2122260223 ${address} 54321 typ ${type} generation 0`,
+    sdpMid: '0',
+    sdpMLineIndex: 0
+  };
+}
+
+describe('SignalingServer', () => {
+  let signaling;
+  let baseUrl;
+
+  // Port 0 lets the OS pick a free port so suites can run side by side
+  beforeEach(async (t) => {
+    t.mock.method(console, 'log', () => {});
+    signaling = new SignalingServer();
+    await signaling.start(0);
+    baseUrl = `http://127.0.0.1:${signaling.server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await signaling.shutdown();
+  });
+
+  async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.text() };
+  }
+
+  async function post(path, data) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: typeof data === 'string' ? data : JSON.stringify(data)
+    });
+    return { status: response.status, body: await response.text() };
+  }
+
+  async function createRoom() {
+    const { status, body } = await post('/rooms', {});
+    assert.equal(status, 200);
+    return `/rooms/${JSON.parse(body).code}`;
+  }
+
+  // Opens a signaling socket; next() resolves with the next message pushed
+  function connect(room, role) {
+    const code = room.slice('/rooms/'.length);
+    const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws?room=${code}&role=${role}`);
+    const received = [];
+    const waiting = [];
+
+    socket.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      const resolve = waiting.shift();
+      if (resolve) resolve(message);
+      else received.push(message);
+    });
+
+    return new Promise((resolve, reject) => {
+      socket.on('open', () => resolve({
+        socket,
+        send: (message) => socket.send(JSON.stringify(message)),
+        next: () => received.length > 0
+          ? Promise.resolve(received.shift())
+          : new Promise(res => waiting.push(res)),
+        pending: () => received.length
+      }));
+      socket.on('error', reject);
+    });
+  }
+
+  test('reports ready on /status', async () => {
+    const { status, body } = await get('/status');
+    assert.equal(status, 200);
+    assert.deepEqual(JSON.parse(body), { status: 'ready', rooms: 0 });
+  });
+
+  test('lists local IPv4 addresses on /local-ips', async () => {
+    const { status, body } = await get('/local-ips');
+    assert.equal(status, 200);
+
+    const { ips } = JSON.parse(body);
+    assert.ok(Array.isArray(ips));
+    for (const ip of ips) {
+      assert.match(ip.address, /^\d+\.\d+\.\d+\.\d+$/);
+    }
+  });
+
+  test('answers CORS preflight requests', async () => {
+    const response = await fetch(`${baseUrl}/offer`, { method: 'OPTIONS' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('access-control-allow-origin'), '*');
+  });
+
+  test('hands out short, distinct join codes', async () => {
+    const codes = new Set();
+    for (let i = 0; i < 20; i++) {
+      const { body } = await post('/rooms', {});
+      const { code, ttlMs } = JSON.parse(body);
+      assert.match(code, /^[A-Z2-9]{5}$/);
+      assert.ok(ttlMs > 0);
+      codes.add(code);
+    }
+    assert.equal(codes.size, 20);
+    assert.equal(JSON.parse((await get('/status')).body).rooms, 20);
+  });
+
+  test('returns 404 for unknown room codes', async () => {
+    for (const path of ['/rooms/ZZZZZ', '/rooms/ZZZZZ/offer', '/rooms/ZZZZZ/answer', '/rooms/ZZZZZ/ice']) {
+      const { status, body } = await get(path);
+      assert.equal(status, 404, path);
+      assert.deepEqual(JSON.parse(body), { error: 'Room not found' });
+    }
+    assert.equal((await post('/rooms/ZZZZZ/offer', { offer: OFFER })).status, 404);
+  });
+
+  test('accepts join codes in any case', async () => {
+    const room = await createRoom();
+    const { status, body } = await get(room.toLowerCase());
+    assert.equal(status, 200);
+    assert.deepEqual(JSON.parse(body), { code: room.slice('/rooms/'.length), hasOffer: false, hasAnswer: false, hasGuest: false, spectators: 0 });
+  });
+
+  test('returns 503 until the offer and answer are posted', async () => {
+    const room = await createRoom();
+    const offer = await get(`${room}/offer`);
+    assert.equal(offer.status, 503);
+    assert.deepEqual(JSON.parse(offer.body), { error: 'Offer not ready yet' });
+
+    const answer = await get(`${room}/answer`);
+    assert.equal(answer.status, 503);
+    assert.deepEqual(JSON.parse(answer.body), { error: 'Answer not ready yet' });
+  });
+
+  test('returns 404 for unknown paths and methods', async () => {
+    const room = await createRoom();
+    assert.equal((await get('/nope')).status, 404);
+    assert.equal((await get('/offer')).status, 404);
+    assert.equal((await post('/status', {})).status, 404);
+    assert.equal((await get(`${room}/nope`)).status, 404);
+    assert.equal((await get('/rooms')).status, 404);
+  });
+
+  test('rejects malformed JSON with 400', async () => {
+    const room = await createRoom();
+    for (const resource of ['offer', 'answer', 'ice']) {
+      for (const payload of ['{"offer":', 'null']) {
+        const { status, body } = await post(`${room}/${resource}`, payload);
+        assert.equal(status, 400, `${resource} ${payload}`);
+        assert.deepEqual(JSON.parse(body), { error: 'Invalid JSON' });
+      }
+    }
+
+    // The server is still up
+    assert.equal((await get('/status')).status, 200);
+  });
+
+  test('relays a full host/guest exchange', async () => {
+    const room = await createRoom();
+    assert.equal((await post(`${room}/offer`, { offer: OFFER })).status, 200);
+    assert.deepEqual(JSON.parse((await get(`${room}/offer`)).body), { offer: OFFER, generation: 0 });
+
+    await post(`${room}/ice`, { candidate: candidate('192.168.1.10'), isHost: true });
+    await post(`${room}/ice`, { candidate: candidate('192.168.1.20'), isHost: false });
+
+    assert.equal((await post(`${room}/answer`, { answer: ANSWER })).status, 200);
+    assert.deepEqual(JSON.parse((await get(`${room}/answer`)).body), { answer: ANSWER });
+
+    // Each side receives the other side's candidates
+    const forGuest = JSON.parse((await get(`${room}/ice`)).body);
+    assert.deepEqual(forGuest.candidates, [candidate('192.168.1.10')]);
+
+    const forHost = JSON.parse((await get(`${room}/ice?host=true`)).body);
+    assert.deepEqual(forHost.candidates, [candidate('192.168.1.20')]);
+  });
+
+  test('keeps rooms apart', async () => {
+    const first = await createRoom();
+    const second = await createRoom();
+
+    await post(`${first}/offer`, { offer: OFFER });
+    await post(`${first}/ice`, { candidate: candidate('192.168.1.10'), isHost: true });
+
+    assert.equal((await get(`${second}/offer`)).status, 503);
+    assert.deepEqual(JSON.parse((await get(`${second}/ice`)).body).candidates, []);
+    assert.equal(JSON.parse((await get(`${first}/ice`)).body).candidates.length, 1);
+  });
+
+  test('closes a room on DELETE', async () => {
+    const room = await createRoom();
+    const response = await fetch(`${baseUrl}${room}`, { method: 'DELETE' });
+    assert.equal(response.status, 200);
+    assert.equal((await get(`${room}/offer`)).status, 404);
+  });
+
+  test('forgets rooms once they have been idle for the TTL', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const room = await createRoom();
+
+    // Any request keeps the room alive
+    t.mock.timers.tick(signaling.roomTtlMs - 1000);
+    assert.equal((await get(room)).status, 200);
+    t.mock.timers.tick(signaling.roomTtlMs - 1000);
+    assert.equal((await get(room)).status, 200);
+
+    t.mock.timers.tick(signaling.roomTtlMs);
+    assert.equal((await get(room)).status, 404);
+    assert.equal(signaling.rooms.size, 0);
+  });
+
+  test('drains the ICE queue on every read', async () => {
+    const room = await createRoom();
+    await post(`${room}/ice`, { candidate: candidate('192.168.1.10'), isHost: true });
+    await post(`${room}/ice`, { candidate: candidate('192.168.1.11'), isHost: true });
+
+    const first = JSON.parse((await get(`${room}/ice`)).body);
+    assert.equal(first.candidates.length, 2);
+
+    const second = JSON.parse((await get(`${room}/ice`)).body);
+    assert.deepEqual(second.candidates, []);
+  });
+
+  test('a new offer resets the previous session', async () => {
+    const room = await createRoom();
+    await post(`${room}/offer`, { offer: OFFER });
+    await post(`${room}/answer`, { answer: ANSWER });
+    await post(`${room}/ice`, { candidate: candidate('192.168.1.10'), isHost: true });
+
+    await post(`${room}/offer`, { offer: { ...OFFER, sdp: 'v=0\r\n' } });
+
+    assert.equal((await get(`${room}/answer`)).status, 503);
+    assert.deepEqual(JSON.parse((await get(`${room}/ice`)).body).candidates, []);
+  });
+
+  test('relays the offer generation of a reconnecting host', async () => {
+    const room = await createRoom();
+    const guest = await connect(room, 'guest');
+    const host = await connect(room, 'host');
+
+    host.send({ type: 'offer', offer: OFFER, generation: 2 });
+    assert.deepEqual(await guest.next(), { type: 'offer', offer: OFFER, generation: 2 });
+    assert.deepEqual(JSON.parse((await get(`${room}/offer`)).body), { offer: OFFER, generation: 2 });
+
+    // Anything but an integer counts as the first connection
+    await post(`${room}/offer`, { offer: OFFER, generation: 'x' });
+    assert.deepEqual(await guest.next(), { type: 'offer', offer: OFFER, generation: 0 });
+
+    host.socket.close();
+    guest.socket.close();
+  });
+
+  test('rewrites mDNS candidates from this machine to the primary LAN address', async () => {
+    const room = await createRoom();
+    signaling.primaryHostIp = '192.168.1.10';
+    await post(`${room}/ice`, { candidate: candidate('3f2a9c1e-1234.local'), isHost: false });
+
+    const { candidates } = JSON.parse((await get(`${room}/ice?host=true`)).body);
+    assert.deepEqual(candidates, [candidate('192.168.1.10')]);
+  });
+
+  test('rewrites host mDNS candidates to the primary LAN address', async () => {
+    const room = await createRoom();
+    signaling.primaryHostIp = '192.168.1.10';
+    await post(`${room}/ice`, { candidate: candidate('3f2a9c1e-1234.local'), isHost: true });
+
+    const { candidates } = JSON.parse((await get(`${room}/ice`)).body);
+    assert.deepEqual(candidates, [candidate('192.168.1.10')]);
+  });
+
+  test('leaves plain IP candidates alone', async () => {
+    const room = await createRoom();
+    signaling.primaryHostIp = '192.168.1.10';
+    await post(`${room}/ice`, { candidate: candidate('10.0.0.5', 'srflx'), isHost: true });
+
+    const { candidates } = JSON.parse((await get(`${room}/ice`)).body);
+    assert.deepEqual(candidates, [candidate('10.0.0.5', 'srflx')]);
+  });
+
+  test('pushes the whole exchange over WebSockets', async () => {
+    const room = await createRoom();
+    const host = await connect(room, 'host');
+    host.send({ type: 'offer', offer: OFFER });
+    host.send({ type: 'ice', candidate: candidate('192.168.1.10') });
+
+    // A guest that connects late catches up on the offer and queued candidates
+    const guest = await connect(room, 'guest');
+    assert.deepEqual(await guest.next(), { type: 'offer', offer: OFFER, generation: 0 });
+    assert.deepEqual(await guest.next(), { type: 'ice', candidate: candidate('192.168.1.10') });
+
+    guest.send({ type: 'answer', answer: ANSWER });
+    guest.send({ type: 'ice', candidate: candidate('192.168.1.20') });
+    assert.deepEqual(await host.next(), { type: 'answer', answer: ANSWER });
+    assert.deepEqual(await host.next(), { type: 'ice', candidate: candidate('192.168.1.20') });
+
+    // Pushed candidates are not queued a second time for polling
+    host.send({ type: 'ice', candidate: candidate('192.168.1.11') });
+    assert.deepEqual(await guest.next(), { type: 'ice', candidate: candidate('192.168.1.11') });
+    assert.deepEqual(JSON.parse((await get(`${room}/ice`)).body).candidates, []);
+
+    host.socket.close();
+    guest.socket.close();
+  });
+
+  test('mixes WebSocket and polling peers in one room', async () => {
+    const room = await createRoom();
+    const guest = await connect(room, 'guest');
+
+    await post(`${room}/offer`, { offer: OFFER });
+    assert.deepEqual(await guest.next(), { type: 'offer', offer: OFFER, generation: 0 });
+
+    await post(`${room}/ice`, { candidate: candidate('192.168.1.10'), isHost: true });
+    assert.deepEqual(await guest.next(), { type: 'ice', candidate: candidate('192.168.1.10') });
+
+    guest.send({ type: 'answer', answer: ANSWER });
+    guest.send({ type: 'ice', candidate: candidate('192.168.1.20') });
+    guest.send({ type: 'bogus' });
+    assert.deepEqual(await guest.next(), { type: 'error', error: 'Unexpected message type: bogus' });
+
+    assert.deepEqual(JSON.parse((await get(`${room}/answer`)).body), { answer: ANSWER });
+    assert.deepEqual(JSON.parse((await get(`${room}/ice?host=true`)).body).candidates, [candidate('192.168.1.20')]);
+
+    guest.socket.close();
+  });
+
+  test('only lets the host send offers and the guest answers', async () => {
+    const room = await createRoom();
+    const host = await connect(room, 'host');
+    const guest = await connect(room, 'guest');
+
+    guest.send({ type: 'offer', offer: OFFER });
+    assert.deepEqual(await guest.next(), { type: 'error', error: 'Unexpected message type: offer' });
+    host.send({ type: 'answer', answer: ANSWER });
+    assert.deepEqual(await host.next(), { type: 'error', error: 'Unexpected message type: answer' });
+    host.send('not json');
+    assert.deepEqual(await host.next(), { type: 'error', error: 'Invalid JSON' });
+
+    assert.equal((await get(`${room}/offer`)).status, 503);
+    host.socket.close();
+    guest.socket.close();
+  });
+
+  test('turns away a second guest while the first is connected', async () => {
+    const room = await createRoom();
+    const host = await connect(room, 'host');
+    const guest = await connect(room, 'guest');
+    assert.equal(JSON.parse((await get(room)).body).hasGuest, true);
+
+    await assert.rejects(connect(room, 'guest'), /409/);
+    const answer = await post(`${room}/answer`, { answer: ANSWER });
+    assert.equal(answer.status, 409);
+    assert.deepEqual(JSON.parse(answer.body), { error: 'Game already has a guest' });
+    assert.equal((await get(`${room}/answer`)).status, 503);
+
+    // The first guest is still the one the host hears from
+    guest.send({ type: 'answer', answer: ANSWER });
+    assert.deepEqual(await host.next(), { type: 'answer', answer: ANSWER });
+
+    // Once it has gone, a guest may connect again
+    guest.socket.close();
+    while (JSON.parse((await get(room)).body).hasGuest) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    const again = await connect(room, 'guest');
+
+    host.socket.close();
+    again.socket.close();
+  });
+
+  test('refuses sockets for unknown rooms or roles', async () => {
+    const room = await createRoom();
+    await assert.rejects(connect('/rooms/ZZZZZ', 'host'), /404/);
+    await assert.rejects(connect(room, 'referee'), /404/);
+  });
+
+  test('routes each spectator\'s exchange through the host', async () => {
+    const room = await createRoom();
+    const host = await connect(room, 'host');
+    const guest = await connect(room, 'guest');
+    const spectator = await connect(room, 'spectator');
+    assert.deepEqual(await host.next(), { type: 'spectator-joined', spectatorId: 1 });
+
+    host.send({ type: 'offer', offer: OFFER, spectatorId: 1 });
+    host.send({ type: 'ice', candidate: candidate('192.168.1.10'), spectatorId: 1 });
+    assert.deepEqual(await spectator.next(), { type: 'offer', offer: OFFER });
+    assert.deepEqual(await spectator.next(), { type: 'ice', candidate: candidate('192.168.1.10') });
+
+    spectator.send({ type: 'answer', answer: ANSWER });
+    spectator.send({ type: 'ice', candidate: candidate('192.168.1.30') });
+    assert.deepEqual(await host.next(), { type: 'answer', answer: ANSWER, spectatorId: 1 });
+    assert.deepEqual(await host.next(), { type: 'ice', candidate: candidate('192.168.1.30'), spectatorId: 1 });
+
+    // The game's own offer and answer are left alone
+    assert.equal(guest.pending(), 0);
+    assert.equal((await get(`${room}/offer`)).status, 503);
+    assert.equal((await get(`${room}/answer`)).status, 503);
+
+    spectator.send({ type: 'offer', offer: OFFER });
+    assert.deepEqual(await spectator.next(), { type: 'error', error: 'Unexpected message type: offer' });
+    host.send({ type: 'offer', offer: OFFER, spectatorId: 7 });
+    assert.deepEqual(await host.next(), { type: 'error', error: 'No spectator 7' });
+
+    spectator.socket.close();
+    assert.deepEqual(await host.next(), { type: 'spectator-left', spectatorId: 1 });
+
+    host.socket.close();
+    guest.socket.close();
+  });
+
+  test('tells a host that connects late about waiting spectators', async () => {
+    const room = await createRoom();
+    const first = await connect(room, 'spectator');
+    const second = await connect(room, 'spectator');
+
+    const host = await connect(room, 'host');
+    assert.deepEqual(await host.next(), { type: 'spectator-joined', spectatorId: 1 });
+    assert.deepEqual(await host.next(), { type: 'spectator-joined', spectatorId: 2 });
+    assert.equal(JSON.parse((await get(room)).body).spectators, 2);
+
+    for (const socket of [first, second, host]) socket.socket.close();
+  });
+
+  test('limits the number of spectators per room', async () => {
+    const room = await createRoom();
+    const spectators = [];
+    for (let i = 0; i < 8; i++) {
+      spectators.push(await connect(room, 'spectator'));
+    }
+    await assert.rejects(connect(room, 'spectator'), /503/);
+
+    for (const spectator of spectators) spectator.socket.close();
+  });
+
+  test('closes the sockets when the room is closed', async () => {
+    const room = await createRoom();
+    const host = await connect(room, 'host');
+    const closed = new Promise(resolve => host.socket.on('close', resolve));
+
+    await fetch(`${baseUrl}${room}`, { method: 'DELETE' });
+    assert.equal(await closed, 1000);
+  });
+
+  test('keeps a room with a waiting socket alive past the TTL', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const room = await createRoom();
+    const host = await connect(room, 'host');
+
+    t.mock.timers.tick(signaling.roomTtlMs * 2);
+    signaling.removeExpiredRooms();
+    assert.equal((await get(room)).status, 200);
+
+    host.socket.close();
+    const code = room.slice('/rooms/'.length);
+    while (signaling.rooms.get(code).sockets.host) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    t.mock.timers.tick(signaling.roomTtlMs * 2);
+    signaling.removeExpiredRooms();
+    assert.equal((await get(room)).status, 404);
+  });
+});
+
+describe('sanitizeCandidate', () => {
+  const signaling = new SignalingServer();
+
+  test('replaces the address field of .local candidates', () => {
+    const result = signaling.sanitizeCandidate(candidate('abc.local'), '192.168.0.2');
+    assert.equal(result.candidate, candidate('192.168.0.2').candidate);
+    assert.equal(result.sdpMid, '0');
+  });
+
+  test('keeps candidates it cannot rewrite', () => {
+    const short = { candidate: 'candidate:1 1 udp abc.local' };
+    assert.equal(signaling.sanitizeCandidate(short, '192.168.0.2'), short);
+
+    const local = candidate('abc.local');
+    assert.equal(signaling.sanitizeCandidate(local, null), local);
+    assert.equal(signaling.sanitizeCandidate(null, '192.168.0.2'), null);
+  });
+
+  test('strips the IPv6-mapped prefix from client addresses', () => {
+    assert.equal(signaling.cleanIp('::ffff:192.168.0.2'), '192.168.0.2');
+    assert.equal(signaling.cleanIp('192.168.0.2'), '192.168.0.2');
+    assert.equal(signaling.cleanIp(undefined), null);
+  });
+
+  test('treats loopback clients as the server machine', () => {
+    assert.ok(signaling.isLoopback('127.0.0.1'));
+    assert.ok(signaling.isLoopback('::1'));
+    assert.ok(!signaling.isLoopback('192.168.0.2'));
+  });
+});
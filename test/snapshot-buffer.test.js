@@ -0,0 +1,86 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnapshotBuffer, INTERPOLATION_DELAY_MS, MAX_EXTRAPOLATION_MS } from '../snapshot-buffer.js';
+
+function at(x) {
+  return { x, y: 1.6, z: 0 };
+}
+
+describe('SnapshotBuffer', () => {
+  test('has nothing to show before the first update', () => {
+    assert.equal(new SnapshotBuffer().sample(1000), null);
+  });
+
+  test('interpolates between the updates around a time', () => {
+    const buffer = new SnapshotBuffer();
+    buffer.push(1000, at(0), { x: 0, y: 0, z: 0 });
+    buffer.push(1100, at(10), { x: 0, y: 1, z: 0 });
+
+    const state = buffer.sample(1025);
+    assert.equal(state.position.x, 2.5);
+    assert.equal(state.rotation.y, 0.25);
+    assert.equal(buffer.sample(900).position.x, 0);
+  });
+
+  test('turns the short way round', () => {
+    const buffer = new SnapshotBuffer();
+    buffer.push(1000, at(0), { x: 0, y: Math.PI - 0.1, z: 0 });
+    buffer.push(1100, at(0), { x: 0, y: -Math.PI + 0.1, z: 0 });
+
+    assert.ok(Math.abs(buffer.sample(1050).rotation.y - Math.PI) < 1e-9);
+  });
+
+  test('extrapolates for a limited time when updates stop', () => {
+    const buffer = new SnapshotBuffer();
+    buffer.push(1000, at(0));
+    buffer.push(1100, at(10));
+
+    assert.equal(buffer.sample(1150).position.x, 15);
+    assert.equal(buffer.sample(1100 + MAX_EXTRAPOLATION_MS).position.x, 10 + MAX_EXTRAPOLATION_MS / 10);
+    assert.equal(buffer.sample(5000).position.x, 10 + MAX_EXTRAPOLATION_MS / 10);
+  });
+
+  test('drops late updates', () => {
+    const buffer = new SnapshotBuffer();
+    buffer.push(1000, at(0));
+    buffer.push(1100, at(10));
+    buffer.push(1050, at(99));
+
+    assert.equal(buffer.sample(1050).position.x, 5);
+  });
+
+  test('estimates the sender\'s clock from the fastest delivery', () => {
+    const buffer = new SnapshotBuffer();
+
+    // The sender's clock is 5000 ms behind ours
+    buffer.push(1000, at(0), undefined, 6040);
+    buffer.push(1100, at(0), undefined, 6110);
+    buffer.push(1200, at(0), undefined, 6280);
+
+    assert.equal(buffer.clockOffset, 5010);
+    assert.equal(buffer.getRenderTime(7000), 7000 - 5010 - INTERPOLATION_DELAY_MS);
+    assert.equal(buffer.getRenderTime(7000, 0), 1990);
+  });
+
+  test('rewinds within the history it keeps', () => {
+    const buffer = new SnapshotBuffer({ maxAgeMs: 300 });
+    for (let time = 0; time <= 1000; time += 100) {
+      buffer.push(time, at(time / 100));
+    }
+
+    assert.equal(buffer.sample(850).position.x, 8.5);
+    assert.equal(buffer.sample(750).position.x, 7.5);
+
+    // Older than maxAgeMs: the oldest kept update
+    assert.equal(buffer.sample(200).position.x, 7);
+  });
+
+  test('starts over when cleared', () => {
+    const buffer = new SnapshotBuffer();
+    buffer.push(1000, at(3), undefined, 1500);
+    buffer.clear();
+
+    assert.equal(buffer.sample(1000), null);
+    assert.equal(buffer.clockOffset, null);
+  });
+});
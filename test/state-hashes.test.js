@@ -0,0 +1,37 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StateHashLog } from '../state-hashes.js';
+
+describe('StateHashLog', () => {
+  test('compares the peer hash with ours for the same ply', () => {
+    const log = new StateHashLog();
+    log.record(0, 'start');
+    log.record(1, 'e4');
+
+    assert.equal(log.compare(1, 'e4'), 'match');
+    assert.equal(log.compare(1, 'd4'), 'mismatch');
+    assert.equal(log.compare(0, 'start'), 'match');
+  });
+
+  test('keeps only the latest state of a ply', () => {
+    const log = new StateHashLog();
+    log.record(5, 'playing');
+    log.record(5, 'flag fell');
+
+    assert.equal(log.compare(5, 'flag fell'), 'match');
+    assert.equal(log.compare(5, 'playing'), 'mismatch');
+  });
+
+  test('tells a peer that is ahead from one that is behind', () => {
+    const log = new StateHashLog(2);
+    assert.equal(log.compare(0, 'start'), 'ahead');
+
+    for (let ply = 0; ply <= 10; ply++) {
+      log.record(ply, `ply ${ply}`);
+    }
+
+    assert.equal(log.compare(11, 'ply 11'), 'ahead');
+    assert.equal(log.compare(8, 'ply 8'), 'match');
+    assert.equal(log.compare(7, 'ply 7'), 'unknown');
+  });
+});
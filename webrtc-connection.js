@@ -1,3 +1,16 @@
+import { PROTOCOL_VERSION, validateMessage } from './protocol.js';
+import { BATTLE_CODEC, encodeBattleUpdate, decodeBattleUpdate } from './battle-codec.js';
+import { ShotDelivery, isNewerSequence } from './battle-delivery.js';
+import { LatencyEstimator, LossCounter, summarizeStats } from './network-stats.js';
+
+// How long a peer has to announce its protocol version once the game
+// channel is open. Builds from before the handshake never do.
+const HANDSHAKE_TIMEOUT_MS = 5000;
+
+// Diagnostics, once the handshake is done
+const PING_INTERVAL_MS = 2000;
+const STATS_INTERVAL_MS = 1000;
+
 export class WebRTCConnection {
   constructor(isHost) {
     this.isHost = isHost;
@@ -8,6 +21,19 @@ export class WebRTCConnection {
     this.pendingIceCandidates = []; // Queue for candidates received before remote description
     this.messageCallback = null;
     this.connectionStateCallback = null;
+    this.iceCandidateCallback = null;
+    this.protocolMismatchCallback = null;
+    this.peerVersion = null; // From the peer's hello
+    this.binaryBattleUpdates = false; // The peer reads BATTLE_CODEC
+    this.nextBattleUpdateSeq = 0;
+    this.lastBattleUpdateSeq = null; // Newest delivered from the peer
+    this.shots = new ShotDelivery();
+    this.latency = new LatencyEstimator();
+    this.loss = new LossCounter();
+    this.stats = null; // Latest getStats() summary, plus send rate and packet loss
+    this.pingInterval = null;
+    this.statsInterval = null;
+    this.handshakeTimer = null;
     this.remoteDescriptionSet = false;
     this.remoteUfrag = null;
     this.configDebugLogged = false;
@@ -71,6 +97,9 @@ export class WebRTCConnection {
       if (event.candidate) {
         this.iceCandidates.push(event.candidate);
         console.log('ICE candidate generated:', this.describeCandidate(event.candidate), event.candidate.candidate || '');
+        if (this.iceCandidateCallback) {
+          this.iceCandidateCallback(event.candidate);
+        }
       }
     };
 
@@ -137,8 +166,13 @@ export class WebRTCConnection {
   }
 
   setupChannelHandlers(channel) {
+    channel.binaryType = 'arraybuffer';
+
     channel.onopen = () => {
       console.log(`Data channel opened: ${channel.label}`);
+      if (channel === this.reliableChannel) {
+        this.startHandshake();
+      }
     };
 
     channel.onclose = () => {
@@ -150,26 +184,177 @@ export class WebRTCConnection {
     };
 
     channel.onmessage = (event) => {
+      let message;
       try {
-        const message = JSON.parse(event.data);
-        if (this.messageCallback) {
-          this.messageCallback(message);
-        }
+        message = typeof event.data === 'string' ? JSON.parse(event.data) : decodeBattleUpdate(event.data);
       } catch (error) {
-        console.error('Error parsing message:', error);
+        console.warn(`Rejected unreadable message on ${channel.label}:`, error.message);
+        return;
       }
+      this.receiveMessage(channel, message);
     };
   }
 
-  async createOffer() {
+  // Both sides announce their protocol version as soon as the game channel
+  // opens; the channel is ordered, so the hello precedes everything else
+  startHandshake() {
+    this.sendMessage('game-state', { type: 'hello', version: PROTOCOL_VERSION, codecs: [BATTLE_CODEC] });
+
+    clearTimeout(this.handshakeTimer);
+    this.handshakeTimer = setTimeout(() => {
+      this.handshakeTimer = null;
+      if (this.peerVersion === null) {
+        console.error(`Peer did not announce a protocol version within ${HANDSHAKE_TIMEOUT_MS}ms`);
+        this.reportProtocolMismatch(null);
+      }
+    }, HANDSHAKE_TIMEOUT_MS);
+  }
+
+  // Delivers only messages that fit the protocol, and none until the peer's
+  // hello has shown it speaks our version
+  receiveMessage(channel, message) {
+    const error = validateMessage(message);
+    if (error) {
+      console.warn(`Rejected message on ${channel.label}: ${error}`, message);
+      return;
+    }
+
+    if (message.type === 'hello') {
+      this.handleHello(message);
+      return;
+    }
+
+    if (this.peerVersion !== PROTOCOL_VERSION) {
+      console.warn(`Rejected ${message.type} on ${channel.label}: no protocol handshake yet`);
+      return;
+    }
+
+    if (message.type === 'ping') {
+      this.sendMessage('game-state', { type: 'pong', sentAt: message.sentAt, time: Date.now() });
+      return;
+    }
+
+    if (message.type === 'pong') {
+      this.latency.addSample(message.sentAt, message.time, Date.now());
+      return;
+    }
+
+    if (message.type === 'battleUpdate') {
+      message = this.receiveBattleUpdate(message);
+      if (!message) return;
+    }
+
+    if (this.messageCallback) {
+      this.messageCallback(message);
+    }
+  }
+
+  // Drops updates older than one already delivered (the channel is
+  // unordered) and passes on only the shots not seen before
+  receiveBattleUpdate(update) {
+    this.loss.record(update.seq);
+    if (this.lastBattleUpdateSeq !== null && !isNewerSequence(update.seq, this.lastBattleUpdateSeq)) {
+      return null;
+    }
+    this.lastBattleUpdateSeq = update.seq;
+
+    return { ...update, shots: this.shots.incoming(update.shots, update.ack) };
+  }
+
+  // Stamps an outgoing update with its sequence number, our ack and every
+  // shot the peer still has to confirm
+  sequenceBattleUpdate(update) {
+    const seq = this.nextBattleUpdateSeq;
+    this.nextBattleUpdateSeq = (seq + 1) & 0xffff;
+
+    return { ...update, seq, ack: this.shots.ack, shots: this.shots.outgoing(update.shots) };
+  }
+
+  handleHello({ version, codecs = [] }) {
+    clearTimeout(this.handshakeTimer);
+    this.handshakeTimer = null;
+    this.peerVersion = version;
+    this.binaryBattleUpdates = codecs.includes(BATTLE_CODEC);
+
+    if (version === PROTOCOL_VERSION) {
+      console.log(`Protocol handshake complete (v${version}, ${this.binaryBattleUpdates ? 'binary' : 'JSON'} battle updates)`);
+      this.startDiagnostics();
+    } else {
+      console.error(`Peer speaks protocol v${version}, this build speaks v${PROTOCOL_VERSION}`);
+      this.reportProtocolMismatch(version);
+    }
+  }
+
+  startDiagnostics() {
+    this.stopDiagnostics();
+
+    const ping = () => this.sendMessage('game-state', { type: 'ping', sentAt: Date.now() });
+    ping();
+    this.pingInterval = setInterval(ping, PING_INTERVAL_MS);
+    this.statsInterval = setInterval(() => this.pollStats(), STATS_INTERVAL_MS);
+  }
+
+  stopDiagnostics() {
+    clearInterval(this.pingInterval);
+    clearInterval(this.statsInterval);
+    this.pingInterval = null;
+    this.statsInterval = null;
+  }
+
+  async pollStats() {
+    if (!this.peerConnection || this.peerConnection.connectionState === 'closed') return;
+
+    try {
+      const summary = summarizeStats(await this.peerConnection.getStats());
+      const now = Date.now();
+      const previous = this.stats;
+      const sendRate = summary && previous?.bytesSent !== undefined
+        ? Math.max(0, summary.bytesSent - previous.bytesSent) * 1000 / (now - previous.polledAt)
+        : null;
+
+      this.stats = { ...summary, sendRate, packetLoss: this.loss.takeRate(), polledAt: now };
+    } catch (error) {
+      console.warn('Could not read connection stats:', error);
+    }
+  }
+
+  // Everything the diagnostics overlay shows; figures not measured yet are
+  // null. rtt and clockOffset (the peer's clock minus ours) are in ms,
+  // sendRate in bytes per second, packetLoss from 0 to 1.
+  getDiagnostics() {
+    const { rtt, clockOffset } = this.latency.getEstimate();
+    const stats = this.stats || {};
+
+    return {
+      rtt,
+      clockOffset,
+      packetLoss: stats.packetLoss ?? null,
+      localCandidateType: stats.localCandidateType ?? null,
+      remoteCandidateType: stats.remoteCandidateType ?? null,
+      protocol: stats.protocol ?? null,
+      bytesSent: stats.bytesSent ?? null,
+      bytesReceived: stats.bytesReceived ?? null,
+      sendRate: stats.sendRate ?? null
+    };
+  }
+
+  reportProtocolMismatch(version) {
+    if (this.protocolMismatchCallback) {
+      this.protocolMismatchCallback(version);
+    }
+  }
+
+  // With iceRestart the existing connection gathers fresh candidates and
+  // keeps its data channels if the new path comes up
+  async createOffer({ iceRestart = false } = {}) {
     if (!this.peerConnection) {
       throw new Error('Peer connection not initialized');
     }
 
-    const offer = await this.peerConnection.createOffer();
+    const offer = await this.peerConnection.createOffer({ iceRestart });
     await this.peerConnection.setLocalDescription(offer);
 
-    console.log('Created offer');
+    console.log(iceRestart ? 'Created offer (ICE restart)' : 'Created offer');
     return offer;
   }
 
@@ -187,6 +372,34 @@ export class WebRTCConnection {
     return answer;
   }
 
+  // Resolves once every local candidate has been gathered (or after the
+  // timeout, with whatever was found), for signaling that can't trickle
+  waitForIceGathering(timeoutMs = 3000) {
+    return new Promise((resolve) => {
+      if (this.peerConnection.iceGatheringState === 'complete') {
+        resolve();
+        return;
+      }
+
+      const done = () => {
+        clearTimeout(timeout);
+        this.peerConnection.removeEventListener('icegatheringstatechange', onChange);
+        resolve();
+      };
+      const onChange = () => {
+        if (this.peerConnection.iceGatheringState === 'complete') done();
+      };
+      const timeout = setTimeout(done, timeoutMs);
+      this.peerConnection.addEventListener('icegatheringstatechange', onChange);
+    });
+  }
+
+  // The local description including the candidates gathered so far
+  getLocalDescription() {
+    const description = this.peerConnection?.localDescription;
+    return description ? { type: description.type, sdp: description.sdp } : null;
+  }
+
   async setRemoteDescription(description) {
     if (!this.peerConnection) {
       throw new Error('Peer connection not initialized');
@@ -242,8 +455,18 @@ export class WebRTCConnection {
     }
 
     if (targetChannel && targetChannel.readyState === 'open') {
+      if (message.type === 'battleUpdate') {
+        message = this.sequenceBattleUpdate(message);
+      }
+
+      const error = validateMessage(message);
+      if (error) {
+        console.error(`Refusing to send invalid message: ${error}`, message);
+        return false;
+      }
+
       try {
-        targetChannel.send(JSON.stringify(message));
+        targetChannel.send(this.encodeMessage(channel, message));
         return true;
       } catch (error) {
         console.error('Error sending message:', error);
@@ -255,6 +478,14 @@ export class WebRTCConnection {
     }
   }
 
+  // Battle updates go binary to peers that can read it, everything else JSON
+  encodeMessage(channel, message) {
+    if (channel === 'battle-updates' && message.type === 'battleUpdate' && this.binaryBattleUpdates) {
+      return encodeBattleUpdate(message);
+    }
+    return JSON.stringify(message);
+  }
+
   onMessage(callback) {
     this.messageCallback = callback;
   }
@@ -263,11 +494,48 @@ export class WebRTCConnection {
     this.connectionStateCallback = callback;
   }
 
+  // Called with the peer's protocol version (null if it never said) when it
+  // can't talk to this build
+  onProtocolMismatch(callback) {
+    this.protocolMismatchCallback = callback;
+  }
+
+  // Called with each local candidate as it is gathered (trickle ICE)
+  onIceCandidate(callback) {
+    this.iceCandidateCallback = callback;
+  }
+
   isConnected() {
     return this.peerConnection?.connectionState === 'connected';
   }
 
+  isChannelOpen() {
+    return this.reliableChannel?.readyState === 'open';
+  }
+
+  // Resolves to whether the game-state channel opened in time. A guest's
+  // channel only exists once the host's data channel event arrives.
+  waitForChannelOpen(timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+
+    return new Promise((resolve) => {
+      const check = () => {
+        if (this.isChannelOpen()) {
+          resolve(true);
+        } else if (Date.now() >= deadline || this.peerConnection?.connectionState === 'closed') {
+          resolve(false);
+        } else {
+          setTimeout(check, 100);
+        }
+      };
+      check();
+    });
+  }
+
   close() {
+    clearTimeout(this.handshakeTimer);
+    this.handshakeTimer = null;
+    this.stopDiagnostics();
     if (this.reliableChannel) {
       this.reliableChannel.close();
     }